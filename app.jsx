@@ -1,75 +1,353 @@
 const { useState, useEffect, useRef, useCallback } = React;
 
-// DB Configuration for IndexedDB to store file blobs
-const DB_NAME = 'TinifyCompressorDB';
-const DB_VERSION = 1;
-const STORE_NAME = 'files';
+// IndexedDB storage for files and batches (file_store.js)
+const {
+  localDay,
+  saveFileToDB,
+  getAllFilesFromDB,
+  getFilesByIndex,
+  removeFilesFromDB,
+  dropBlobsFromDB,
+  clearHistoryFromDB,
+  saveBatchToDB,
+  getAllBatchesFromDB,
+} = FileStore;
 
 const PROXY_BASE_URL = 'https://helloworld-jplwkponbj.cn-hangzhou.fcapp.run';
 
-const openDB = () => {
-  return new Promise((resolve, reject) => {
-    const request = indexedDB.open(DB_NAME, DB_VERSION);
-    request.onerror = () => reject(request.error);
-    request.onsuccess = () => resolve(request.result);
-    request.onupgradeneeded = (event) => {
-      const db = event.target.result;
-      if (!db.objectStoreNames.contains(STORE_NAME)) {
-        db.createObjectStore(STORE_NAME, { keyPath: 'id' });
-      }
-    };
-  });
+// Files compressed at the same time; the user picks within these bounds
+const MIN_CONCURRENCY = 1;
+const MAX_CONCURRENCY = 8;
+const DEFAULT_CONCURRENCY = 2;
+
+// Statuses that (re)start compression, and those that mean a batch is running
+const STARTABLE_STATUSES = ['pending', 'error', 'cancelled'];
+const ACTIVE_STATUSES = ['queued', 'compressing'];
+
+// Tinify's free plan, for the usage hint shown with a personal API key
+const FREE_MONTHLY_COMPRESSIONS = 500;
+
+// Presets are applied to each result after the shrink step, as Tinify output
+// operations: { resize: { method, width, height }, convert, background, preserve }
+const RESIZE_METHODS = [
+  { value: 'scale', label: '等比缩放 (scale)' },
+  { value: 'fit', label: '适应 (fit)' },
+  { value: 'cover', label: '裁剪填充 (cover)' },
+  { value: 'thumb', label: '智能缩略图 (thumb)' },
+];
+const CONVERT_TYPES = [
+  { value: 'image/webp', label: 'WebP', extension: 'webp' },
+  { value: 'image/avif', label: 'AVIF', extension: 'avif' },
+  { value: 'image/png', label: 'PNG', extension: 'png' },
+  { value: 'image/jpeg', label: 'JPEG', extension: 'jpg' },
+];
+const PRESERVE_FIELDS = [
+  { value: 'copyright', label: '版权' },
+  { value: 'creation', label: '拍摄时间' },
+  { value: 'location', label: '位置' },
+];
+const DEFAULT_PRESETS = [
+  {
+    id: 'web-hero',
+    name: 'Web 大图 1920w WebP',
+    resize: { method: 'scale', width: 1920 },
+    convert: 'image/webp',
+    background: null,
+    preserve: [],
+  },
+  {
+    id: 'thumbnail',
+    name: '缩略图 300×300 裁剪',
+    resize: { method: 'cover', width: 300, height: 300 },
+    convert: null,
+    background: null,
+    preserve: [],
+  },
+  {
+    id: 'keep-copyright',
+    name: '保留版权信息',
+    resize: null,
+    convert: null,
+    background: null,
+    preserve: ['copyright'],
+  },
+];
+
+// Tinify operations for a preset, or null when it changes nothing
+const presetOperations = (preset) => {
+  if (!preset) return null;
+  const operations = {};
+  if (preset.resize) operations.resize = preset.resize;
+  if (preset.convert) {
+    operations.convert = { type: preset.convert };
+    // Fills transparent areas, e.g. when converting PNG to JPEG
+    if (preset.background) {
+      operations.transform = { background: preset.background };
+    }
+  }
+  if (preset.preserve && preset.preserve.length > 0) {
+    operations.preserve = preset.preserve;
+  }
+  return Object.keys(operations).length > 0 ? operations : null;
 };
 
-const saveFileToDB = async (fileData) => {
-  try {
-    const db = await openDB();
-    const tx = db.transaction(STORE_NAME, 'readwrite');
-    const store = tx.objectStore(STORE_NAME);
-    await store.put(fileData);
-    return true;
-  } catch (err) {
-    console.error('Failed to save file to DB:', err);
-    return false;
+// Error message for an invalid preset, mirroring the proxy's checks
+const validatePreset = (preset) => {
+  if (!preset.name.trim()) return '请填写预设名称';
+  if (preset.resize) {
+    const { method, width, height } = preset.resize;
+    // Tinify only takes whole pixels
+    const invalid = (value) =>
+      value !== undefined && !(Number.isInteger(value) && value > 0);
+    if (invalid(width) || invalid(height)) {
+      return '宽度和高度必须是正整数';
+    }
+    if (method === 'scale' && !width === !height) {
+      return '等比缩放需要且只能填写宽度或高度中的一个';
+    }
+    if (method !== 'scale' && (!width || !height)) {
+      return '该缩放方式需要同时填写宽度和高度';
+    }
   }
+  if (!presetOperations(preset)) return '预设至少需要缩放、转换格式或保留元数据中的一项';
+  return null;
 };
 
-const getAllFilesFromDB = async () => {
-  try {
-    const db = await openDB();
-    const tx = db.transaction(STORE_NAME, 'readonly');
-    const store = tx.objectStore(STORE_NAME);
-    return new Promise((resolve, reject) => {
-      const request = store.getAll();
-      request.onsuccess = () => resolve(request.result);
-      request.onerror = () => reject(request.error);
-    });
-  } catch (err) {
-    console.error('Failed to load files from DB:', err);
-    return [];
+// Download name (or, given `name`, path) for a result, with the extension
+// of a converted format
+const outputFileName = (item, name = item.name) => {
+  const converted = CONVERT_TYPES.find(
+    (t) => t.value === item.outputType && item.outputType !== item.type,
+  );
+  if (!converted) return name;
+  return name.replace(/(\.[^./]*)?$/, `.${converted.extension}`);
+};
+
+// A relative path safe to recreate inside a ZIP: forward slashes, no empty,
+// "." or ".." segments
+const normalizeRelativePath = (path) =>
+  path
+    .split(/[\\/]+/)
+    .filter((segment) => segment && segment !== '.' && segment !== '..')
+    .join('/');
+
+// Reserve `path` in `taken` (lower-cased, since Windows and macOS treat names
+// case-insensitively), adding " (2)", " (3)"... before the extension on a clash
+const claimUniquePath = (path, taken) => {
+  const match = path.match(/^(.*?)(\.[^./]*)?$/);
+  let candidate = path;
+  for (let n = 2; taken.has(candidate.toLowerCase()); n++) {
+    candidate = `${match[1]} (${n})${match[2] || ''}`;
   }
+  taken.add(candidate.toLowerCase());
+  return candidate;
 };
 
-const deleteFileFromDB = async (id) => {
-  try {
-    const db = await openDB();
-    const tx = db.transaction(STORE_NAME, 'readwrite');
-    const store = tx.objectStore(STORE_NAME);
-    await store.delete(id);
-  } catch (err) {
-    console.error('Failed to delete file from DB:', err);
+// Files below a dropped entry (FileSystemEntry API) with their path in the drop;
+// hidden files and folders are skipped
+const readEntryFiles = async (entry) => {
+  if (entry.name.startsWith('.')) return [];
+  if (entry.isFile) {
+    const file = await new Promise((resolve, reject) =>
+      entry.file(resolve, reject),
+    );
+    return [{ file, path: entry.fullPath }];
+  }
+  if (!entry.isDirectory) return [];
+
+  // readEntries hands out a directory in batches until it returns an empty one
+  const reader = entry.createReader();
+  const children = [];
+  for (;;) {
+    const batch = await new Promise((resolve, reject) =>
+      reader.readEntries(resolve, reject),
+    );
+    if (batch.length === 0) break;
+    children.push(...batch);
   }
+  const nested = await Promise.all(children.map(readEntryFiles));
+  return nested.flat();
 };
 
-const clearDB = async () => {
-  try {
-    const db = await openDB();
-    const tx = db.transaction(STORE_NAME, 'readwrite');
-    const store = tx.objectStore(STORE_NAME);
-    await store.clear();
-  } catch (err) {
-    console.error('Failed to clear DB:', err);
+// What is kept in IndexedDB. Originals are needed to (re)compress and compare,
+// outputs to download after Tinify's result URLs have expired.
+const DEFAULT_STORAGE_POLICY = {
+  dropOriginals: false, // drop the original once a file compressed successfully
+  maxAgeDays: 0, // drop both blobs of results older than this (0 = keep)
+  maxTotalMB: 0, // drop the oldest blobs beyond this total (0 = no cap)
+};
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const storedBytes = (f) =>
+  (f.fileBlob ? f.fileBlob.size : 0) + (f.resultBlob ? f.resultBlob.size : 0);
+
+// Blobs the storage policy drops, as [{ id, completedAt, fields }] for
+// dropBlobsFromDB; files still waiting or in flight keep their original.
+// Under the cap, originals of finished files go before any output, oldest first.
+const storagePolicyDrops = (records, policy, now = Date.now()) => {
+  const dropped = new Map();
+  const isKept = (f, field) =>
+    !!f[field] && !(dropped.has(f.id) && dropped.get(f.id).has(field));
+  const drop = (f, field) => {
+    if (!dropped.has(f.id)) dropped.set(f.id, new Set());
+    dropped.get(f.id).add(field);
+  };
+  const finished = records
+    .filter((f) => f.status === 'success')
+    .sort((a, b) => (a.completedAt || a.timestamp) - (b.completedAt || b.timestamp));
+
+  for (const f of finished) {
+    const age = now - (f.completedAt || f.timestamp);
+    if (policy.maxAgeDays > 0 && age > policy.maxAgeDays * DAY_MS) {
+      if (f.fileBlob) drop(f, 'fileBlob');
+      if (f.resultBlob) drop(f, 'resultBlob');
+    } else if (policy.dropOriginals && f.fileBlob && f.resultBlob) {
+      drop(f, 'fileBlob');
+    }
   }
+
+  if (policy.maxTotalMB > 0) {
+    const cap = policy.maxTotalMB * 1024 * 1024;
+    let total = records.reduce(
+      (sum, f) =>
+        sum +
+        (isKept(f, 'fileBlob') ? f.fileBlob.size : 0) +
+        (isKept(f, 'resultBlob') ? f.resultBlob.size : 0),
+      0,
+    );
+    for (const field of ['fileBlob', 'resultBlob']) {
+      for (const f of finished) {
+        if (total <= cap) break;
+        if (!isKept(f, field)) continue;
+        drop(f, field);
+        total -= f[field].size;
+      }
+    }
+  }
+  return finished
+    .filter((f) => dropped.has(f.id))
+    .map((f) => ({
+      id: f.id,
+      completedAt: f.completedAt,
+      fields: [...dropped.get(f.id)],
+    }));
+};
+
+// Statistics dashboard: bars shown per unit, files listed as the largest wins
+// and as barely shrunk (below LOW_SAVINGS_PERCENT)
+const STATS_PERIODS = {
+  day: { count: 14, days: 1 },
+  week: { count: 12, days: 7 },
+};
+const STATS_TOP_COUNT = 5;
+const LOW_SAVINGS_PERCENT = 5;
+
+const savedBytes = (f) => f.originalSize - f.compressedSize;
+const savedPercent = (f) => (savedBytes(f) / f.originalSize) * 100;
+
+// Midnight starting the day, or the week (from Monday), `time` falls in
+const periodStart = (time, unit) => {
+  const d = new Date(time);
+  d.setHours(0, 0, 0, 0);
+  if (unit === 'week') d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  return d.getTime();
+};
+
+const formatLabel = (f) => {
+  const fromType = (f.type || '').replace(/^image\//, '').replace(/\+xml$/, '');
+  const fromName = (f.name.match(/\.([^./]+)$/) || [])[1] || '';
+  const label = (fromType || fromName).toUpperCase();
+  return label === 'JPG' ? 'JPEG' : label || '其他';
+};
+
+// Totals over the successful records. Compressions are summed from what each
+// record spent (compressionsUsed, stored with the mode it ran in, failed and
+// cancelled runs included); files compressed before that was recorded are
+// only counted as `unrecorded`.
+const computeStats = (records, unit, now = Date.now()) => {
+  const done = records.filter(
+    (f) => f.status === 'success' && f.originalSize > 0 && f.compressedSize > 0,
+  );
+  const totals = { files: done.length, before: 0, after: 0 };
+  const compressions = { direct: 0, proxy: 0, unrecorded: 0 };
+  for (const f of records) {
+    if (typeof f.compressionsUsed === 'number') {
+      compressions[f.mode] += f.compressionsUsed;
+    } else if (f.status === 'success') {
+      compressions.unrecorded++;
+    }
+  }
+  const formats = new Map();
+
+  const { count, days } = STATS_PERIODS[unit];
+  const timeline = Array.from({ length: count }, (_, i) => {
+    const d = new Date(periodStart(now, unit));
+    d.setDate(d.getDate() - (count - 1 - i) * days);
+    return { start: d.getTime(), saved: 0, files: 0 };
+  });
+  const buckets = new Map(timeline.map((b) => [b.start, b]));
+
+  for (const f of done) {
+    totals.before += f.originalSize;
+    totals.after += f.compressedSize;
+
+    const label = formatLabel(f);
+    const format = formats.get(label) || {
+      label,
+      files: 0,
+      saved: 0,
+      percentSum: 0,
+    };
+    format.files++;
+    format.saved += savedBytes(f);
+    format.percentSum += savedPercent(f);
+    formats.set(label, format);
+
+    const bucket = buckets.get(periodStart(f.completedAt || f.timestamp, unit));
+    if (bucket) {
+      bucket.saved += savedBytes(f);
+      bucket.files++;
+    }
+  }
+
+  return {
+    totals,
+    compressions,
+    timeline,
+    formats: [...formats.values()]
+      .map((f) => ({ ...f, averagePercent: f.percentSum / f.files }))
+      .sort((a, b) => b.saved - a.saved),
+    largest: done
+      .filter((f) => savedBytes(f) > 0)
+      .sort((a, b) => savedBytes(b) - savedBytes(a))
+      .slice(0, STATS_TOP_COUNT),
+    barely: done
+      .filter((f) => savedPercent(f) < LOW_SAVINGS_PERCENT)
+      .sort((a, b) => savedPercent(a) - savedPercent(b))
+      .slice(0, STATS_TOP_COUNT),
+  };
+};
+
+// Readable messages for the TinifyClient error types (tinify_client.js)
+const describeTinifyError = (error) => {
+  if (error instanceof Tinify.AuthError) return 'API Key 或代理令牌无效';
+  if (error instanceof Tinify.QuotaError) return '本月压缩额度已用完';
+  if (error instanceof Tinify.UnsupportedError) return `不支持的图片格式：${error.message}`;
+  if (error instanceof Tinify.NetworkError) return '网络连接失败，请检查网络后重试';
+  return error.message;
+};
+
+// Tinify itself rejects SVG; the proxy compresses it locally
+const isProxyOnlyFormat = (file) =>
+  file.type === 'image/svg+xml' || /\.svg$/i.test(file.name);
+
+// SHA-256 of a blob as hex. Sent to the proxy so it can answer repeated
+// uploads from its result cache without receiving the file again.
+const sha256Hex = async (blob) => {
+  const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+  return Array.from(new Uint8Array(digest))
+    .map((b) => b.toString(16).padStart(2, '0'))
+    .join('');
 };
 
 // Components
@@ -115,6 +393,194 @@ const Button = ({
   );
 };
 
+const emptyPreset = () => ({
+  id: null,
+  name: '',
+  resize: null,
+  convert: null,
+  background: null,
+  preserve: [],
+});
+
+const PresetPanel = ({ presets, selectedId, onSelect, onSave, onDelete }) => {
+  const [draft, setDraft] = useState(null);
+  const [draftError, setDraftError] = useState(null);
+  const selected = presets.find((p) => p.id === selectedId) || null;
+
+  const edit = (preset) => {
+    setDraft(preset ? { ...preset } : emptyPreset());
+    setDraftError(null);
+  };
+
+  const update = (changes) => setDraft((prev) => ({ ...prev, ...changes }));
+
+  const updateResize = (changes) => {
+    const resize = { ...(draft.resize || { method: 'fit' }), ...changes };
+    for (const key of ['width', 'height']) {
+      if (!resize[key]) delete resize[key];
+    }
+    update({ resize: resize.method ? resize : null });
+  };
+
+  const togglePreserve = (field) =>
+    update({
+      preserve: draft.preserve.includes(field)
+        ? draft.preserve.filter((f) => f !== field)
+        : [...draft.preserve, field],
+    });
+
+  const save = () => {
+    const preset = {
+      ...draft,
+      name: draft.name.trim(),
+      background: draft.convert ? draft.background : null,
+    };
+    const error = validatePreset(preset);
+    if (error) {
+      setDraftError(error);
+      return;
+    }
+    onSave(preset);
+    setDraft(null);
+  };
+
+  const inputClass =
+    'w-full px-3 py-2 bg-gray-50 border border-gray-200 rounded-lg focus:bg-white focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all outline-none';
+
+  return (
+    <div className='bg-white rounded-xl p-6 shadow-sm border border-gray-100 space-y-4'>
+      <div className='flex items-center gap-2'>
+        <label className='text-sm font-medium text-gray-700 shrink-0'>
+          压缩预设
+        </label>
+        <select
+          value={selectedId || ''}
+          onChange={(e) => onSelect(e.target.value || null)}
+          className={inputClass}
+        >
+          <option value=''>不使用预设（仅压缩）</option>
+          {presets.map((p) => (
+            <option key={p.id} value={p.id}>
+              {p.name}
+            </option>
+          ))}
+        </select>
+        <Button variant='secondary' onClick={() => edit(null)}>
+          新建
+        </Button>
+        {selected && (
+          <>
+            <Button variant='secondary' onClick={() => edit(selected)}>
+              编辑
+            </Button>
+            <Button variant='danger' onClick={() => onDelete(selected.id)}>
+              <Icon name='trash' />
+            </Button>
+          </>
+        )}
+      </div>
+
+      {draft && (
+        <div className='border-t border-gray-100 pt-4 space-y-3 text-sm'>
+          <input
+            value={draft.name}
+            onChange={(e) => update({ name: e.target.value })}
+            placeholder='预设名称'
+            className={inputClass}
+          />
+          <div className='grid grid-cols-3 gap-2'>
+            <select
+              value={draft.resize ? draft.resize.method : ''}
+              onChange={(e) => updateResize({ method: e.target.value })}
+              className={inputClass}
+            >
+              <option value=''>不缩放</option>
+              {RESIZE_METHODS.map((m) => (
+                <option key={m.value} value={m.value}>
+                  {m.label}
+                </option>
+              ))}
+            </select>
+            <input
+              type='number'
+              min='1'
+              step='1'
+              value={(draft.resize && draft.resize.width) || ''}
+              onChange={(e) => updateResize({ width: Number(e.target.value) })}
+              disabled={!draft.resize}
+              placeholder='宽度'
+              className={inputClass}
+            />
+            <input
+              type='number'
+              min='1'
+              step='1'
+              value={(draft.resize && draft.resize.height) || ''}
+              onChange={(e) => updateResize({ height: Number(e.target.value) })}
+              disabled={!draft.resize}
+              placeholder='高度'
+              className={inputClass}
+            />
+          </div>
+          <div className='grid grid-cols-3 gap-2 items-center'>
+            <select
+              value={draft.convert || ''}
+              onChange={(e) => update({ convert: e.target.value || null })}
+              className={inputClass}
+            >
+              <option value=''>保持原格式</option>
+              {CONVERT_TYPES.map((t) => (
+                <option key={t.value} value={t.value}>
+                  转换为 {t.label}
+                </option>
+              ))}
+            </select>
+            {draft.convert && (
+              <label className='flex items-center gap-2 text-gray-600 col-span-2'>
+                <input
+                  type='checkbox'
+                  checked={!!draft.background}
+                  onChange={(e) =>
+                    update({ background: e.target.checked ? '#ffffff' : null })
+                  }
+                />
+                透明背景填充
+                {draft.background && (
+                  <input
+                    type='color'
+                    value={draft.background}
+                    onChange={(e) => update({ background: e.target.value })}
+                  />
+                )}
+              </label>
+            )}
+          </div>
+          <div className='flex items-center gap-4 text-gray-600'>
+            保留元数据：
+            {PRESERVE_FIELDS.map((f) => (
+              <label key={f.value} className='flex items-center gap-1'>
+                <input
+                  type='checkbox'
+                  checked={draft.preserve.includes(f.value)}
+                  onChange={() => togglePreserve(f.value)}
+                />
+                {f.label}
+              </label>
+            ))}
+          </div>
+          {draftError && <p className='text-red-500'>{draftError}</p>}
+          <div className='flex gap-2 justify-end'>
+            <Button variant='ghost' onClick={() => setDraft(null)}>
+              取消
+            </Button>
+            <Button onClick={save}>保存预设</Button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
 const ProgressBar = ({ progress, status }) => {
   const isIndeterminate = status === 'compressing' && progress === 0;
 
@@ -134,15 +600,764 @@ const ProgressBar = ({ progress, status }) => {
   );
 };
 
-const FileItem = ({ item, onRemove, onDownload }) => {
-  const formatSize = (bytes) => {
-    if (bytes === 0) return '0 B';
-    const k = 1024;
-    const sizes = ['B', 'KB', 'MB', 'GB'];
-    const i = Math.floor(Math.log(bytes) / Math.log(k));
-    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+const formatSize = (bytes) => {
+  if (bytes === 0) return '0 B';
+  const k = 1024;
+  const sizes = ['B', 'KB', 'MB', 'GB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+};
+
+// Zoom is relative to the fitted size; the upper bound is set so one image
+// pixel can cover this many screen pixels
+const MAX_PIXEL_ZOOM = 16;
+const ZOOM_STEP = 1.25;
+const FLICKER_INTERVAL_MS = 600;
+
+const CompareViewer = ({ items, index, onNavigate, onClose, loadResult }) => {
+  const item = items[index];
+  const viewportRef = useRef(null);
+  const dragRef = useRef(null);
+  const [originalUrl, setOriginalUrl] = useState(null);
+  const [compressedUrl, setCompressedUrl] = useState(null);
+  const [loadError, setLoadError] = useState(null);
+  const [natural, setNatural] = useState(null);
+  const [fitted, setFitted] = useState(null);
+  const [mode, setMode] = useState('slider');
+  const [split, setSplit] = useState(50);
+  const [showOriginal, setShowOriginal] = useState(false);
+  const [zoom, setZoom] = useState(1);
+  const [pan, setPan] = useState({ x: 0, y: 0 });
+
+  // Object URLs for both versions of the current file
+  useEffect(() => {
+    let cancelled = false;
+    const original = URL.createObjectURL(item.fileBlob);
+    let compressed = null;
+    setOriginalUrl(original);
+    setCompressedUrl(null);
+    setLoadError(null);
+    setNatural(null);
+    setZoom(1);
+    setPan({ x: 0, y: 0 });
+
+    loadResult(item)
+      .then((blob) => {
+        if (cancelled) return;
+        compressed = URL.createObjectURL(blob);
+        setCompressedUrl(compressed);
+      })
+      .catch((err) => {
+        if (!cancelled) setLoadError(err.message);
+      });
+
+    return () => {
+      cancelled = true;
+      URL.revokeObjectURL(original);
+      if (compressed) URL.revokeObjectURL(compressed);
+    };
+  }, [item.id]);
+
+  // Size the images to fit the viewport
+  useEffect(() => {
+    if (!natural || !viewportRef.current) return;
+    const fit = () => {
+      const rect = viewportRef.current.getBoundingClientRect();
+      const ratio = Math.min(
+        rect.width / natural.width,
+        rect.height / natural.height,
+        1,
+      );
+      setFitted({ width: natural.width * ratio, height: natural.height * ratio });
+    };
+    fit();
+    window.addEventListener('resize', fit);
+    return () => window.removeEventListener('resize', fit);
+  }, [natural]);
+
+  useEffect(() => {
+    if (mode !== 'flicker') return;
+    const timer = setInterval(
+      () => setShowOriginal((shown) => !shown),
+      FLICKER_INTERVAL_MS,
+    );
+    return () => clearInterval(timer);
+  }, [mode]);
+
+  const maxZoom =
+    natural && fitted
+      ? Math.max(1, (natural.width / fitted.width) * MAX_PIXEL_ZOOM)
+      : 1;
+
+  // Zoom keeping the image point under (x, y) in place; x and y are
+  // relative to the viewport centre
+  const zoomTo = (next, x = 0, y = 0) => {
+    const target = Math.min(Math.max(next, 1), maxZoom);
+    const factor = target / zoom;
+    setZoom(target);
+    setPan(
+      target === 1
+        ? { x: 0, y: 0 }
+        : { x: x - (x - pan.x) * factor, y: y - (y - pan.y) * factor },
+    );
+  };
+
+  const handleWheel = (e) => {
+    const rect = viewportRef.current.getBoundingClientRect();
+    zoomTo(
+      e.deltaY < 0 ? zoom * ZOOM_STEP : zoom / ZOOM_STEP,
+      e.clientX - rect.left - rect.width / 2,
+      e.clientY - rect.top - rect.height / 2,
+    );
+  };
+
+  const setSplitFromPointer = (clientX) => {
+    const rect = viewportRef.current.getBoundingClientRect();
+    const percent = ((clientX - rect.left) / rect.width) * 100;
+    setSplit(Math.min(Math.max(percent, 0), 100));
+  };
+
+  const handlePointerDown = (e) => {
+    const onHandle = e.target.dataset.role === 'split-handle';
+    dragRef.current = onHandle
+      ? { type: 'split' }
+      : { type: 'pan', x: e.clientX - pan.x, y: e.clientY - pan.y };
+    e.currentTarget.setPointerCapture(e.pointerId);
+  };
+
+  const handlePointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    if (drag.type === 'split') setSplitFromPointer(e.clientX);
+    else if (zoom > 1) setPan({ x: e.clientX - drag.x, y: e.clientY - drag.y });
   };
 
+  const handlePointerUp = () => {
+    dragRef.current = null;
+  };
+
+  useEffect(() => {
+    const onKey = (e) => {
+      if (e.key === 'Escape') onClose();
+      else if (e.key === 'ArrowLeft' && index > 0) onNavigate(index - 1);
+      else if (e.key === 'ArrowRight' && index < items.length - 1)
+        onNavigate(index + 1);
+      else if (e.key === '+' || e.key === '=') zoomTo(zoom * ZOOM_STEP);
+      else if (e.key === '-') zoomTo(zoom / ZOOM_STEP);
+      else if (e.key === '0') zoomTo(1);
+      else if (e.key === ' ' && mode === 'toggle') {
+        e.preventDefault();
+        setShowOriginal((shown) => !shown);
+      } else return;
+    };
+    window.addEventListener('keydown', onKey);
+    return () => window.removeEventListener('keydown', onKey);
+  });
+
+  const imageStyle = {
+    width: fitted ? fitted.width : 'auto',
+    height: fitted ? fitted.height : 'auto',
+    maxWidth: 'none',
+    // Past 1:1 show actual pixels instead of a smoothed blur
+    imageRendering:
+      natural && fitted && zoom * fitted.width >= natural.width
+        ? 'pixelated'
+        : 'auto',
+  };
+  const layerTransform = {
+    transform: `translate(${pan.x}px, ${pan.y}px) scale(${zoom})`,
+  };
+  const layerClass =
+    'absolute inset-0 flex items-center justify-center pointer-events-none';
+
+  const saving = (
+    ((item.originalSize - item.compressedSize) / item.originalSize) *
+    100
+  ).toFixed(1);
+  const modeButton = (value, label) => (
+    <button
+      onClick={() => {
+        setMode(value);
+        setShowOriginal(false);
+      }}
+      className={`px-3 py-1 rounded-md ${
+        mode === value ? 'bg-white text-gray-900' : 'text-gray-300 hover:text-white'
+      }`}
+    >
+      {label}
+    </button>
+  );
+
+  return (
+    <div className='fixed inset-0 z-50 bg-gray-900/95 flex flex-col text-sm text-gray-200'>
+      <div className='flex items-center justify-between gap-4 px-4 py-3'>
+        <div className='flex items-center gap-2 min-w-0'>
+          <button
+            onClick={() => onNavigate(index - 1)}
+            disabled={index === 0}
+            className='p-1.5 rounded-lg hover:bg-gray-700 disabled:opacity-30'
+            title='上一张 (←)'
+          >
+            <Icon name='caret-left' className='text-lg' />
+          </button>
+          <span className='text-gray-400'>
+            {index + 1} / {items.length}
+          </span>
+          <button
+            onClick={() => onNavigate(index + 1)}
+            disabled={index === items.length - 1}
+            className='p-1.5 rounded-lg hover:bg-gray-700 disabled:opacity-30'
+            title='下一张 (→)'
+          >
+            <Icon name='caret-right' className='text-lg' />
+          </button>
+          <span className='font-medium text-white truncate' title={item.name}>
+            {item.name}
+          </span>
+          <span className='text-gray-400 shrink-0'>
+            {formatSize(item.originalSize)} → {formatSize(item.compressedSize)}{' '}
+            (-{saving}%)
+          </span>
+        </div>
+        <div className='flex items-center gap-3 shrink-0'>
+          <div className='flex bg-gray-800 rounded-lg p-0.5'>
+            {modeButton('slider', '滑块')}
+            {modeButton('toggle', '切换')}
+            {modeButton('flicker', '闪烁')}
+          </div>
+          <button
+            onClick={() => zoomTo(zoom / ZOOM_STEP)}
+            className='p-1.5 rounded-lg hover:bg-gray-700'
+            title='缩小 (-)'
+          >
+            <Icon name='magnifying-glass-minus' className='text-lg' />
+          </button>
+          <button
+            onClick={() => zoomTo(1)}
+            className='w-14 text-center hover:text-white'
+            title='适应窗口 (0)'
+          >
+            {Math.round(zoom * 100)}%
+          </button>
+          <button
+            onClick={() => zoomTo(zoom * ZOOM_STEP)}
+            className='p-1.5 rounded-lg hover:bg-gray-700'
+            title='放大 (+)'
+          >
+            <Icon name='magnifying-glass-plus' className='text-lg' />
+          </button>
+          <button
+            onClick={onClose}
+            className='p-1.5 rounded-lg hover:bg-gray-700'
+            title='关闭 (Esc)'
+          >
+            <Icon name='x' className='text-lg' />
+          </button>
+        </div>
+      </div>
+
+      <div
+        ref={viewportRef}
+        className={`relative flex-1 overflow-hidden select-none ${
+          zoom > 1 ? 'cursor-grab' : ''
+        }`}
+        onWheel={handleWheel}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onClick={() => mode === 'toggle' && setShowOriginal((shown) => !shown)}
+      >
+        {originalUrl && (
+          <div className={layerClass}>
+            <img
+              src={originalUrl}
+              alt='原图'
+              draggable={false}
+              style={{ ...imageStyle, ...layerTransform }}
+              onLoad={(e) =>
+                setNatural({
+                  width: e.target.naturalWidth,
+                  height: e.target.naturalHeight,
+                })
+              }
+            />
+          </div>
+        )}
+        {compressedUrl && (
+          <div
+            className={layerClass}
+            style={{
+              clipPath:
+                mode === 'slider' ? `inset(0 0 0 ${split}%)` : 'none',
+              visibility:
+                mode !== 'slider' && showOriginal ? 'hidden' : 'visible',
+            }}
+          >
+            <img
+              src={compressedUrl}
+              alt='压缩后'
+              draggable={false}
+              style={{ ...imageStyle, ...layerTransform }}
+            />
+          </div>
+        )}
+
+        {mode === 'slider' && compressedUrl && (
+          <div
+            data-role='split-handle'
+            className='absolute inset-y-0 w-4 -ml-2 cursor-ew-resize flex justify-center'
+            style={{ left: `${split}%` }}
+          >
+            <div className='w-0.5 h-full bg-white/80 pointer-events-none' />
+          </div>
+        )}
+
+        <div className='absolute top-3 left-3 px-2 py-1 rounded bg-black/50 pointer-events-none'>
+          {mode === 'slider' || showOriginal || !compressedUrl ? '原图' : '压缩后'}
+        </div>
+        {mode === 'slider' && compressedUrl && (
+          <div className='absolute top-3 right-3 px-2 py-1 rounded bg-black/50 pointer-events-none'>
+            压缩后
+          </div>
+        )}
+        {!compressedUrl && (
+          <div className='absolute inset-x-0 bottom-6 text-center'>
+            {loadError ? (
+              <span className='text-red-400'>加载压缩结果失败: {loadError}</span>
+            ) : (
+              <span className='inline-flex items-center gap-2 text-gray-300'>
+                <Icon name='spinner' className='animate-spin' /> 正在加载压缩结果...
+              </span>
+            )}
+          </div>
+        )}
+      </div>
+
+      <div className='px-4 py-2 text-xs text-gray-500 text-center'>
+        拖动分隔线对比 · 滚轮缩放，拖动平移 · ← → 切换图片 · 切换模式下点击或按空格切换原图 · Esc 关闭
+      </div>
+    </div>
+  );
+};
+
+const StoragePanel = ({ estimate, storedTotal, policy, onPolicyChange }) => {
+  const [draft, setDraft] = useState(policy);
+  useEffect(() => setDraft(policy), [policy]);
+  const isDirty = JSON.stringify(draft) !== JSON.stringify(policy);
+  const usedPercent =
+    estimate && estimate.quota ? (estimate.usage / estimate.quota) * 100 : 0;
+
+  const numberInput = (field) => (
+    <input
+      type='number'
+      min='0'
+      value={draft[field]}
+      onChange={(e) =>
+        setDraft({ ...draft, [field]: Math.max(0, Number(e.target.value) || 0) })
+      }
+      className='w-20 px-2 py-1 bg-gray-50 border border-gray-200 rounded-lg outline-none focus:ring-2 focus:ring-blue-500'
+    />
+  );
+
+  return (
+    <div className='bg-white rounded-xl p-6 shadow-sm border border-gray-100 space-y-3 text-sm'>
+      <div className='flex items-center justify-between'>
+        <span className='font-medium text-gray-700'>本地存储</span>
+        <span className='text-gray-500'>
+          图片占用 {formatSize(storedTotal)}
+          {estimate &&
+            ` · 共已用 ${formatSize(estimate.usage)} / ${formatSize(estimate.quota)}`}
+        </span>
+      </div>
+      {estimate && (
+        <div className='h-1.5 w-full bg-gray-100 rounded-full overflow-hidden'>
+          <div
+            className={`h-full rounded-full ${
+              usedPercent > 80 ? 'bg-orange-500' : 'bg-blue-500'
+            }`}
+            style={{ width: `${Math.min(Math.max(usedPercent, 1), 100)}%` }}
+          />
+        </div>
+      )}
+      <div className='flex flex-wrap items-center gap-x-6 gap-y-2 text-gray-600'>
+        <label className='flex items-center gap-2'>
+          <input
+            type='checkbox'
+            checked={draft.dropOriginals}
+            onChange={(e) =>
+              setDraft({ ...draft, dropOriginals: e.target.checked })
+            }
+          />
+          压缩成功后删除原图
+        </label>
+        <label className='flex items-center gap-2'>
+          保留 {numberInput('maxAgeDays')} 天
+        </label>
+        <label className='flex items-center gap-2'>
+          上限 {numberInput('maxTotalMB')} MB
+        </label>
+        <span className='text-xs text-gray-400'>0 表示不限</span>
+        {isDirty && (
+          <Button onClick={() => onPolicyChange(draft)} className='ml-auto'>
+            应用
+          </Button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Past compressions from the DB, one group per batch (each start of the
+// queue), newest first, including files since removed from the list.
+// Reloaded whenever the file list changes.
+const HistoryPanel = ({ files, onDownload }) => {
+  const [groups, setGroups] = useState([]);
+  const [openId, setOpenId] = useState(null);
+  const [reloads, setReloads] = useState(0);
+
+  useEffect(() => {
+    let stale = false;
+    const load = async () => {
+      const batches = await getAllBatchesFromDB();
+      const loaded = await Promise.all(
+        batches.map(async (batch) => ({
+          batch,
+          items: await getFilesByIndex('batchId', batch.id),
+        })),
+      );
+      if (!stale) setGroups(loaded.filter((g) => g.items.length > 0));
+    };
+    load();
+    return () => {
+      stale = true;
+    };
+  }, [files, reloads]);
+
+  const clearHistory = async () => {
+    if (confirm('确定要删除已从列表中移除的文件的记录吗？')) {
+      await clearHistoryFromDB();
+      setReloads((n) => n + 1);
+    }
+  };
+
+  if (groups.length === 0) {
+    return (
+      <div className='bg-white rounded-xl p-6 shadow-sm border border-gray-100 text-sm text-gray-500 text-center'>
+        还没有压缩记录
+      </div>
+    );
+  }
+
+  return (
+    <div className='space-y-3 pb-20'>
+      <div className='flex justify-end'>
+        <Button variant='danger' onClick={clearHistory}>
+          <Icon name='trash' /> 清除已移除文件的记录
+        </Button>
+      </div>
+      {groups.map(({ batch, items }) => {
+        const succeeded = items.filter((f) => f.status === 'success');
+        const failed = items.filter((f) => f.status === 'error').length;
+        const before = succeeded.reduce((sum, f) => sum + f.originalSize, 0);
+        const after = succeeded.reduce((sum, f) => sum + f.compressedSize, 0);
+        const isOpen = openId === batch.id;
+        return (
+          <div
+            key={batch.id}
+            className='bg-white rounded-xl border border-gray-100 shadow-sm'
+          >
+            <button
+              onClick={() => setOpenId(isOpen ? null : batch.id)}
+              className='w-full flex items-center gap-3 p-4 text-left text-sm'
+            >
+              <Icon
+                name={isOpen ? 'caret-down' : 'caret-right'}
+                className='text-gray-400'
+              />
+              <span className='font-medium text-gray-900'>
+                {batch.migrated
+                  ? `${localDay(batch.createdAt)}（升级前的记录）`
+                  : new Date(batch.createdAt).toLocaleString()}
+              </span>
+              {!batch.migrated && (
+                <span className='text-xs text-gray-500 bg-gray-100 px-1.5 py-0.5 rounded'>
+                  {batch.mode === 'proxy' ? '代理' : '直连'}
+                </span>
+              )}
+              {batch.presetName && (
+                <span className='text-xs text-blue-600 bg-blue-50 px-1.5 py-0.5 rounded'>
+                  {batch.presetName}
+                </span>
+              )}
+              <span className='ml-auto text-gray-500'>
+                {items.length} 个文件 · {succeeded.length} 完成
+                {failed > 0 && (
+                  <span className='text-red-500'> · {failed} 失败</span>
+                )}
+                {before > 0 &&
+                  ` · ${formatSize(before)} → ${formatSize(after)} (-${(
+                    ((before - after) / before) *
+                    100
+                  ).toFixed(1)}%)`}
+              </span>
+            </button>
+            {isOpen && (
+              <div className='border-t border-gray-100 divide-y divide-gray-50'>
+                {items.map((item) => (
+                  <div
+                    key={item.id}
+                    className='flex items-center gap-3 px-4 py-2 pl-11 text-xs text-gray-600'
+                  >
+                    <span
+                      className='flex-1 truncate'
+                      title={item.relativePath || item.name}
+                    >
+                      {item.relativePath || item.name}
+                    </span>
+                    {item.removedAt && (
+                      <span className='text-gray-400'>已从列表移除</span>
+                    )}
+                    <span>
+                      {formatSize(item.originalSize)}
+                      {item.compressedSize > 0 &&
+                        ` → ${formatSize(item.compressedSize)}`}
+                    </span>
+                    {item.status === 'success' ? (
+                      <button
+                        onClick={() => onDownload(item)}
+                        className='text-gray-400 hover:text-blue-600'
+                        title='下载'
+                      >
+                        <Icon name='download-simple' />
+                      </button>
+                    ) : (
+                      <span
+                        className={
+                          item.status === 'error'
+                            ? 'text-red-500'
+                            : 'text-gray-400'
+                        }
+                        title={item.error || undefined}
+                      >
+                        {item.status === 'error'
+                          ? '失败'
+                          : item.status === 'cancelled'
+                            ? '已取消'
+                            : '未完成'}
+                      </span>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+// Savings over everything stored in the DB, reloaded whenever the file
+// list changes
+const StatsPanel = ({ files }) => {
+  const [data, setData] = useState(null);
+  const [unit, setUnit] = useState('day'); // 'day' | 'week'
+
+  useEffect(() => {
+    let stale = false;
+    const load = async () => {
+      const records = await getAllFilesFromDB();
+      if (!stale) setData({ records });
+    };
+    load();
+    return () => {
+      stale = true;
+    };
+  }, [files]);
+
+  if (!data) return null;
+  const stats = computeStats(data.records, unit);
+  if (stats.totals.files === 0) {
+    return (
+      <div className='bg-white rounded-xl p-6 shadow-sm border border-gray-100 text-sm text-gray-500 text-center'>
+        还没有压缩成功的文件
+      </div>
+    );
+  }
+
+  const { totals, compressions } = stats;
+  const saved = totals.before - totals.after;
+  const maxSaved = Math.max(...stats.timeline.map((b) => b.saved), 1);
+  const card = 'bg-white rounded-xl p-6 shadow-sm border border-gray-100';
+  const signedSize = (bytes) =>
+    bytes < 0 ? `-${formatSize(-bytes)}` : formatSize(bytes);
+  const fileList = (items) => (
+    <div className='space-y-1.5 text-xs text-gray-600'>
+      {items.map((f) => (
+        <div key={f.id} className='flex items-center gap-3'>
+          <span className='flex-1 truncate' title={f.relativePath || f.name}>
+            {f.relativePath || f.name}
+          </span>
+          <span className='text-gray-400'>
+            {formatSize(f.originalSize)} → {formatSize(f.compressedSize)}
+          </span>
+          <span className='w-14 text-right font-medium'>
+            {savedPercent(f) > 0 ? '-' : '+'}
+            {Math.abs(savedPercent(f)).toFixed(1)}%
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+
+  return (
+    <div className='space-y-4 pb-20 text-sm'>
+      <div className='grid grid-cols-2 md:grid-cols-4 gap-4'>
+        {[
+          ['已压缩', `${totals.files} 个文件`],
+          ['原始大小', formatSize(totals.before)],
+          ['压缩后', formatSize(totals.after)],
+          [
+            '共节省',
+            `${signedSize(saved)} (${((saved / totals.before) * 100).toFixed(1)}%)`,
+          ],
+        ].map(([label, value]) => (
+          <div key={label} className={card}>
+            <div className='text-gray-500'>{label}</div>
+            <div className='text-lg font-semibold text-gray-900 mt-1'>
+              {value}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div className={card}>
+        <div className='flex items-center justify-between mb-4'>
+          <span className='font-medium text-gray-700'>节省趋势</span>
+          <div className='flex gap-1 bg-gray-100 p-0.5 rounded-md text-xs'>
+            {[
+              ['day', '按天'],
+              ['week', '按周'],
+            ].map(([value, label]) => (
+              <button
+                key={value}
+                onClick={() => setUnit(value)}
+                className={`px-2 py-1 rounded ${
+                  unit === value ? 'bg-white shadow-sm text-gray-900' : 'text-gray-500'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        </div>
+        <div className='flex items-end gap-1 h-32'>
+          {stats.timeline.map((b) => (
+            <div
+              key={b.start}
+              className='flex-1 h-full flex items-end'
+              title={`${localDay(b.start)}${unit === 'week' ? ' 起一周' : ''}：节省 ${signedSize(b.saved)}，${b.files} 个文件`}
+            >
+              <div
+                className='w-full bg-blue-500 rounded-t'
+                style={{
+                  height: `${(Math.max(b.saved, 0) / maxSaved) * 100}%`,
+                  minHeight: b.files > 0 ? '2px' : 0,
+                }}
+              />
+            </div>
+          ))}
+        </div>
+        <div className='flex gap-1 mt-1 text-[10px] text-gray-400'>
+          {stats.timeline.map((b) => (
+            <span key={b.start} className='flex-1 text-center truncate'>
+              {localDay(b.start).slice(5)}
+            </span>
+          ))}
+        </div>
+      </div>
+
+      <div className='grid md:grid-cols-2 gap-4'>
+        <div className={card}>
+          <div className='font-medium text-gray-700 mb-3'>按格式</div>
+          <table className='w-full text-xs text-gray-600'>
+            <thead className='text-gray-400 text-left'>
+              <tr>
+                <th className='font-normal pb-1'>格式</th>
+                <th className='font-normal pb-1 text-right'>文件</th>
+                <th className='font-normal pb-1 text-right'>平均节省</th>
+                <th className='font-normal pb-1 text-right'>共节省</th>
+              </tr>
+            </thead>
+            <tbody>
+              {stats.formats.map((f) => (
+                <tr key={f.label}>
+                  <td className='py-0.5'>{f.label}</td>
+                  <td className='py-0.5 text-right'>{f.files}</td>
+                  <td className='py-0.5 text-right'>
+                    {f.averagePercent.toFixed(1)}%
+                  </td>
+                  <td className='py-0.5 text-right'>{signedSize(f.saved)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <div className={card}>
+          <div className='font-medium text-gray-700 mb-3'>消耗的压缩次数</div>
+          <div className='space-y-1.5 text-xs text-gray-600'>
+            <div className='flex justify-between'>
+              <span>直连（自己的 API Key）</span>
+              <span>{compressions.direct}</span>
+            </div>
+            <div className='flex justify-between'>
+              <span>代理</span>
+              <span>{compressions.proxy}</span>
+            </div>
+          </div>
+          <p className='text-xs text-gray-400 mt-3'>
+            按每次请求实际消耗的次数累计：直连取 Tinify 返回的 Compression-Count
+            的变化，代理取其返回的 X-Compressions-Used。应用预设和重新获取都计入，
+            缓存命中和代理本地处理的 SVG 不消耗次数
+            {compressions.unrecorded > 0 &&
+              `；另有 ${compressions.unrecorded} 个文件压缩于开始记录之前，未计入`}
+          </p>
+        </div>
+
+        <div className={card}>
+          <div className='font-medium text-gray-700 mb-3'>节省最多</div>
+          {stats.largest.length > 0 ? (
+            fileList(stats.largest)
+          ) : (
+            <p className='text-xs text-gray-400'>暂无</p>
+          )}
+        </div>
+
+        <div className={card}>
+          <div className='font-medium text-gray-700 mb-3'>
+            几乎没有变小（节省不到 {LOW_SAVINGS_PERCENT}%）
+          </div>
+          {stats.barely.length > 0 ? (
+            fileList(stats.barely)
+          ) : (
+            <p className='text-xs text-gray-400'>暂无</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const FileItem = ({
+  item,
+  onRemove,
+  onDownload,
+  onCancel,
+  onCompare,
+  onRefetch,
+  onRecompress,
+}) => {
   const saving =
     item.compressedSize > 0
       ? (
@@ -177,19 +1392,37 @@ const FileItem = ({ item, onRemove, onDownload }) => {
 
         <div className='flex-1 min-w-0'>
           <div className='flex items-center justify-between mb-1'>
-            <p
-              className='font-medium text-gray-900 truncate pr-4'
-              title={item.name}
-            >
-              {item.name}
-            </p>
+            <div className='flex items-center gap-2 min-w-0 pr-4'>
+              <p
+                className='font-medium text-gray-900 truncate'
+                title={item.relativePath || item.name}
+              >
+                {item.relativePath && item.relativePath.includes('/') && (
+                  <span className='text-gray-400 font-normal'>
+                    {item.relativePath.slice(
+                      0,
+                      item.relativePath.lastIndexOf('/') + 1,
+                    )}
+                  </span>
+                )}
+                {item.name}
+              </p>
+              {item.preset && (
+                <span
+                  className='text-xs text-blue-600 bg-blue-50 px-1.5 py-0.5 rounded shrink-0'
+                  title='压缩时使用的预设'
+                >
+                  {item.preset.name}
+                </span>
+              )}
+            </div>
             <span
               className={`text-xs font-medium px-2 py-0.5 rounded-full ${
                 item.status === 'success'
                   ? 'bg-green-100 text-green-700'
                   : item.status === 'error'
                     ? 'bg-red-100 text-red-700'
-                    : item.status === 'compressing'
+                    : item.status === 'compressing' || item.status === 'queued'
                       ? 'bg-blue-100 text-blue-700'
                       : 'bg-gray-100 text-gray-600'
               }`}
@@ -200,7 +1433,11 @@ const FileItem = ({ item, onRemove, onDownload }) => {
                   ? '失败'
                   : item.status === 'compressing'
                     ? '压缩中'
-                    : '等待中'}
+                    : item.status === 'queued'
+                      ? '排队中'
+                      : item.status === 'cancelled'
+                        ? '已取消'
+                        : '等待中'}
             </span>
           </div>
 
@@ -215,6 +1452,25 @@ const FileItem = ({ item, onRemove, onDownload }) => {
                 {item.error}
               </span>
             )}
+            {item.status === 'success' && !item.resultBlob && (
+              <span className='flex items-center gap-2 text-orange-500'>
+                结果未保存在本地
+                <button
+                  onClick={() => onRefetch(item)}
+                  className='text-blue-600 hover:underline'
+                >
+                  重新获取
+                </button>
+                {item.fileBlob && (
+                  <button
+                    onClick={() => onRecompress(item)}
+                    className='text-blue-600 hover:underline'
+                  >
+                    重新压缩
+                  </button>
+                )}
+              </span>
+            )}
           </div>
 
           {item.status === 'compressing' && (
@@ -224,6 +1480,24 @@ const FileItem = ({ item, onRemove, onDownload }) => {
       </div>
 
       <div className='flex items-center gap-2 ml-4'>
+        {ACTIVE_STATUSES.includes(item.status) && (
+          <button
+            onClick={() => onCancel(item.id)}
+            className='p-2 text-gray-400 hover:text-orange-600 hover:bg-orange-50 rounded-lg transition-colors'
+            title='取消'
+          >
+            <Icon name='x' className='text-xl' />
+          </button>
+        )}
+        {item.status === 'success' && item.fileBlob && (
+          <button
+            onClick={() => onCompare(item)}
+            className='p-2 text-gray-400 hover:text-blue-600 hover:bg-blue-50 rounded-lg transition-colors'
+            title='对比原图'
+          >
+            <Icon name='eye' className='text-xl' />
+          </button>
+        )}
         {item.status === 'success' && (
           <button
             onClick={() => onDownload(item)}
@@ -247,23 +1521,88 @@ const FileItem = ({ item, onRemove, onDownload }) => {
 
 const App = () => {
   const [apiKey, setApiKey] = useState('');
+  const [proxyToken, setProxyToken] = useState('');
+  const [proxyQuota, setProxyQuota] = useState(null);
+  const [keyCompressionCount, setKeyCompressionCount] = useState(null);
   const [files, setFiles] = useState([]);
   const [isDragging, setIsDragging] = useState(false);
-  const [isProcessing, setIsProcessing] = useState(false);
+  const [concurrency, setConcurrency] = useState(DEFAULT_CONCURRENCY);
+  const [isPaused, setIsPaused] = useState(false);
+  const [presets, setPresets] = useState(DEFAULT_PRESETS);
+  const [selectedPresetId, setSelectedPresetId] = useState(null);
+  const [storagePolicy, setStoragePolicy] = useState(DEFAULT_STORAGE_POLICY);
+  const [storageEstimate, setStorageEstimate] = useState(null);
+  // Id of the file open in the comparison viewer
+  const [compareId, setCompareId] = useState(null);
+  const [view, setView] = useState('files'); // 'files' | 'history' | 'stats'
   const fileInputRef = useRef(null);
+  // AbortController per file being compressed, and the client of the running batch
+  const controllersRef = useRef(new Map());
+  const batchClientRef = useRef(null);
+  const wasProcessingRef = useRef(false);
+
+  const isProcessing = files.some((f) => ACTIVE_STATUSES.includes(f.status));
+  const comparable = files.filter((f) => f.status === 'success' && f.fileBlob);
+  const compareIndex = comparable.findIndex((f) => f.id === compareId);
+  const listSaved = files
+    .filter((f) => f.status === 'success')
+    .reduce((sum, f) => sum + savedBytes(f), 0);
   const folderInputRef = useRef(null);
 
   // Load initial data
   useEffect(() => {
     const savedKey = localStorage.getItem('tinify_api_key');
     if (savedKey) setApiKey(savedKey);
+    const savedToken = localStorage.getItem('tinify_proxy_token');
+    if (savedToken) setProxyToken(savedToken);
+    const savedConcurrency = Number(localStorage.getItem('tinify_concurrency'));
+    if (
+      savedConcurrency >= MIN_CONCURRENCY &&
+      savedConcurrency <= MAX_CONCURRENCY
+    ) {
+      setConcurrency(savedConcurrency);
+    }
+    // A queue paused before the reload stays paused once it is requeued below
+    if (localStorage.getItem('tinify_paused') === '1') setIsPaused(true);
+    try {
+      const savedPresets = JSON.parse(localStorage.getItem('tinify_presets'));
+      if (Array.isArray(savedPresets)) setPresets(savedPresets);
+    } catch (err) {
+      console.error('Failed to read presets:', err);
+    }
+    setSelectedPresetId(localStorage.getItem('tinify_preset_id') || null);
+    let policy = DEFAULT_STORAGE_POLICY;
+    try {
+      policy = {
+        ...DEFAULT_STORAGE_POLICY,
+        ...JSON.parse(localStorage.getItem('tinify_storage_policy')),
+      };
+    } catch (err) {
+      console.error('Failed to read storage policy:', err);
+    }
+    setStoragePolicy(policy);
+    // Ask the browser not to clear our data under storage pressure
+    if (navigator.storage && navigator.storage.persist) {
+      navigator.storage.persist().catch(() => {});
+    }
 
     const loadFiles = async () => {
-      const savedFiles = await getAllFilesFromDB();
+      // Files removed from the list are only kept for the history
+      const savedFiles = (await getAllFilesFromDB()).filter((f) => !f.removedAt);
       // Revoke old object URLs to avoid memory leaks if we stored them (we don't store URLs in DB, just blobs)
       // Re-create object URLs for blobs if needed, but here we might just have raw data
       // Actually, we can't store Blobs directly in localStorage, so we used IndexedDB
-      setFiles(savedFiles);
+      // A reload interrupts the queue; whatever was waiting or in flight goes back in line
+      const restored = await Promise.all(
+        savedFiles.map(async (f) => {
+          if (!ACTIVE_STATUSES.includes(f.status)) return f;
+          const requeued = { ...f, status: 'queued', error: null };
+          await saveFileToDB(requeued);
+          return requeued;
+        }),
+      );
+      setFiles(restored);
+      enforceStoragePolicy(policy);
     };
     loadFiles();
   }, []);
@@ -275,18 +1614,135 @@ const App = () => {
     localStorage.setItem('tinify_api_key', newKey);
   };
 
+  const handleConcurrencyChange = (e) => {
+    const value = Number(e.target.value);
+    setConcurrency(value);
+    localStorage.setItem('tinify_concurrency', String(value));
+  };
+
+  const updatePaused = (paused) => {
+    setIsPaused(paused);
+    localStorage.setItem('tinify_paused', paused ? '1' : '0');
+  };
+
+  const savePresets = (next) => {
+    setPresets(next);
+    localStorage.setItem('tinify_presets', JSON.stringify(next));
+  };
+
+  const handlePresetSelect = (id) => {
+    setSelectedPresetId(id);
+    if (id) localStorage.setItem('tinify_preset_id', id);
+    else localStorage.removeItem('tinify_preset_id');
+  };
+
+  const handlePresetSave = (preset) => {
+    if (preset.id) {
+      savePresets(presets.map((p) => (p.id === preset.id ? preset : p)));
+    } else {
+      const created = { ...preset, id: crypto.randomUUID() };
+      savePresets([...presets, created]);
+      handlePresetSelect(created.id);
+    }
+  };
+
+  const handlePresetDelete = (id) => {
+    const preset = presets.find((p) => p.id === id);
+    if (!preset || !confirm(`确定要删除预设「${preset.name}」吗？`)) return;
+    savePresets(presets.filter((p) => p.id !== id));
+    handlePresetSelect(null);
+  };
+
+  const refreshStorageEstimate = async () => {
+    if (!navigator.storage || !navigator.storage.estimate) return;
+    try {
+      setStorageEstimate(await navigator.storage.estimate());
+    } catch (err) {
+      setStorageEstimate(null);
+    }
+  };
+
+  // Drop stored blobs the policy no longer allows. Decided from IndexedDB, and
+  // only the blob fields are written, so files that changed meanwhile (e.g.
+  // requeued) are not reverted
+  const enforceStoragePolicy = async (policy = storagePolicy) => {
+    const drops = storagePolicyDrops(await getAllFilesFromDB(), policy);
+    if (drops.length === 0) return refreshStorageEstimate();
+    const byId = new Map((await dropBlobsFromDB(drops)).map((f) => [f.id, f]));
+    setFiles((prev) =>
+      prev.map((f) => {
+        const stored = byId.get(f.id);
+        if (!stored || f.status !== 'success' || f.completedAt !== stored.completedAt)
+          return f;
+        return { ...f, fileBlob: stored.fileBlob, resultBlob: stored.resultBlob };
+      }),
+    );
+    refreshStorageEstimate();
+  };
+
+  const handleStoragePolicyChange = (policy) => {
+    setStoragePolicy(policy);
+    localStorage.setItem('tinify_storage_policy', JSON.stringify(policy));
+    enforceStoragePolicy(policy);
+  };
+
+  // Save proxy client token
+  const handleProxyTokenChange = (e) => {
+    const newToken = e.target.value.trim();
+    setProxyToken(newToken);
+    localStorage.setItem('tinify_proxy_token', newToken);
+  };
+
+  // The proxy identifies clients by an issued token
+  const getProxyHeaders = () =>
+    proxyToken ? { Authorization: 'Bearer ' + proxyToken } : {};
+
+  // Tinify directly with the user's key, otherwise through the proxy
+  const getTinifyClient = () =>
+    apiKey
+      ? new Tinify.TinifyClient({ apiKey })
+      : new Tinify.TinifyClient({ proxyUrl: PROXY_BASE_URL, token: proxyToken });
+
+  // Remaining proxy quota this month; the hint is simply hidden if this fails
+  const refreshProxyQuota = async () => {
+    if (apiKey) {
+      setProxyQuota(null);
+      return;
+    }
+    try {
+      const response = await fetch(`${PROXY_BASE_URL}/api/usage`, {
+        headers: getProxyHeaders(),
+      });
+      if (!response.ok) throw new Error(response.statusText);
+      const usage = await response.json();
+      setProxyQuota(usage.quota);
+    } catch (err) {
+      setProxyQuota(null);
+    }
+  };
+
+  useEffect(() => {
+    refreshProxyQuota();
+    setKeyCompressionCount(null);
+  }, [apiKey, proxyToken]);
+
+  // `fileList` holds { file, path }, path being where the file sits in the
+  // chosen or dropped folder (just the name for loose files)
   const processNewFiles = async (fileList) => {
     const newFiles = [];
-    for (const file of fileList) {
+    for (const { file, path } of fileList) {
       if (
         !file.type.startsWith('image/') &&
-        !/\.(png|jpe?g|webp)$/i.test(file.name)
+        !/\.(png|jpe?g|webp|avif|svg)$/i.test(file.name)
       )
         continue;
 
-      // Simple check for duplicates
-      const isDuplicate = files.some(
-        (f) => f.name === file.name && f.originalSize === file.size,
+      // The same file added twice (same place, same content) is skipped
+      const relativePath = normalizeRelativePath(path || '') || file.name;
+      const hash = await sha256Hex(file);
+      const sameContent = await getFilesByIndex('hash', hash);
+      const isDuplicate = sameContent.some(
+        (f) => !f.removedAt && (f.relativePath || f.name) === relativePath,
       );
       if (isDuplicate) continue;
 
@@ -294,8 +1750,10 @@ const App = () => {
       const fileData = {
         id,
         name: file.name,
+        relativePath,
         originalSize: file.size,
         type: file.type,
+        hash,
         status: 'pending',
         compressedSize: 0,
         url: null,
@@ -315,76 +1773,126 @@ const App = () => {
 
   const handleFileSelect = (e) => {
     if (e.target.files) {
-      processNewFiles(Array.from(e.target.files));
+      processNewFiles(
+        Array.from(e.target.files).map((file) => ({
+          file,
+          path: file.webkitRelativePath || file.name,
+        })),
+      );
     }
     e.target.value = '';
   };
 
   const handleDrop = useCallback(
-    (e) => {
+    async (e) => {
       e.preventDefault();
       setIsDragging(false);
 
-      const items = e.dataTransfer.items;
-      const fileList = [];
+      // Entries must be taken while the event is dispatched; the list is
+      // emptied once the handler yields
+      const entries = Array.from(e.dataTransfer.items || [])
+        .filter((item) => item.kind === 'file' && item.webkitGetAsEntry)
+        .map((item) => item.webkitGetAsEntry())
+        .filter(Boolean);
+      const droppedFiles = Array.from(e.dataTransfer.files || []);
 
-      // Simple handling for now - just get files
-      if (e.dataTransfer.files) {
-        processNewFiles(Array.from(e.dataTransfer.files));
+      if (entries.length > 0) {
+        try {
+          const found = await Promise.all(entries.map(readEntryFiles));
+          processNewFiles(found.flat());
+          return;
+        } catch (err) {
+          console.error('Failed to read dropped folder:', err);
+        }
       }
+      processNewFiles(droppedFiles.map((file) => ({ file, path: file.name })));
     },
-    [files],
-  ); // Dependency on files for duplicate check in processNewFiles (though processNewFiles uses current state via setFiles updater if written correctly, but here we read 'files' state directly inside processNewFiles so we need it in dependency or refactor)
+    [],
+  ); // processNewFiles checks for duplicates in the DB, not in `files`
 
   const removeFile = async (id) => {
-    await deleteFileFromDB(id);
+    const controller = controllersRef.current.get(id);
+    if (controller) {
+      controllersRef.current.delete(id);
+      controller.abort();
+    }
+    await removeFilesFromDB([id]);
     setFiles((prev) => prev.filter((f) => f.id !== id));
   };
 
   const clearAll = async () => {
-    if (confirm('确定要清空所有记录吗？')) {
-      await clearDB();
+    if (confirm('确定要清空文件列表吗？压缩过的文件仍会保留在历史记录中。')) {
+      await removeFilesFromDB(files.map((f) => f.id));
       setFiles([]);
     }
   };
 
-  const compressFile = async (fileItem) => {
-    const useProxy = !apiKey;
-    const url = useProxy ? `${PROXY_BASE_URL}/api/compress` : 'https://api.tinify.com/shrink';
-
+  const compressFile = async (fileItem, client, signal) => {
+    // What this run spends is added to what earlier runs of the file spent
+    const usage = { compressions: 0 };
+    const withUsage = (item) => ({
+      ...item,
+      mode: client.mode,
+      compressionsUsed: (fileItem.compressionsUsed || 0) + usage.compressions,
+    });
     try {
-      // Update status to compressing
+      // Update status to compressing; stored too, so a reload can requeue it
       const updatedItem = { ...fileItem, status: 'compressing', error: null };
       setFiles((prev) =>
         prev.map((f) => (f.id === fileItem.id ? updatedItem : f)),
       );
+      await saveFileToDB(updatedItem);
 
-      const headers = {};
-      if (!useProxy) {
-        headers['Authorization'] = 'Basic ' + btoa('api:' + apiKey);
+      if (client.mode === 'direct' && isProxyOnlyFormat(fileItem)) {
+        throw new Error('SVG 需要通过代理压缩，请清空 API Key 后重试');
       }
 
-      const response = await fetch(url, {
-        method: 'POST',
-        headers: headers,
-        body: fileItem.fileBlob,
+      const data = await client.shrink(fileItem.fileBlob, {
+        contentType: fileItem.fileBlob.type,
+        sha256:
+          client.mode === 'proxy'
+            ? fileItem.hash || (await sha256Hex(fileItem.fileBlob))
+            : undefined,
+        signal,
+        usage,
       });
 
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(errorData.message || response.statusText);
-      }
-
-      const data = await response.json();
-      console.log("🚀 ~ compressFile ~ data:", data)
-
       if (data.output && data.output.url) {
-        const successItem = {
+        let successItem = {
           ...updatedItem,
           status: 'success',
           compressedSize: data.output.size,
+          outputType: data.output.type,
           url: data.output.url,
+          resultBlob: null,
         };
+
+        // SVG is compressed locally by the proxy and has no Tinify output to
+        // apply operations to
+        const operations = presetOperations(fileItem.preset);
+        const isTinifyResult = !data.engine || data.engine === 'tinify';
+        if (operations && isTinifyResult) {
+          const blob = await client.operations(data.output.url, operations, {
+            responseType: 'blob',
+            signal,
+            usage,
+          });
+          successItem = {
+            ...successItem,
+            compressedSize: blob.size,
+            outputType: blob.type || data.output.type,
+            resultBlob: blob,
+          };
+        } else {
+          // Kept locally as well: Tinify's result URLs expire
+          const blob = await client.download(data.output.url, {
+            responseType: 'blob',
+            signal,
+            usage,
+          });
+          successItem = { ...successItem, preset: null, resultBlob: blob };
+        }
+        successItem = withUsage({ ...successItem, completedAt: Date.now() });
         // Update DB with success state
         await saveFileToDB(successItem);
         return successItem;
@@ -392,75 +1900,203 @@ const App = () => {
         throw new Error('Invalid response');
       }
     } catch (error) {
-      const errorItem = {
-        ...fileItem,
-        status: 'error',
-        error: error.message,
-      };
+      const errorItem = withUsage(
+        signal.aborted
+          ? { ...fileItem, status: 'cancelled', error: null }
+          : { ...fileItem, status: 'error', error: describeTinifyError(error) },
+      );
       await saveFileToDB(errorItem);
       return errorItem;
     }
   };
 
-  const startCompression = async () => {
-    setIsProcessing(true);
-    const pendingFiles = files.filter(
-      (f) => f.status === 'pending' || f.status === 'error',
+  const runFile = async (fileItem) => {
+    if (!batchClientRef.current) batchClientRef.current = getTinifyClient();
+    const controller = new AbortController();
+    controllersRef.current.set(fileItem.id, controller);
+    const result = await compressFile(
+      fileItem,
+      batchClientRef.current,
+      controller.signal,
     );
-
-    // Process sequentially to avoid rate limits/browser issues
-    for (const file of pendingFiles) {
-      const result = await compressFile(file);
-      setFiles((prev) => prev.map((f) => (f.id === result.id ? result : f)));
+    // Removed while in flight: take the record compressFile just stored off
+    // the list again
+    if (controllersRef.current.get(fileItem.id) !== controller) {
+      await removeFilesFromDB([fileItem.id]);
+      return;
     }
-    setIsProcessing(false);
+    controllersRef.current.delete(fileItem.id);
+    setFiles((prev) => prev.map((f) => (f.id === result.id ? result : f)));
   };
 
-  const downloadFileContent = async (url) => {
-    const useProxy = !apiKey;
-
-    if (useProxy) {
-      const proxyDownloadUrl = `${PROXY_BASE_URL}/api/download`;
-      
-      const response = await fetch(proxyDownloadUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({ url })
-      });
+  // The queue: start queued files, in list order, while slots are free
+  useEffect(() => {
+    if (isPaused) return;
+    let free = concurrency - controllersRef.current.size;
+    for (const file of files) {
+      if (free <= 0) break;
+      if (file.status !== 'queued' || controllersRef.current.has(file.id))
+        continue;
+      runFile(file);
+      free--;
+    }
+  }, [files, isPaused, concurrency]);
 
-      if (!response.ok) {
-        throw new Error(`Proxy download failed: ${response.statusText}`);
+  // After a batch: refresh the quota hints
+  useEffect(() => {
+    if (wasProcessingRef.current && !isProcessing) {
+      const client = batchClientRef.current;
+      batchClientRef.current = null;
+      if (client && client.compressionCount !== null) {
+        setKeyCompressionCount(client.compressionCount);
       }
-      return await response.blob();
-    } else {
-      const headers = {
-        'Authorization': 'Basic ' + btoa('api:' + apiKey)
-      };
-      
-      const response = await fetch(url, { headers });
-      if (!response.ok) {
-        throw new Error(`Direct download failed: ${response.statusText}`);
+      refreshProxyQuota();
+      enforceStoragePolicy();
+    }
+    wasProcessingRef.current = isProcessing;
+  }, [isProcessing]);
+
+  // Every start is recorded as a batch, which the history groups files by
+  const createBatch = async (preset) => {
+    const batch = {
+      id: crypto.randomUUID(),
+      createdAt: Date.now(),
+      mode: getTinifyClient().mode,
+      presetName: preset ? preset.name : null,
+    };
+    await saveBatchToDB(batch);
+    return batch;
+  };
+
+  const startCompression = async () => {
+    const startable = files.filter((f) => STARTABLE_STATUSES.includes(f.status));
+    if (startable.length === 0) return;
+    // Each file keeps the preset it was queued with, also across reloads
+    const preset = presets.find((p) => p.id === selectedPresetId) || null;
+    const batch = await createBatch(preset);
+    const queued = startable.map((f) => ({
+      ...f,
+      status: 'queued',
+      error: null,
+      preset,
+      batchId: batch.id,
+    }));
+    await Promise.all(queued.map((f) => saveFileToDB(f)));
+    const byId = new Map(queued.map((f) => [f.id, f]));
+    setFiles((prev) => prev.map((f) => byId.get(f.id) || f));
+    updatePaused(false);
+  };
+
+  // Queued files are taken out of line; files in flight are aborted and
+  // marked cancelled when their request ends
+  const cancelFiles = async (ids) => {
+    const cancelled = [];
+    for (const f of files) {
+      if (!ids.includes(f.id)) continue;
+      const controller = controllersRef.current.get(f.id);
+      if (controller) {
+        controller.abort();
+      } else if (f.status === 'queued') {
+        cancelled.push({ ...f, status: 'cancelled' });
       }
-      return await response.blob();
     }
+    await Promise.all(cancelled.map((f) => saveFileToDB(f)));
+    const byId = new Map(cancelled.map((f) => [f.id, f]));
+    setFiles((prev) => prev.map((f) => byId.get(f.id) || f));
+  };
+
+  const cancelFile = (id) => cancelFiles([id]);
+
+  const cancelAll = () =>
+    cancelFiles(
+      files.filter((f) => ACTIVE_STATUSES.includes(f.status)).map((f) => f.id),
+    );
+
+  // Fetch a result again from its output URL, re-applying the preset (which
+  // costs compressions). Resolves with the blob and the record, which carries
+  // the compressions spent (stored right away). Output URLs expire, so this
+  // may fail.
+  const fetchResult = async (item) => {
+    const client = getTinifyClient();
+    const operations = presetOperations(item.preset);
+    const usage = { compressions: 0 };
+    let blob;
+    try {
+      blob = operations
+        ? await client.operations(item.url, operations, { responseType: 'blob', usage })
+        : await client.download(item.url, { responseType: 'blob', usage });
+    } catch (error) {
+      throw new Error(describeTinifyError(error));
+    }
+    if (usage.compressions === 0) return { blob, item };
+    const spent = {
+      ...item,
+      compressionsUsed: (item.compressionsUsed || 0) + usage.compressions,
+    };
+    await saveFileToDB(spent);
+    setFiles((prev) => prev.map((f) => (f.id === item.id ? spent : f)));
+    return { blob, item: spent };
+  };
+
+  // The compressed image: the stored copy, or downloaded again when it was
+  // evicted or never stored. A result with a preset is not fetched here, as
+  // re-applying the preset spends quota; that takes an explicit "重新获取".
+  const downloadFileContent = async (item) => {
+    if (item.resultBlob) return item.resultBlob;
+    if (presetOperations(item.preset)) {
+      throw new Error('结果未保存在本地，请先点击“重新获取”');
+    }
+    return (await fetchResult(item)).blob;
+  };
+
+  const refetchResult = async (item) => {
+    if (
+      presetOperations(item.preset) &&
+      !confirm(
+        `重新获取需要再次应用预设“${item.preset.name}”，会消耗压缩次数。确定继续吗？`,
+      )
+    )
+      return;
+    try {
+      const { blob, item: current } = await fetchResult(item);
+      const updated = { ...current, resultBlob: blob, compressedSize: blob.size };
+      await saveFileToDB(updated);
+      setFiles((prev) => prev.map((f) => (f.id === item.id ? updated : f)));
+      refreshStorageEstimate();
+    } catch (err) {
+      alert(
+        `重新获取失败: ${err.message}${item.fileBlob ? '，请尝试重新压缩' : ''}`,
+      );
+    }
+  };
+
+  const recompressFile = async (item) => {
+    const batch = await createBatch(item.preset);
+    const queued = {
+      ...item,
+      status: 'queued',
+      error: null,
+      resultBlob: null,
+      batchId: batch.id,
+    };
+    await saveFileToDB(queued);
+    setFiles((prev) => prev.map((f) => (f.id === item.id ? queued : f)));
   };
 
   const handleDownload = async (fileItem) => {
     try {
-      const blob = await downloadFileContent(fileItem.url);
+      const blob = await downloadFileContent(fileItem);
       const objectUrl = URL.createObjectURL(blob);
       
       if (window.chrome && chrome.downloads) {
         chrome.downloads.download({
           url: objectUrl,
-          filename: fileItem.name
+          filename: outputFileName(fileItem)
         });
       } else {
         const a = document.createElement('a');
         a.href = objectUrl;
-        a.download = fileItem.name;
+        a.download = outputFileName(fileItem);
         document.body.appendChild(a);
         a.click();
         document.body.removeChild(a);
@@ -486,16 +2122,34 @@ const App = () => {
     btn.disabled = true;
 
     try {
-      const promises = successFiles.map(async (item) => {
+      // Paths are claimed in list order so the renaming is predictable
+      const taken = new Set();
+      const renamed = [];
+      const entries = successFiles.map((item) => {
+        const wanted = outputFileName(item, item.relativePath || item.name);
+        const path = claimUniquePath(wanted, taken);
+        if (path !== wanted) renamed.push(`${wanted} → ${path}`);
+        return { item, path };
+      });
+
+      const failed = [];
+      const promises = entries.map(async ({ item, path }) => {
         try {
-          const blob = await downloadFileContent(item.url);
-          folder.file(item.name, blob);
+          const blob = await downloadFileContent(item);
+          folder.file(path, blob);
         } catch (e) {
           console.error('Download failed for', item.name, e);
+          failed.push(`${item.name}：${e.message}`);
         }
       });
 
       await Promise.all(promises);
+      if (renamed.length > 0) {
+        alert(`以下文件在压缩包中重名，已自动重命名：\n${renamed.join('\n')}`);
+      }
+      if (failed.length > 0) {
+        alert(`以下文件未能加入压缩包：\n${failed.join('\n')}`);
+      }
       const content = await zip.generateAsync({ type: 'blob' });
 
       const url = URL.createObjectURL(content);
@@ -535,6 +2189,29 @@ const App = () => {
         <p className='text-gray-500'>
           高效、批量、无损压缩您的 PNG 和 JPEG 图片
         </p>
+        {!apiKey && proxyQuota && (
+          <p
+            className={`text-sm ${
+              proxyQuota.remaining <=
+              proxyQuota.monthlyLimitPerKey * proxyQuota.keys.length * 0.1
+                ? 'text-orange-500'
+                : 'text-gray-400'
+            }`}
+          >
+            本月剩余 {proxyQuota.remaining} 次压缩
+          </p>
+        )}
+        {apiKey && keyCompressionCount !== null && (
+          <p
+            className={`text-sm ${
+              keyCompressionCount >= FREE_MONTHLY_COMPRESSIONS * 0.9
+                ? 'text-orange-500'
+                : 'text-gray-400'
+            }`}
+          >
+            本月已使用 {keyCompressionCount} 次压缩（免费额度 {FREE_MONTHLY_COMPRESSIONS} 次）
+          </p>
+        )}
       </div>
 
       {/* API Key Input */}
@@ -555,13 +2232,50 @@ const App = () => {
           />
           <Icon name='key' className='absolute left-3.5 top-3 text-gray-400 text-lg' />
         </div>
+        {!apiKey && (
+          <>
+            <label className='block text-sm font-medium text-gray-700 mt-4 mb-2'>
+              代理令牌
+              <span className='text-gray-400 font-normal ml-2'>
+                (代理服务器要求认证时填写)
+              </span>
+            </label>
+            <div className='relative'>
+              <input
+                type='password'
+                value={proxyToken}
+                onChange={handleProxyTokenChange}
+                placeholder='请输入代理令牌（可选）'
+                className='w-full pl-10 pr-4 py-2.5 bg-gray-50 border border-gray-200 rounded-lg focus:bg-white focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all outline-none'
+              />
+              <Icon name='key' className='absolute left-3.5 top-3 text-gray-400 text-lg' />
+            </div>
+          </>
+        )}
       </div>
 
+      {/* Presets */}
+      <PresetPanel
+        presets={presets}
+        selectedId={selectedPresetId}
+        onSelect={handlePresetSelect}
+        onSave={handlePresetSave}
+        onDelete={handlePresetDelete}
+      />
+
+      {/* Local storage */}
+      <StoragePanel
+        estimate={storageEstimate}
+        storedTotal={files.reduce((sum, f) => sum + storedBytes(f), 0)}
+        policy={storagePolicy}
+        onPolicyChange={handleStoragePolicyChange}
+      />
+
       {/* Drop Zone */}
       <input
         type='file'
         multiple
-        accept='image/png, image/jpeg, image/webp'
+        accept='image/png, image/jpeg, image/webp, image/avif, image/svg+xml'
         className='hidden'
         ref={fileInputRef}
         onChange={handleFileSelect}
@@ -596,7 +2310,7 @@ const App = () => {
         <h3 className='text-lg font-medium text-gray-900 mb-1'>
           点击或拖拽图片到这里
         </h3>
-        <p className='text-gray-500 text-sm mb-4'>支持 JPG, PNG, WebP</p>
+        <p className='text-gray-500 text-sm mb-4'>支持 JPG, PNG, WebP, AVIF；代理模式下还支持 SVG</p>
 
         <div className='flex justify-center gap-3'>
           <Button
@@ -620,8 +2334,35 @@ const App = () => {
         </div>
       </div>
 
+      {/* View switch */}
+      <div className='flex gap-1 bg-gray-100 p-1 rounded-lg w-fit text-sm'>
+        {[
+          ['files', 'images', '文件列表'],
+          ['history', 'clock-counter-clockwise', '历史记录'],
+          ['stats', 'chart-bar', '统计'],
+        ].map(([value, icon, label]) => (
+          <button
+            key={value}
+            onClick={() => setView(value)}
+            className={`flex items-center gap-1.5 px-3 py-1.5 rounded-md transition-colors ${
+              view === value
+                ? 'bg-white text-gray-900 shadow-sm'
+                : 'text-gray-500 hover:text-gray-700'
+            }`}
+          >
+            <Icon name={icon} /> {label}
+          </button>
+        ))}
+      </div>
+
+      {view === 'history' && (
+        <HistoryPanel files={files} onDownload={handleDownload} />
+      )}
+
+      {view === 'stats' && <StatsPanel files={files} />}
+
       {/* Actions & Stats */}
-      {files.length > 0 && (
+      {view === 'files' && files.length > 0 && (
         <div className='flex items-center justify-between bg-white p-4 rounded-xl border border-gray-100 shadow-sm sticky top-4 z-10'>
           <div className='text-sm text-gray-600 font-medium'>
             <span className='bg-gray-100 px-2 py-1 rounded-md mr-2'>
@@ -630,27 +2371,70 @@ const App = () => {
             <span className='text-green-600'>
               {files.filter((f) => f.status === 'success').length} 完成
             </span>
+            {listSaved > 0 && (
+              <span className='ml-2 text-gray-500'>
+                节省 {formatSize(listSaved)}
+              </span>
+            )}
+            {isProcessing && (
+              <span className='ml-2 text-blue-600 inline-flex items-center gap-1'>
+                {isPaused ? (
+                  '已暂停'
+                ) : (
+                  <Icon name='spinner' className='animate-spin' />
+                )}
+                {files.filter((f) => f.status === 'queued').length} 排队中
+              </span>
+            )}
           </div>
           <div className='flex gap-2'>
-            <Button
-              onClick={startCompression}
-              disabled={
-                isProcessing ||
-                !files.some(
-                  (f) => f.status === 'pending' || f.status === 'error',
-                )
-              }
-            >
-              {isProcessing ? (
-                <>
-                  <Icon name='spinner' className='animate-spin' /> 处理中...
-                </>
-              ) : (
-                <>
-                  <Icon name='play' /> 开始压缩
-                </>
-              )}
-            </Button>
+            <label className='flex items-center gap-1 text-sm text-gray-500'>
+              并发
+              <select
+                value={concurrency}
+                onChange={handleConcurrencyChange}
+                className='bg-gray-50 border border-gray-200 rounded-lg px-2 py-1.5 outline-none focus:ring-2 focus:ring-blue-500'
+              >
+                {Array.from(
+                  { length: MAX_CONCURRENCY - MIN_CONCURRENCY + 1 },
+                  (_, i) => MIN_CONCURRENCY + i,
+                ).map((n) => (
+                  <option key={n} value={n}>
+                    {n}
+                  </option>
+                ))}
+              </select>
+            </label>
+            {isProcessing ? (
+              <>
+                <Button
+                  variant='secondary'
+                  onClick={() => updatePaused(!isPaused)}
+                >
+                  {isPaused ? (
+                    <>
+                      <Icon name='play' /> 继续
+                    </>
+                  ) : (
+                    <>
+                      <Icon name='pause' /> 暂停
+                    </>
+                  )}
+                </Button>
+                <Button variant='secondary' onClick={cancelAll}>
+                  <Icon name='stop' /> 全部取消
+                </Button>
+              </>
+            ) : (
+              <Button
+                onClick={startCompression}
+                disabled={
+                  !files.some((f) => STARTABLE_STATUSES.includes(f.status))
+                }
+              >
+                <Icon name='play' /> 开始压缩
+              </Button>
+            )}
             <Button
               id='download-all-btn'
               variant='secondary'
@@ -667,16 +2451,32 @@ const App = () => {
       )}
 
       {/* File List */}
-      <div className='space-y-3 pb-20'>
-        {files.map((file) => (
-          <FileItem 
-            key={file.id} 
-            item={file} 
-            onRemove={removeFile} 
-            onDownload={handleDownload}
-          />
-        ))}
-      </div>
+      {view === 'files' && (
+        <div className='space-y-3 pb-20'>
+          {files.map((file) => (
+            <FileItem 
+              key={file.id} 
+              item={file} 
+              onRemove={removeFile} 
+              onDownload={handleDownload}
+              onCancel={cancelFile}
+              onCompare={(item) => setCompareId(item.id)}
+              onRefetch={refetchResult}
+              onRecompress={recompressFile}
+            />
+          ))}
+        </div>
+      )}
+
+      {compareIndex !== -1 && (
+        <CompareViewer
+          items={comparable}
+          index={compareIndex}
+          onNavigate={(i) => setCompareId(comparable[i].id)}
+          onClose={() => setCompareId(null)}
+          loadResult={downloadFileContent}
+        />
+      )}
     </div>
   );
 };
@@ -0,0 +1,372 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+require('dotenv').config({ quiet: true });
+const { createDirectCompressor, createProxyCompressor } = require('../lib/compressors');
+const { mapWithConcurrency } = require('../lib/concurrency');
+const { TinifyLock, LOCK_FILE_NAME } = require('../lib/tinify_lock');
+const { sha256 } = require('../lib/result_cache');
+const { isTransientError } = require('../lib/retry');
+const { ImageWatcher } = require('../lib/image_watcher');
+const logger = require('../lib/logger');
+
+const USAGE = `Usage: tinify-compress <dir> [options]
+       tinify-compress --watch <dir>... [options]
+
+Compress every image under <dir> (PNG, JPEG, WebP, AVIF, SVG). Processed
+files are recorded in ${LOCK_FILE_NAME} and skipped while they are unchanged.
+With --watch, keeps running and compresses images as they are added or changed;
+with several directories, --out gets one subdirectory per directory.
+
+Options:
+  -k, --key <key>           Tinify API key (default: $TINIFY_API_KEY)
+  -p, --proxy <url>         Compress through a proxy server instead (default: $TINIFY_PROXY_URL)
+  -t, --token <token>       Client token for the proxy (default: $TINIFY_PROXY_TOKEN)
+  -o, --out <dir>           Write into a mirrored tree under <dir> instead of in place
+  -c, --concurrency <n>     Files compressed at the same time (default: 4)
+      --min-savings <pct>   Keep the original unless it shrinks by at least <pct>% (default: 0)
+  -n, --dry-run             List the images that would be compressed, without uploading
+      --check               Only verify that every image is recorded as compressed
+      --lock <file>         Lock file (default: ${LOCK_FILE_NAME} in the output directory)
+  -w, --watch               Watch the directories and compress new or changed images
+      --debounce <ms>       How long a file must stay unchanged before it is compressed (default: 500)
+  -h, --help                Show this help
+
+Exit codes: 0 all images processed, 1 some images failed (or, with --check,
+are not compressed), 2 invalid usage.`;
+
+const IMAGE_EXTENSIONS = new Set(['.png', '.jpg', '.jpeg', '.webp', '.avif', '.svg']);
+const SKIPPED_DIRECTORIES = new Set(['node_modules']);
+
+class UsageError extends Error {}
+
+function parseOptions(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            key: { type: 'string', short: 'k' },
+            proxy: { type: 'string', short: 'p' },
+            token: { type: 'string', short: 't' },
+            out: { type: 'string', short: 'o' },
+            concurrency: { type: 'string', short: 'c', default: '4' },
+            'min-savings': { type: 'string', default: '0' },
+            'dry-run': { type: 'boolean', short: 'n', default: false },
+            check: { type: 'boolean', default: false },
+            lock: { type: 'string' },
+            watch: { type: 'boolean', short: 'w', default: false },
+            debounce: { type: 'string', default: '500' },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+    if (values.help) return { help: true };
+
+    if (values.watch) {
+        if (positionals.length === 0) throw new UsageError('Expected at least one directory to watch.');
+        if (values['dry-run'] || values.check) throw new UsageError('--watch cannot be combined with --dry-run or --check.');
+        if (positionals.length > 1 && values.lock) throw new UsageError('--lock can only be used with a single directory.');
+    } else if (positionals.length !== 1) {
+        throw new UsageError('Expected exactly one directory to compress.');
+    }
+    const inputs = positionals.map(dir => {
+        const input = path.resolve(dir);
+        if (!fs.existsSync(input) || !fs.statSync(input).isDirectory()) throw new UsageError(`Not a directory: ${dir}`);
+        return input;
+    });
+    if (inputs.length > 1 && new Set(inputs.map(input => path.basename(input))).size < inputs.length) {
+        throw new UsageError('Watched directories must have different names.');
+    }
+
+    const concurrency = Number(values.concurrency);
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+        throw new UsageError('--concurrency must be a positive integer.');
+    }
+    const minSavings = Number(values['min-savings']);
+    if (!Number.isFinite(minSavings) || minSavings < 0 || minSavings >= 100) {
+        throw new UsageError('--min-savings must be a percentage from 0 to 99.');
+    }
+    const debounce = Number(values.debounce);
+    if (!Number.isInteger(debounce) || debounce < 0) {
+        throw new UsageError('--debounce must be a number of milliseconds.');
+    }
+
+    if (values.key && values.proxy) throw new UsageError('Use either --key or --proxy, not both.');
+    const apiKey = values.key || (!values.proxy && process.env.TINIFY_API_KEY);
+    const proxyUrl = values.proxy || (!apiKey && process.env.TINIFY_PROXY_URL);
+    if (!apiKey && !proxyUrl && !values['dry-run'] && !values.check) {
+        throw new UsageError('Provide a Tinify API key (--key or TINIFY_API_KEY) or a proxy URL (--proxy or TINIFY_PROXY_URL).');
+    }
+
+    const out = values.out ? path.resolve(values.out) : null;
+    const roots = inputs.map(input => {
+        const rootOut = out && inputs.length > 1 ? path.join(out, path.basename(input)) : out;
+        return { input, out: rootOut, lockPath: path.resolve(values.lock || path.join(rootOut || input, LOCK_FILE_NAME)) };
+    });
+    return {
+        roots,
+        apiKey,
+        proxyUrl,
+        token: values.token || process.env.TINIFY_PROXY_TOKEN,
+        concurrency,
+        minSavings,
+        dryRun: values['dry-run'],
+        check: values.check,
+        watch: values.watch,
+        debounce
+    };
+}
+
+const isImageFile = name => IMAGE_EXTENSIONS.has(path.extname(name).toLowerCase());
+const isSkippedDirectory = name => name.startsWith('.') || SKIPPED_DIRECTORIES.has(name);
+
+const isInside = (file, dir) => {
+    const relative = path.relative(dir, file);
+    return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+};
+
+// Every image below `dir`, sorted; hidden directories, node_modules and the
+// output tree (when it sits inside the input) are not entered
+async function findImages(dir, exclude) {
+    const found = [];
+    for (const entry of await fs.promises.readdir(dir, { withFileTypes: true })) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            if (isSkippedDirectory(entry.name) || fullPath === exclude) continue;
+            found.push(...await findImages(fullPath, exclude));
+        } else if (entry.isFile() && isImageFile(entry.name)) {
+            found.push(fullPath);
+        }
+    }
+    return found.sort();
+}
+
+// Write through a temporary file so an interrupted run never leaves half an image
+async function writeAtomic(target, buffer) {
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    const tmpPath = `${target}.tinify-tmp`;
+    await fs.promises.writeFile(tmpPath, buffer);
+    await fs.promises.rename(tmpPath, target);
+}
+
+const describeError = error => {
+    if (error.response) {
+        const data = error.response.data;
+        const message = data && typeof data === 'object' && !Buffer.isBuffer(data) ? data.message : null;
+        return `${error.response.status} ${message || error.message}`;
+    }
+    // TinifyClient errors carry the HTTP status themselves
+    if (error.status) return `${error.status} ${error.message}`;
+    return error.message;
+};
+
+const targetPath = (file, options) => (options.out ? path.join(options.out, path.relative(options.input, file)) : file);
+
+// Whether a file still matches its lock entry: in place, the file itself is the
+// recorded output; with --out, the source must be the recorded original and the
+// output must still be there unchanged
+async function isUpToDate(lock, source, target, options) {
+    const entry = lock.get(target);
+    if (!entry) return false;
+    const sourceHash = sha256(source);
+    if (!options.out) return entry.hash === sourceHash;
+    if (entry.originalHash !== sourceHash) return false;
+    try {
+        return sha256(await fs.promises.readFile(target)) === entry.hash;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Compress one file; resolves with a summary row and never throws
+async function compressFile(file, options, compressor, lock) {
+    const target = targetPath(file, options);
+    const original = await fs.promises.readFile(file);
+    const row = { file: path.relative(options.input, file), originalSize: original.length, outputSize: null, status: 'pending', error: null };
+
+    if (await isUpToDate(lock, original, target, options)) {
+        row.status = 'up-to-date';
+        row.outputSize = lock.get(target).compressedSize;
+        if (options.out) row.originalSize = lock.get(target).originalSize;
+        return row;
+    }
+    if (options.check) {
+        row.status = 'failed';
+        row.error = lock.get(target) ? `changed since it was recorded in ${LOCK_FILE_NAME}` : `not recorded in ${LOCK_FILE_NAME}`;
+        return row;
+    }
+    if (options.dryRun) {
+        row.status = 'dry-run';
+        return row;
+    }
+
+    try {
+        const result = await compressor.compress(original);
+        row.outputSize = result.buffer.length;
+        const savedPercent = (1 - result.buffer.length / original.length) * 100;
+
+        if (result.buffer.length >= original.length || savedPercent < options.minSavings) {
+            // Keep the original; a mirrored tree still gets a copy
+            row.status = 'skipped';
+            if (options.out) await writeAtomic(target, original);
+            lock.record(target, { source: original, output: original, engine: result.engine });
+        } else {
+            row.status = 'compressed';
+            await writeAtomic(target, result.buffer);
+            lock.record(target, { source: original, output: result.buffer, engine: result.engine });
+        }
+    } catch (error) {
+        row.status = 'failed';
+        row.error = describeError(error);
+        row.retryable = isTransientError(error);
+    }
+    return row;
+}
+
+const formatBytes = bytes => {
+    if (bytes === null) return '-';
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+};
+
+const formatSaved = (before, after) => (after === null || before === 0 ? '-' : `${((1 - after / before) * 100).toFixed(1)}%`);
+
+function printSummary(rows) {
+    const table = [['File', 'Original', 'Compressed', 'Saved', 'Status']].concat(rows.map(row => [
+        row.file,
+        formatBytes(row.originalSize),
+        formatBytes(row.outputSize),
+        formatSaved(row.originalSize, row.outputSize),
+        row.error ? `${row.status}: ${row.error}` : row.status
+    ]));
+    const widths = table[0].map((cell, column) => Math.max(...table.map(line => line[column].length)));
+    for (const line of table) {
+        console.log(line.map((cell, column) => (column >= 1 && column <= 3 ? cell.padStart(widths[column]) : cell.padEnd(widths[column]))).join('  ').trimEnd());
+    }
+
+    const count = status => rows.filter(row => row.status === status).length;
+    const written = rows.filter(row => row.status === 'compressed');
+    const before = written.reduce((sum, row) => sum + row.originalSize, 0);
+    const after = written.reduce((sum, row) => sum + row.outputSize, 0);
+    console.log(`\n${rows.length} image(s): ${count('compressed')} compressed, ${count('skipped')} skipped, ` +
+        `${count('up-to-date')} up to date, ${count('failed')} failed` +
+        (written.length > 0 ? `; ${formatBytes(before)} -> ${formatBytes(after)} (${formatSaved(before, after)} saved)` : ''));
+}
+
+// One JSON log line per file, for watch mode
+function logRow(row, options) {
+    const fields = { dir: options.input, file: row.file, status: row.status, originalSize: row.originalSize, outputSize: row.outputSize };
+    if (row.status === 'failed') logger.warn('Image failed', { ...fields, error: row.error });
+    else if (row.status === 'up-to-date') logger.debug('Image up to date', fields);
+    else logger.info(`Image ${row.status}`, fields);
+}
+
+async function compressTree(options, compressor) {
+    const files = await findImages(options.input, options.out);
+    if (files.length === 0) {
+        console.log(`No images found under ${options.input}`);
+        return 0;
+    }
+
+    let lock;
+    try {
+        lock = new TinifyLock({ lockPath: options.lockPath });
+    } catch (error) {
+        console.error(`Could not read ${options.lockPath}: ${error.message}`);
+        return 2;
+    }
+
+    const rows = await mapWithConcurrency(files, options.concurrency, file => compressFile(file, options, compressor, lock));
+    printSummary(rows);
+
+    if (!options.dryRun && !options.check) {
+        lock.retain(files.map(file => targetPath(file, options)));
+        await lock.save();
+    }
+    return rows.some(row => row.status === 'failed') ? 1 : 0;
+}
+
+// Long-running mode: one pass over every tree, then each image that is added or
+// changed. Our own writes land in the lock file before the watcher sees them, so
+// an image written in place comes back as up to date instead of looping.
+async function watch(options, compressor) {
+    const roots = [];
+    for (const root of options.roots) {
+        try {
+            roots.push({ options: { ...options, ...root }, lock: new TinifyLock({ lockPath: root.lockPath }) });
+        } catch (error) {
+            console.error(`Could not read ${root.lockPath}: ${error.message}`);
+            return 2;
+        }
+    }
+    const rootOf = file => roots.find(root => isInside(file, root.options.input));
+
+    const processFile = async (file, root) => {
+        const row = await compressFile(file, root.options, compressor, root.lock);
+        logRow(row, root.options);
+        if (row.status === 'compressed' || row.status === 'skipped') await root.lock.save();
+        return row;
+    };
+
+    for (const root of roots) {
+        const files = await findImages(root.options.input, root.options.out);
+        await mapWithConcurrency(files, options.concurrency, file => processFile(file, root));
+        root.lock.retain(files.map(file => targetPath(file, root.options)));
+        await root.lock.save();
+    }
+
+    const watcher = new ImageWatcher({
+        dirs: roots.map(root => root.options.input),
+        concurrency: options.concurrency,
+        debounceMs: options.debounce,
+        accept: file => {
+            const root = rootOf(file);
+            if (!root || !isImageFile(file)) return false;
+            if (root.options.out && isInside(file, root.options.out)) return false;
+            return !path.relative(root.options.input, path.dirname(file)).split(path.sep).some(isSkippedDirectory);
+        },
+        handle: async file => {
+            const row = await processFile(file, rootOf(file));
+            return { retry: !!row.retryable };
+        }
+    });
+    watcher.start();
+
+    await new Promise(resolve => {
+        process.once('SIGINT', resolve);
+        process.once('SIGTERM', resolve);
+    });
+    logger.info('Stopping watcher');
+    await watcher.close();
+    await Promise.all(roots.map(root => root.lock.saving));
+    return 0;
+}
+
+async function main(argv) {
+    let options;
+    try {
+        options = parseOptions(argv);
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+    if (options.help) {
+        console.log(USAGE);
+        return 0;
+    }
+
+    const compressor = options.apiKey
+        ? createDirectCompressor({ apiKey: options.apiKey, baseUrl: process.env.TINIFY_BASE_URL || undefined })
+        : createProxyCompressor({ proxyUrl: options.proxyUrl || '', token: options.token });
+
+    if (options.watch) return watch(options, compressor);
+    return compressTree({ ...options, ...options.roots[0] }, compressor);
+}
+
+main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+}, error => {
+    console.error(error);
+    process.exitCode = 1;
+});
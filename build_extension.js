@@ -17,7 +17,18 @@ const ICONS = [
     'folder',
     'spinner',
     'play',
-    'download'
+    'download',
+    'pause',
+    'stop',
+    'x',
+    'eye',
+    'caret-left',
+    'caret-right',
+    'magnifying-glass-plus',
+    'magnifying-glass-minus',
+    'caret-down',
+    'clock-counter-clockwise',
+    'chart-bar'
 ];
 
 // Ensure dist directory exists
@@ -91,7 +102,9 @@ async function build() {
     console.log('📂 Copying static files...');
     const filesToCopy = [
         'manifest.json',
-        'background.js'
+        'background.js',
+        'tinify_client.js',
+        'file_store.js'
     ];
     
     // Copy icons directory if exists
@@ -212,8 +225,8 @@ async function build() {
     // Remove any CDN links
     htmlContent = htmlContent.replace(/<script[^>]*src=["']https?:\/\/.*["'][^>]*>[\s\S]*?<\/script>/g, '');
 
-    // Remove existing local scripts that we are going to inject (jszip.min.js)
-    htmlContent = htmlContent.replace(/<script[^>]*src=["']jszip\.min\.js["'][^>]*>[\s\S]*?<\/script>/g, '');
+    // Remove existing local scripts that we are going to inject (jszip.min.js, tinify_client.js, file_store.js)
+    htmlContent = htmlContent.replace(/<script[^>]*src=["'](jszip\.min|tinify_client|file_store)\.js["'][^>]*>[\s\S]*?<\/script>/g, '');
 
     // Inject CSS
     if (!htmlContent.includes('href="style.css"')) {
@@ -225,6 +238,8 @@ async function build() {
     <script src="react.js"></script>
     <script src="react-dom.js"></script>
     <script src="jszip.min.js"></script>
+    <script src="tinify_client.js"></script>
+    <script src="file_store.js"></script>
     <script src="icons.js"></script>
     <script src="app.js"></script>
     `;
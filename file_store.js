@@ -0,0 +1,291 @@
+// IndexedDB storage for the extension: the files added to the list (with their
+// original and compressed blobs) and the compression batches they ran in.
+// Loaded with a <script> tag in the extension (as window.FileStore) and with
+// require() by the tests, which provide `indexedDB` through fake-indexeddb.
+//
+// Files removed from the list are kept, marked with `removedAt`, so the history
+// and statistics still cover them; clearHistoryFromDB() deletes them for good.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.FileStore = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const DB_NAME = 'TinifyCompressorDB';
+    const DB_VERSION = 2;
+    const STORE_NAME = 'files';
+    const BATCHES_STORE_NAME = 'batches';
+
+    // YYYY-MM-DD in local time
+    const localDay = (time) => {
+        const d = new Date(time);
+        return [
+            d.getFullYear(),
+            String(d.getMonth() + 1).padStart(2, '0'),
+            String(d.getDate()).padStart(2, '0')
+        ].join('-');
+    };
+
+    // Schema upgrades: MIGRATIONS[n] takes a database at version n to n + 1 and
+    // runs in the upgrade transaction, so it may only queue IndexedDB requests
+    // (no awaiting anything else, or the transaction commits under it)
+    const MIGRATIONS = [
+        // v1: one flat store of files
+        (db) => {
+            if (!db.objectStoreNames.contains(STORE_NAME)) {
+                db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+            }
+        },
+        // v2: compression batches, and indexes on files. Files compressed before
+        // batches existed are grouped into one batch per day.
+        (db, tx) => {
+            const files = tx.objectStore(STORE_NAME);
+            files.createIndex('status', 'status');
+            files.createIndex('batchId', 'batchId');
+            files.createIndex('hash', 'hash');
+            files.createIndex('timestamp', 'timestamp');
+            const batches = db.createObjectStore(BATCHES_STORE_NAME, { keyPath: 'id' });
+            batches.createIndex('createdAt', 'createdAt');
+
+            const legacy = new Map();
+            files.openCursor().onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor) {
+                    legacy.forEach((batch) => batches.put(batch));
+                    return;
+                }
+                // The file list is read through the timestamp index, which leaves out
+                // records without one
+                const file = { timestamp: Date.now(), ...cursor.value };
+                if (file.status !== 'pending') {
+                    const time = file.completedAt || file.timestamp;
+                    const id = `legacy-${localDay(time)}`;
+                    const batch = legacy.get(id) || { id, createdAt: time, migrated: true };
+                    batch.createdAt = Math.min(batch.createdAt, time);
+                    legacy.set(id, batch);
+                    file.batchId = id;
+                }
+                cursor.update(file);
+                cursor.continue();
+            };
+        }
+    ];
+
+    const openDB = () => {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onerror = () => reject(request.error);
+            request.onsuccess = () => resolve(request.result);
+            request.onupgradeneeded = (event) => {
+                const db = event.target.result;
+                for (let version = event.oldVersion; version < DB_VERSION; version++) {
+                    MIGRATIONS[version](db, request.transaction);
+                }
+            };
+        });
+    };
+
+    const requestResult = (request) =>
+        new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+    const transactionDone = (tx) =>
+        new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+
+    const saveFileToDB = async (fileData) => {
+        try {
+            const db = await openDB();
+            const tx = db.transaction(STORE_NAME, 'readwrite');
+            tx.objectStore(STORE_NAME).put(fileData);
+            await transactionDone(tx);
+            return true;
+        } catch (err) {
+            console.error('Failed to save file to DB:', err);
+            return false;
+        }
+    };
+
+    // Every stored file, removed ones included, in the order they were added
+    const getAllFilesFromDB = async () => {
+        try {
+            const db = await openDB();
+            const tx = db.transaction(STORE_NAME, 'readonly');
+            const store = tx.objectStore(STORE_NAME);
+            return await requestResult(store.index('timestamp').getAll());
+        } catch (err) {
+            console.error('Failed to load files from DB:', err);
+            return [];
+        }
+    };
+
+    // Files whose `indexName` field (status, batchId, hash, timestamp) equals `value`
+    const getFilesByIndex = async (indexName, value) => {
+        try {
+            const db = await openDB();
+            const tx = db.transaction(STORE_NAME, 'readonly');
+            const store = tx.objectStore(STORE_NAME);
+            return await requestResult(store.index(indexName).getAll(value));
+        } catch (err) {
+            console.error('Failed to query files from DB:', err);
+            return [];
+        }
+    };
+
+    const deleteFileFromDB = async (id) => {
+        try {
+            const db = await openDB();
+            const tx = db.transaction(STORE_NAME, 'readwrite');
+            tx.objectStore(STORE_NAME).delete(id);
+            await transactionDone(tx);
+        } catch (err) {
+            console.error('Failed to delete file from DB:', err);
+        }
+    };
+
+    // Take files off the list. Files that ran in a batch stay for the history,
+    // without their original; files never compressed are deleted. Resolves with
+    // the records as they are now stored.
+    const removeFilesFromDB = async (ids, now = Date.now()) => {
+        try {
+            const db = await openDB();
+            const tx = db.transaction(STORE_NAME, 'readwrite');
+            const store = tx.objectStore(STORE_NAME);
+            const removed = [];
+            for (const id of ids) {
+                const request = store.get(id);
+                request.onsuccess = () => {
+                    const file = request.result;
+                    if (!file) return;
+                    if (!file.batchId) {
+                        store.delete(id);
+                        return;
+                    }
+                    const hidden = { ...file, removedAt: now, fileBlob: null };
+                    store.put(hidden);
+                    removed.push(hidden);
+                };
+            }
+            await transactionDone(tx);
+            return removed;
+        } catch (err) {
+            console.error('Failed to remove files from DB:', err);
+            return [];
+        }
+    };
+
+    // Clear stored blobs of finished files. `drops` is [{ id, completedAt, fields }],
+    // `fields` naming the blobs to clear (fileBlob, resultBlob). Only those fields
+    // are written, all in one transaction, and files requeued or compressed again
+    // since `completedAt` are left alone. Resolves with the records as now stored.
+    const dropBlobsFromDB = async (drops) => {
+        try {
+            const db = await openDB();
+            const tx = db.transaction(STORE_NAME, 'readwrite');
+            const store = tx.objectStore(STORE_NAME);
+            const updated = [];
+            for (const { id, completedAt, fields } of drops) {
+                const request = store.get(id);
+                request.onsuccess = () => {
+                    const file = request.result;
+                    if (!file || file.status !== 'success' || file.completedAt !== completedAt) return;
+                    const next = { ...file };
+                    fields.forEach((field) => {
+                        next[field] = null;
+                    });
+                    store.put(next);
+                    updated.push(next);
+                };
+            }
+            await transactionDone(tx);
+            return updated;
+        } catch (err) {
+            console.error('Failed to drop stored blobs:', err);
+            return [];
+        }
+    };
+
+    // Delete the files removed from the list, and the batches left without files
+    const clearHistoryFromDB = async () => {
+        try {
+            const db = await openDB();
+            const tx = db.transaction([STORE_NAME, BATCHES_STORE_NAME], 'readwrite');
+            const files = tx.objectStore(STORE_NAME);
+            const batches = tx.objectStore(BATCHES_STORE_NAME);
+            const keptBatches = new Set();
+            files.openCursor().onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (cursor) {
+                    if (cursor.value.removedAt) {
+                        cursor.delete();
+                    } else if (cursor.value.batchId) {
+                        keptBatches.add(cursor.value.batchId);
+                    }
+                    cursor.continue();
+                    return;
+                }
+                batches.openCursor().onsuccess = (batchEvent) => {
+                    const batchCursor = batchEvent.target.result;
+                    if (!batchCursor) return;
+                    if (!keptBatches.has(batchCursor.value.id)) batchCursor.delete();
+                    batchCursor.continue();
+                };
+            };
+            await transactionDone(tx);
+        } catch (err) {
+            console.error('Failed to clear history:', err);
+        }
+    };
+
+    const saveBatchToDB = async (batch) => {
+        try {
+            const db = await openDB();
+            const tx = db.transaction(BATCHES_STORE_NAME, 'readwrite');
+            tx.objectStore(BATCHES_STORE_NAME).put(batch);
+            await transactionDone(tx);
+        } catch (err) {
+            console.error('Failed to save batch to DB:', err);
+        }
+    };
+
+    // Newest first
+    const getAllBatchesFromDB = async () => {
+        try {
+            const db = await openDB();
+            const tx = db.transaction(BATCHES_STORE_NAME, 'readonly');
+            const store = tx.objectStore(BATCHES_STORE_NAME);
+            const batches = await requestResult(store.index('createdAt').getAll());
+            return batches.reverse();
+        } catch (err) {
+            console.error('Failed to load batches from DB:', err);
+            return [];
+        }
+    };
+
+    return {
+        DB_NAME,
+        DB_VERSION,
+        STORE_NAME,
+        BATCHES_STORE_NAME,
+        MIGRATIONS,
+        localDay,
+        openDB,
+        saveFileToDB,
+        getAllFilesFromDB,
+        getFilesByIndex,
+        deleteFileFromDB,
+        removeFilesFromDB,
+        dropBlobsFromDB,
+        clearHistoryFromDB,
+        saveBatchToDB,
+        getAllBatchesFromDB
+    };
+}));
@@ -0,0 +1,122 @@
+const { Readable } = require('stream');
+const { dispatch, readBody } = require('./http_bridge');
+
+// Response bodies sent as text; everything else is base64 encoded
+const TEXT_TYPE_PATTERN = /^(text\/|application\/(json|xml|javascript)|[^;]*\+(json|xml))/i;
+
+const lowerCaseHeaders = headers => {
+    const result = {};
+    for (const [name, value] of Object.entries(headers || {})) {
+        if (value == null) continue;
+        result[name.toLowerCase()] = Array.isArray(value) ? value.join(', ') : String(value);
+    }
+    return result;
+};
+
+const queryString = event => {
+    if (typeof event.rawQueryString === 'string') return event.rawQueryString;
+    const params = new URLSearchParams();
+    const multi = event.multiValueQueryStringParameters;
+    const single = event.queryParameters || event.queryStringParameters || {};
+    if (multi) {
+        for (const [name, values] of Object.entries(multi)) {
+            for (const value of [].concat(values)) params.append(name, value);
+        }
+    } else {
+        for (const [name, value] of Object.entries(single)) {
+            for (const item of [].concat(value)) params.append(name, item);
+        }
+    }
+    return params.toString();
+};
+
+// HTTP trigger events from Alibaba Function Compute and API Gateway style platforms
+// (payload v1 and v2) reduced to a dispatch() request. FC passes the event as a Buffer.
+function requestFromEvent(event) {
+    if (Buffer.isBuffer(event) || typeof event === 'string') {
+        event = JSON.parse(event.toString('utf8'));
+    }
+    const context = event.requestContext || {};
+    const headers = lowerCaseHeaders({ ...event.headers, ...event.multiValueHeaders });
+    if (Array.isArray(event.cookies) && !headers.cookie) headers.cookie = event.cookies.join('; ');
+
+    let body = null;
+    if (event.body != null) {
+        body = event.isBase64Encoded ? Buffer.from(event.body, 'base64') : Buffer.from(String(event.body));
+        if (!headers['content-length'] && !headers['transfer-encoding']) {
+            headers['content-length'] = String(body.length);
+        }
+    }
+
+    const query = queryString(event);
+    return {
+        method: event.httpMethod || (context.http && context.http.method) || event.method || 'GET',
+        url: `${event.rawPath || event.path || '/'}${query ? `?${query}` : ''}`,
+        headers,
+        body,
+        remoteAddress: (context.http && context.http.sourceIp) || (context.identity && context.identity.sourceIp),
+        encrypted: (headers['x-forwarded-proto'] || 'https') === 'https'
+    };
+}
+
+// Wrap a request listener as a `(event, context) => result` function handler.
+// The result is { statusCode, headers, body, isBase64Encoded }; the whole response
+// is buffered, so streamed routes (SSE) only make sense behind the Express server.
+function toServerlessHandler(listener) {
+    return async (event, context) => {
+        const response = await dispatch(listener, requestFromEvent(event));
+        const buffer = await readBody(response.body);
+        const headers = lowerCaseHeaders(response.headers);
+        const isText = TEXT_TYPE_PATTERN.test(headers['content-type'] || '');
+        return {
+            statusCode: response.statusCode,
+            headers,
+            body: buffer.toString(isText ? 'utf8' : 'base64'),
+            isBase64Encoded: !isText
+        };
+    };
+}
+
+// Wrap a request listener as a Web-standard `fetch(Request) => Response` handler.
+// Bodies are streamed both ways and aborting the Request cancels the route.
+// `options.remoteAddress` is used for per-IP rate limiting when the runtime knows it.
+function toFetchHandler(listener) {
+    return async (request, options = {}) => {
+        const url = new URL(request.url);
+        const headers = {};
+        request.headers.forEach((value, name) => {
+            headers[name] = value;
+        });
+        if (!headers.host) headers.host = url.host;
+        // Streamed bodies have no length up front; without either header the body is ignored
+        if (request.body && !headers['content-length']) headers['transfer-encoding'] = 'chunked';
+
+        const response = await dispatch(listener, {
+            method: request.method,
+            url: `${url.pathname}${url.search}`,
+            headers,
+            body: request.body ? Readable.fromWeb(request.body) : null,
+            remoteAddress: options.remoteAddress,
+            encrypted: url.protocol === 'https:',
+            signal: request.signal
+        });
+
+        const responseHeaders = new Headers();
+        for (const [name, value] of Object.entries(response.headers)) {
+            for (const item of [].concat(value)) responseHeaders.append(name, String(item));
+        }
+        const hasBody = request.method !== 'HEAD' && ![204, 304].includes(response.statusCode);
+        if (!hasBody) response.body.resume();
+        return new Response(hasBody ? Readable.toWeb(response.body) : null, {
+            status: response.statusCode,
+            statusText: response.statusMessage,
+            headers: responseHeaders
+        });
+    };
+}
+
+module.exports = {
+    requestFromEvent,
+    toServerlessHandler,
+    toFetchHandler
+};
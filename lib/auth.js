@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+
+// Client tokens come from PROXY_CLIENT_TOKENS as comma separated "name:token"
+// pairs (a bare token is named after its position). Returns Map<token, name>.
+function clientsFromEnv(env = process.env) {
+    const clients = new Map();
+    (env.PROXY_CLIENT_TOKENS || '').split(',').map(item => item.trim()).filter(Boolean).forEach((item, index) => {
+        const separator = item.indexOf(':');
+        const name = separator > 0 ? item.slice(0, separator) : `client-${index + 1}`;
+        const token = separator > 0 ? item.slice(separator + 1) : item;
+        if (token) clients.set(token, name);
+    });
+    return clients;
+}
+
+// Allowed browser origins: CORS_ORIGINS plus chrome-extension://<id> for each EXTENSION_IDS entry
+function originsFromEnv(env = process.env) {
+    const list = value => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+    return [
+        ...list(env.CORS_ORIGINS),
+        ...list(env.EXTENSION_IDS).map(id => `chrome-extension://${id}`)
+    ];
+}
+
+class OriginNotAllowedError extends Error {
+    constructor(origin) {
+        super(`Origin "${origin}" is not allowed. Add it to CORS_ORIGINS or EXTENSION_IDS.`);
+        this.name = 'OriginNotAllowedError';
+        this.status = 403;
+    }
+}
+
+// Options for the cors middleware. Requests without an Origin (CLI, curl) are
+// let through here; browser requests from any other origin, including every
+// origin when the allowlist is empty, are refused with 403.
+function corsOptions(allowedOrigins, exposedHeaders = []) {
+    return {
+        origin: (origin, callback) => {
+            if (!origin) return callback(null, true);
+            if (!allowedOrigins.includes(origin)) return callback(new OriginNotAllowedError(origin));
+            callback(null, true);
+        },
+        exposedHeaders
+    };
+}
+
+const digest = value => crypto.createHash('sha256').update(value).digest();
+
+// Token from "Authorization: Bearer <token>", "X-Client-Token: <token>" or, for
+// EventSource which cannot set headers, a "?token=" query parameter
+function readToken(req) {
+    const header = req.get('Authorization') || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    if (match) return match[1].trim();
+    const token = req.get('X-Client-Token') || (typeof req.query.token === 'string' ? req.query.token : '');
+    return token.trim() || null;
+}
+
+// Middleware that checks the client token and sets req.client = { name, token }.
+// With no tokens configured every request is refused.
+function authenticate(clients) {
+    const entries = [...clients].map(([token, name]) => ({ name, token, hash: digest(token) }));
+
+    return (req, res, next) => {
+        if (req.method === 'OPTIONS') return next();
+
+        if (entries.length === 0) {
+            return res.status(401).json({ 
+                error: 'Unauthorized', 
+                message: 'The proxy has no client tokens configured (PROXY_CLIENT_TOKENS), so it accepts no requests.' 
+            });
+        }
+
+        const token = readToken(req);
+        if (!token) {
+            return res.status(401).json({ 
+                error: 'Unauthorized', 
+                message: 'A client token is required. Send it as "Authorization: Bearer <token>".' 
+            });
+        }
+
+        // Compare digests in constant time so the token cannot be guessed byte by byte
+        const hash = digest(token);
+        const match = entries.find(entry => crypto.timingSafeEqual(entry.hash, hash));
+        if (!match) {
+            return res.status(401).json({ 
+                error: 'Unauthorized', 
+                message: 'The client token is invalid.' 
+            });
+        }
+
+        req.client = { name: match.name, token: match.token };
+        next();
+    };
+}
+
+module.exports = {
+    clientsFromEnv,
+    originsFromEnv,
+    corsOptions,
+    OriginNotAllowedError,
+    authenticate
+};
@@ -0,0 +1,22 @@
+const { TinifyBackend } = require('./tinify_backend');
+
+// Compression backends by name. See TinifyBackend for the interface they implement.
+const BACKENDS = {
+    tinify: TinifyBackend
+};
+
+// COMPRESSION_BACKEND picks the implementation (default "tinify");
+// TINIFY_BASE_URL points it at another Tinify-compatible server such as the mock
+function backendFromEnv(env = process.env) {
+    const name = (env.COMPRESSION_BACKEND || 'tinify').trim().toLowerCase();
+    const Backend = BACKENDS[name];
+    if (!Backend) {
+        throw new Error(`Unknown COMPRESSION_BACKEND "${name}", expected one of: ${Object.keys(BACKENDS).join(', ')}`);
+    }
+    return new Backend({ baseUrl: env.TINIFY_BASE_URL || undefined });
+}
+
+module.exports = {
+    BACKENDS,
+    backendFromEnv
+};
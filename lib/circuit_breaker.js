@@ -0,0 +1,93 @@
+const { isTransientError } = require('./retry');
+
+// Only network failures and 5xx mean the upstream is down; 4xx (including 429) do not
+const isOutage = error => (error.response ? error.response.status >= 500 : isTransientError(error));
+
+class CircuitOpenError extends Error {
+    constructor(name, retryAfterMs) {
+        super(`${name} is unavailable; requests are paused for ${Math.ceil(retryAfterMs / 1000)}s.`);
+        this.name = 'CircuitOpenError';
+        this.status = 503;
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+// Circuit breaker for an upstream service. After `failureThreshold` consecutive
+// transient failures (network errors, 5xx) the circuit opens and calls fail fast
+// with CircuitOpenError. After `resetTimeoutMs` one trial call is let through
+// (half-open); its outcome closes the circuit again or re-opens it. `now`
+// returns the time in milliseconds; tests pass their own clock.
+class CircuitBreaker {
+    constructor({ name = 'upstream', failureThreshold = 5, resetTimeoutMs = 30000, onStateChange, now = Date.now } = {}) {
+        this.name = name;
+        this.now = now;
+        this.failureThreshold = failureThreshold;
+        this.resetTimeoutMs = resetTimeoutMs;
+        this.onStateChange = onStateChange;
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = 0;
+        this.trialInFlight = false;
+    }
+
+    setState(state) {
+        if (this.state === state) return;
+        const previous = this.state;
+        this.state = state;
+        if (this.onStateChange) this.onStateChange({ name: this.name, from: previous, to: state, failures: this.failures });
+    }
+
+    // Throws CircuitOpenError when calls are currently refused
+    before() {
+        if (this.state === 'closed') return false;
+
+        const elapsed = this.now() - this.openedAt;
+        if (this.state === 'open' && elapsed >= this.resetTimeoutMs) {
+            this.setState('half-open');
+        }
+        if (this.state === 'half-open' && !this.trialInFlight) {
+            this.trialInFlight = true;
+            return true;
+        }
+        throw new CircuitOpenError(this.name, Math.max(this.resetTimeoutMs - elapsed, 1000));
+    }
+
+    success() {
+        this.failures = 0;
+        this.setState('closed');
+    }
+
+    failure() {
+        this.failures++;
+        if (this.state === 'half-open' || this.failures >= this.failureThreshold) {
+            this.openedAt = this.now();
+            this.setState('open');
+        }
+    }
+
+    async exec(task) {
+        const trial = this.before();
+        try {
+            const result = await task();
+            // Resolved 5xx responses count as failures too
+            if (result && result.status >= 500) this.failure();
+            else this.success();
+            return result;
+        } catch (error) {
+            if (isOutage(error)) this.failure();
+            else if (error.response) this.success(); // a 4xx still proves the upstream is up
+            throw error;
+        } finally {
+            if (trial) this.trialInFlight = false;
+        }
+    }
+
+    snapshot() {
+        return { name: this.name, state: this.state, failures: this.failures };
+    }
+}
+
+module.exports = {
+    CircuitBreaker,
+    CircuitOpenError
+};
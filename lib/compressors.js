@@ -0,0 +1,61 @@
+const crypto = require('crypto');
+const { TinifyClient, UnsupportedError } = require('../tinify_client');
+const { axiosTransport } = require('./tinify_backend');
+const { LOCAL_ENGINES, sniffFormat, unsupportedMessage } = require('./formats');
+
+// Whole-file compressors for command line use. Both resolve `compress(buffer)`
+// with { buffer, width, height, engine } and route formats the same way the
+// proxy does: Tinify formats upstream, SVG through the local engine.
+// Requests go through TinifyClient (tinify_client.js), so failures reject with
+// its typed errors and transient ones are retried `retries` times.
+// `transport` replaces the axios transport (used by the tests).
+
+// Compress with a Tinify API key (or any Tinify-compatible `baseUrl`)
+function createDirectCompressor({ apiKey, baseUrl, retries, transport = axiosTransport } = {}) {
+    const client = new TinifyClient({ apiKey, baseUrl, retries, transport });
+
+    return {
+        mode: 'direct',
+        client,
+        async compress(buffer) {
+            const format = sniffFormat(buffer);
+            if (!format || !format.engine) throw new UnsupportedError(unsupportedMessage(format), { status: 415 });
+            if (format.engine !== 'tinify') {
+                const result = await LOCAL_ENGINES[format.engine](buffer);
+                return { ...result, engine: format.engine };
+            }
+
+            const data = await client.shrink(buffer, { contentType: format.type, maxBodyLength: Infinity });
+            const { url, width, height } = data.output;
+            const downloaded = await client.download(url);
+            return { buffer: Buffer.from(downloaded), width, height, engine: 'tinify' };
+        }
+    };
+}
+
+// Compress through a running proxy (server.js), optionally with a client token
+function createProxyCompressor({ proxyUrl, token, retries, transport = axiosTransport } = {}) {
+    const client = new TinifyClient({ proxyUrl, token, retries, transport });
+
+    return {
+        mode: 'proxy',
+        client,
+        async compress(buffer) {
+            const format = sniffFormat(buffer);
+            const data = await client.shrink(buffer, {
+                contentType: format ? format.type : 'application/octet-stream',
+                // Lets the proxy answer repeated files from its cache without the upload
+                sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+                maxBodyLength: Infinity
+            });
+            const { url, width, height } = data.output;
+            const downloaded = await client.download(url);
+            return { buffer: Buffer.from(downloaded), width, height, engine: data.engine || 'tinify' };
+        }
+    };
+}
+
+module.exports = {
+    createDirectCompressor,
+    createProxyCompressor
+};
@@ -0,0 +1,17 @@
+// Run `worker` over `items` with at most `limit` in flight, keeping result order
+async function mapWithConcurrency(items, limit, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+    const run = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await worker(items[index], index);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, run));
+    return results;
+}
+
+module.exports = {
+    mapWithConcurrency
+};
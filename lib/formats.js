@@ -0,0 +1,50 @@
+const { minifySvg } = require('./svg_minify');
+
+// Bytes needed to recognise a format; SVG may start with a long XML prolog or comment
+const SNIFF_BYTES = 16 * 1024;
+
+// Formats recognised from their first bytes. `engine` is what compresses them:
+// "tinify" for the upstream API, a LOCAL_ENGINES name, or null when unsupported.
+const FORMATS = [
+    { name: 'PNG', type: 'image/png', engine: 'tinify', test: b => b.length >= 8 && b.readUInt32BE(0) === 0x89504e47 && b.readUInt32BE(4) === 0x0d0a1a0a },
+    { name: 'JPEG', type: 'image/jpeg', engine: 'tinify', test: b => b.length >= 3 && b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+    { name: 'WebP', type: 'image/webp', engine: 'tinify', test: b => b.length >= 12 && b.toString('latin1', 0, 4) === 'RIFF' && b.toString('latin1', 8, 12) === 'WEBP' },
+    { name: 'AVIF', type: 'image/avif', engine: 'tinify', test: b => isFtyp(b, ['avif', 'avis']) },
+    { name: 'GIF', type: 'image/gif', engine: null, test: b => /^GIF8[79]a$/.test(b.toString('latin1', 0, 6)) },
+    { name: 'SVG', type: 'image/svg+xml', engine: 'svg', test: b => isSvg(b) },
+    { name: 'BMP', type: 'image/bmp', engine: null, test: b => b.length >= 14 && b.toString('latin1', 0, 2) === 'BM' },
+    { name: 'TIFF', type: 'image/tiff', engine: null, test: b => ['49492a00', '4d4d002a'].includes(b.toString('hex', 0, 4)) },
+    { name: 'HEIC', type: 'image/heic', engine: null, test: b => isFtyp(b, ['heic', 'heix', 'hevc', 'mif1', 'msf1']) },
+    { name: 'ICO', type: 'image/x-icon', engine: null, test: b => b.toString('hex', 0, 4) === '00000100' }
+];
+
+// ISO-BMFF files (AVIF, HEIC) carry their brand in the "ftyp" box
+const isFtyp = (buffer, brands) => buffer.length >= 12 &&
+    buffer.toString('latin1', 4, 8) === 'ftyp' && brands.includes(buffer.toString('latin1', 8, 12));
+
+// An <svg> root, possibly after a BOM, XML declaration, comments and a doctype
+const SVG_START = /^\uFEFF?\s*(?:<\?xml[^>]*\?>\s*)?(?:<!--[\s\S]*?-->\s*)*(?:<!DOCTYPE[^>\[]*(?:\[[\s\S]*?\])?\s*>\s*)?(?:<!--[\s\S]*?-->\s*)*<svg[\s>\/]/i;
+const isSvg = buffer => SVG_START.test(buffer.toString('utf8', 0, SNIFF_BYTES));
+
+// Compressors that run inside the proxy; each takes the image and resolves
+// with { buffer, width, height }
+const LOCAL_ENGINES = {
+    svg: minifySvg
+};
+
+const SUPPORTED_NAMES = FORMATS.filter(format => format.engine).map(format => format.name);
+
+// Format of an image from its first bytes, or null when unrecognised
+const sniffFormat = buffer => FORMATS.find(format => format.test(buffer)) || null;
+
+// Message for a format nothing here can compress (null for unrecognised data)
+const unsupportedMessage = format => `${format ? `${format.name} images are` : 'This file type is'} not supported. ` +
+    `Supported formats: ${SUPPORTED_NAMES.join(', ')}.`;
+
+module.exports = {
+    SNIFF_BYTES,
+    FORMATS,
+    LOCAL_ENGINES,
+    sniffFormat,
+    unsupportedMessage
+};
@@ -0,0 +1,103 @@
+const http = require('http');
+const { Readable, Duplex, PassThrough } = require('stream');
+
+const HEADER_END = Buffer.from('\r\n\r\n');
+
+// Runs one request through a Node request listener (an Express app) in memory,
+// with no network socket, so the same app can sit behind any transport.
+//
+// `request` is { method, url, headers, body, remoteAddress, encrypted, signal }, where
+// url is the path plus query string and body a Buffer, string, Readable or null.
+// Resolves as soon as the headers are sent with { statusCode, statusMessage, headers,
+// body }; body is a Readable of the response bytes, so streamed responses stay streamed.
+// Aborting `signal` closes the response the same way a client disconnect would.
+function dispatch(listener, request) {
+    return new Promise((resolve, reject) => {
+        const body = new PassThrough();
+        let head = Buffer.alloc(0);
+        let responded = false;
+
+        // Node writes the status line and headers before the body. They are dropped
+        // here and the response headers are reported from res.getHeaders() instead.
+        // A Duplex because body parsers treat a non-readable socket as a finished request.
+        const socket = new Duplex({
+            read() {},
+            write(chunk, encoding, callback) {
+                if (!responded) {
+                    head = Buffer.concat([head, chunk]);
+                    const end = head.indexOf(HEADER_END);
+                    if (end === -1) return callback();
+                    chunk = head.subarray(end + HEADER_END.length);
+                    responded = true;
+                    resolve({
+                        statusCode: res.statusCode,
+                        statusMessage: res.statusMessage,
+                        headers: res.getHeaders(),
+                        body
+                    });
+                }
+                if (chunk.length === 0 || body.write(chunk)) return callback();
+                body.once('drain', callback);
+            }
+        });
+        socket.remoteAddress = request.remoteAddress;
+        socket.encrypted = !!request.encrypted;
+
+        const req = new http.IncomingMessage(socket);
+        req.method = (request.method || 'GET').toUpperCase();
+        req.url = request.url || '/';
+        req.httpVersion = '1.1';
+        req.httpVersionMajor = 1;
+        req.httpVersionMinor = 1;
+        req.headers = request.headers || {};
+        req.rawHeaders = Object.entries(req.headers).flatMap(([name, value]) => [name, String(value)]);
+
+        const res = new http.ServerResponse(req);
+        // No chunked framing and no keep-alive: the bytes after the headers are the body
+        res.useChunkedEncodingByDefault = false;
+        res.shouldKeepAlive = false;
+        res.assignSocket(socket);
+
+        res.on('finish', () => {
+            body.end();
+            socket.destroy();
+        });
+        // Closing the socket before the response finished means the caller went away
+        socket.on('close', () => {
+            if (!res.writableFinished) body.destroy();
+            if (!responded) reject(new Error('Response closed before headers were sent'));
+        });
+        body.on('close', () => {
+            if (!res.writableFinished) socket.destroy();
+        });
+        if (request.signal) {
+            if (request.signal.aborted) return socket.destroy();
+            request.signal.addEventListener('abort', () => socket.destroy(), { once: true });
+        }
+
+        writeBody(req, request.body).catch(error => req.destroy(error));
+        listener(req, res);
+    });
+}
+
+async function writeBody(req, body) {
+    if (body instanceof Readable) {
+        for await (const chunk of body) req.push(chunk);
+    } else if (body != null && body.length > 0) {
+        req.push(Buffer.isBuffer(body) ? body : Buffer.from(body));
+    }
+    req.complete = true;
+    req.push(null);
+}
+
+// Collect a dispatched response body into one Buffer
+async function readBody(body) {
+    const chunks = [];
+    for await (const chunk of body) chunks.push(chunk);
+    return Buffer.concat(chunks);
+}
+
+module.exports = {
+    dispatch,
+    readBody
+};
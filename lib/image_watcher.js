@@ -0,0 +1,139 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const DEFAULT_DEBOUNCE_MS = 500;
+const DEFAULT_RETRY_DELAY_MS = 30 * 1000;
+const DEFAULT_MAX_RETRIES = 3;
+
+const sameStat = (a, b) => !!a && !!b && a.size === b.size && a.mtimeMs === b.mtimeMs;
+
+// Watches directory trees and hands files that have settled to `handle(file)`.
+// A file is handled once it has stopped changing for two debounce periods in a
+// row, so exports that are still being written are not picked up half way.
+// Each file is handled at most once at a time; a change that arrives meanwhile
+// queues one more pass. `handle` resolves with { retry: true } for transient
+// failures, which are tried again after `retryDelayMs`, up to `maxRetries` times.
+class ImageWatcher {
+    constructor({
+        dirs,
+        accept,
+        handle,
+        concurrency = 2,
+        debounceMs = DEFAULT_DEBOUNCE_MS,
+        retryDelayMs = DEFAULT_RETRY_DELAY_MS,
+        maxRetries = DEFAULT_MAX_RETRIES
+    }) {
+        this.dirs = dirs;
+        this.accept = accept;
+        this.handle = handle;
+        this.concurrency = concurrency;
+        this.debounceMs = debounceMs;
+        this.retryDelayMs = retryDelayMs;
+        this.maxRetries = maxRetries;
+        this.watchers = [];
+        // file -> { timer, stat, retries }
+        this.pending = new Map();
+        this.queue = [];
+        // file -> promise of the pass in progress
+        this.running = new Map();
+        this.dirty = new Set();
+        this.closed = false;
+    }
+
+    start() {
+        for (const dir of this.dirs) {
+            // Recursive watching needs Node 20 on Linux (package.json "engines")
+            const watcher = fs.watch(dir, { recursive: true }, (eventType, filename) => {
+                if (filename) this.schedule(path.join(dir, filename.toString()));
+            });
+            watcher.on('error', error => logger.error('Watcher failed', { dir, error }));
+            this.watchers.push(watcher);
+            logger.info('Watching directory', { dir });
+        }
+    }
+
+    // (Re)start the settle timer for a file
+    schedule(file, delay = this.debounceMs) {
+        if (this.closed || !this.accept(file)) return;
+        const entry = this.pending.get(file) || { timer: null, stat: null, retries: 0 };
+        clearTimeout(entry.timer);
+        entry.timer = setTimeout(() => this.settle(file), delay);
+        this.pending.set(file, entry);
+    }
+
+    async settle(file) {
+        const entry = this.pending.get(file);
+        if (!entry || this.closed) return;
+
+        let stat;
+        try {
+            stat = await fs.promises.stat(file);
+        } catch (error) {
+            // Deleted or renamed away before it settled
+            this.pending.delete(file);
+            return;
+        }
+        if (!stat.isFile()) {
+            this.pending.delete(file);
+            return;
+        }
+        if (!sameStat(stat, entry.stat)) {
+            entry.stat = stat;
+            entry.timer = setTimeout(() => this.settle(file), this.debounceMs);
+            return;
+        }
+
+        entry.timer = null;
+        entry.stat = null;
+        if (this.running.has(file)) {
+            this.dirty.add(file);
+        } else if (!this.queue.includes(file)) {
+            this.queue.push(file);
+            this.drain();
+        }
+    }
+
+    drain() {
+        while (!this.closed && this.running.size < this.concurrency && this.queue.length > 0) {
+            const file = this.queue.shift();
+            this.running.set(file, this.run(file));
+        }
+    }
+
+    async run(file) {
+        let result;
+        try {
+            result = await this.handle(file);
+        } catch (error) {
+            logger.error('Could not process image', { file, error });
+        }
+        this.running.delete(file);
+
+        const entry = this.pending.get(file);
+        if (this.dirty.delete(file)) {
+            this.schedule(file);
+        } else if (result && result.retry && entry && entry.retries < this.maxRetries) {
+            entry.retries++;
+            logger.warn('Retrying image later', { file, attempt: entry.retries, delayMs: this.retryDelayMs });
+            this.schedule(file, this.retryDelayMs);
+        } else if (entry && !entry.timer) {
+            this.pending.delete(file);
+        }
+        this.drain();
+    }
+
+    // Stop watching and wait for the files being handled
+    async close() {
+        this.closed = true;
+        for (const watcher of this.watchers) watcher.close();
+        for (const entry of this.pending.values()) clearTimeout(entry.timer);
+        this.pending.clear();
+        this.queue = [];
+        await Promise.all(this.running.values());
+    }
+}
+
+module.exports = {
+    ImageWatcher
+};
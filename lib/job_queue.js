@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const FINAL_STATUSES = ['done', 'error'];
+
+// In-process job queue with bounded concurrency. Each job moves through
+// queued -> (handler-defined steps, e.g. uploading / compressing) -> done | error
+// and emits 'update' with its public snapshot on every change. Finished jobs
+// are kept for `ttlMs` so clients can still fetch the result. A job belongs to
+// the client that added it (`owner`); get() hides it from everyone else.
+class JobQueue {
+    constructor({ concurrency = 2, maxQueued = 100, ttlMs = 10 * 60 * 1000 } = {}) {
+        this.concurrency = concurrency;
+        this.maxQueued = maxQueued;
+        this.ttlMs = ttlMs;
+        this.jobs = new Map();
+        this.pending = [];
+        this.running = 0;
+    }
+
+    get queued() {
+        return this.pending.length;
+    }
+
+    isFull() {
+        return this.pending.length >= this.maxQueued;
+    }
+
+    // Queue `handler(update, job)`. `update(status, fields)` records progress;
+    // whatever the handler resolves with becomes the job's result.
+    add(handler, meta = {}, owner = null) {
+        const now = new Date().toISOString();
+        const job = {
+            id: crypto.randomUUID(),
+            status: 'queued',
+            owner,
+            meta,
+            result: null,
+            error: null,
+            createdAt: now,
+            updatedAt: now,
+            events: new EventEmitter(),
+            handler
+        };
+        this.jobs.set(job.id, job);
+        this.pending.push(job);
+        // Start on the next tick so the caller can answer with the queued state first
+        setImmediate(() => this.drain());
+        return job;
+    }
+
+    // The job, or null when it is unknown, expired or owned by another client
+    get(id, owner = null) {
+        const job = this.jobs.get(id);
+        return job && job.owner === owner ? job : null;
+    }
+
+    isFinished(job) {
+        return FINAL_STATUSES.includes(job.status);
+    }
+
+    // Public view of a job (no handler or emitter)
+    snapshot(job) {
+        const position = this.pending.indexOf(job);
+        return {
+            id: job.id,
+            status: job.status,
+            ...(position >= 0 ? { position: position + 1 } : {}),
+            ...job.meta,
+            result: job.result,
+            error: job.error,
+            createdAt: job.createdAt,
+            updatedAt: job.updatedAt
+        };
+    }
+
+    update(job, status, fields = {}) {
+        Object.assign(job, fields, { status, updatedAt: new Date().toISOString() });
+        job.events.emit('update', this.snapshot(job));
+    }
+
+    drain() {
+        while (this.running < this.concurrency && this.pending.length > 0) {
+            const job = this.pending.shift();
+            this.running++;
+            this.run(job).finally(() => {
+                this.running--;
+                this.drain();
+            });
+        }
+    }
+
+    async run(job) {
+        try {
+            const result = await job.handler((status, fields) => this.update(job, status, fields), job);
+            this.update(job, 'done', { result });
+        } catch (error) {
+            this.update(job, 'error', { error: error.message });
+        } finally {
+            // Release the payload held by the handler closure and expire the job later
+            job.handler = null;
+            const timer = setTimeout(() => this.jobs.delete(job.id), this.ttlMs);
+            timer.unref();
+        }
+    }
+}
+
+module.exports = { JobQueue };
@@ -0,0 +1,177 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logger');
+const { isRateLimited } = require('./retry');
+
+// Tinify's free tier allows 500 compressions per key and calendar month
+const DEFAULT_MONTHLY_LIMIT = 500;
+
+const currentMonth = () => new Date().toISOString().slice(0, 7);
+
+// Keys are never written to disk; state is stored under a short fingerprint
+const keyId = key => crypto.createHash('sha256').update(key).digest('hex').slice(0, 12);
+
+// Tinify answers an exhausted key with 429 TooManyRequests ("monthly limit has
+// been exceeded"). A 429 with Retry-After is a rate limit and the key is fine;
+// other 4xx answers are about the request, whatever their message says.
+const isQuotaError = response => {
+    if (!response || response.status !== 429 || isRateLimited(response)) return false;
+    // Streamed answers have no parsed body to check the error type against
+    const data = response.data;
+    return !data || typeof data.error !== 'string' || data.error === 'TooManyRequests';
+};
+
+// Pool of Tinify API keys. Picks the key with the most quota left, records the
+// Compression-Count header after each call and fails over to the next key when
+// one runs out. Usage survives restarts through a small JSON state file.
+class KeyPool {
+    constructor({ keys = [], statePath, monthlyLimit = DEFAULT_MONTHLY_LIMIT } = {}) {
+        this.keys = [...new Set(keys.filter(Boolean))];
+        this.statePath = statePath;
+        this.monthlyLimit = monthlyLimit;
+        this.state = {};
+        this.saving = Promise.resolve();
+        this.load();
+    }
+
+    get size() {
+        return this.keys.length;
+    }
+
+    load() {
+        if (!this.statePath || !fs.existsSync(this.statePath)) return;
+        try {
+            const saved = JSON.parse(fs.readFileSync(this.statePath, 'utf8'));
+            this.state = saved.keys || {};
+        } catch (error) {
+            logger.warn('Could not read key pool state', { path: this.statePath, error });
+        }
+    }
+
+    save() {
+        if (!this.statePath) return this.saving;
+        const data = JSON.stringify({ updatedAt: new Date().toISOString(), keys: this.state }, null, 2);
+        const tmpPath = `${this.statePath}.tmp`;
+        // Chain writes so concurrent requests never interleave on the file
+        this.saving = this.saving
+            .then(async () => {
+                await fs.promises.mkdir(path.dirname(this.statePath), { recursive: true });
+                await fs.promises.writeFile(tmpPath, data);
+                await fs.promises.rename(tmpPath, this.statePath);
+            })
+            .catch(error => logger.warn('Could not save key pool state', { error }));
+        return this.saving;
+    }
+
+    // State for a key in the current month (counters reset when the month changes)
+    entry(key) {
+        const id = keyId(key);
+        const month = currentMonth();
+        if (!this.state[id] || this.state[id].month !== month) {
+            this.state[id] = { month, compressionCount: 0, exhausted: false, lastUsedAt: null };
+        }
+        return this.state[id];
+    }
+
+    remaining(key) {
+        const entry = this.entry(key);
+        if (entry.exhausted) return 0;
+        return Math.max(this.monthlyLimit - entry.compressionCount, 0);
+    }
+
+    isAvailable(key) {
+        return this.keys.includes(key) && this.remaining(key) > 0;
+    }
+
+    // Key with the most quota left, skipping keys in `exclude`
+    pick(exclude = new Set()) {
+        let best = null;
+        let bestRemaining = 0;
+        for (const key of this.keys) {
+            if (exclude.has(key)) continue;
+            const remaining = this.remaining(key);
+            if (remaining > bestRemaining) {
+                best = key;
+                bestRemaining = remaining;
+            }
+        }
+        return best;
+    }
+
+    // Update usage from a Tinify response (axios response object)
+    record(key, response) {
+        const entry = this.entry(key);
+        const count = Number(response && response.headers && response.headers['compression-count']);
+        if (Number.isFinite(count)) {
+            entry.compressionCount = count;
+        }
+        entry.lastUsedAt = new Date().toISOString();
+        if (isQuotaError(response)) {
+            entry.exhausted = true;
+            logger.warn('Tinify key reached its monthly limit, rotating', { key: keyId(key) });
+        }
+        this.save();
+    }
+
+    // Run `task(key)` with the best available key, failing over on quota errors.
+    // Resolves with { response, key }, or null when no key has quota left.
+    // `preferredKey` is tried first, e.g. the key that created an output URL.
+    async run(task, { preferredKey } = {}) {
+        const tried = new Set();
+        let key = preferredKey && this.isAvailable(preferredKey) ? preferredKey : this.pick(tried);
+        let last = null;
+
+        while (key) {
+            tried.add(key);
+            let response;
+            try {
+                response = await task(key);
+            } catch (error) {
+                // axios rejects on non-2xx when validateStatus is not relaxed
+                if (!error.response) throw error;
+                this.record(key, error.response);
+                if (!isQuotaError(error.response)) throw error;
+                last = { response: error.response, key };
+                key = this.pick(tried);
+                continue;
+            }
+
+            this.record(key, response);
+            last = { response, key };
+            if (!isQuotaError(response)) return last;
+            key = this.pick(tried);
+        }
+
+        return last;
+    }
+
+    // Per-key usage without exposing the keys themselves
+    snapshot() {
+        return this.keys.map(key => {
+            const entry = this.entry(key);
+            return {
+                id: keyId(key),
+                month: entry.month,
+                compressionCount: entry.compressionCount,
+                remaining: this.remaining(key),
+                exhausted: entry.exhausted,
+                lastUsedAt: entry.lastUsedAt
+            };
+        });
+    }
+}
+
+// Keys come from TINIFY_API_KEYS (comma separated) plus the legacy TINIFY_API_KEY
+function keysFromEnv(env = process.env) {
+    const keys = (env.TINIFY_API_KEYS || '').split(',').map(key => key.trim());
+    if (env.TINIFY_API_KEY) keys.push(env.TINIFY_API_KEY.trim());
+    return keys.filter(Boolean);
+}
+
+module.exports = {
+    KeyPool,
+    keysFromEnv,
+    keyId,
+    isQuotaError
+};
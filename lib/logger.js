@@ -0,0 +1,42 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Structured logging: one JSON object per line on stdout (stderr for errors).
+// Fields from the current request context (e.g. requestId) are added
+// automatically, so helpers deep in a request need no extra plumbing.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const context = new AsyncLocalStorage();
+
+const threshold = () => LEVELS[(process.env.LOG_LEVEL || 'info').toLowerCase()] || LEVELS.info;
+
+// Errors do not serialise to JSON on their own
+const serialize = value => {
+    if (value instanceof Error) {
+        return { message: value.message, name: value.name, ...(value.code ? { code: value.code } : {}) };
+    }
+    return value;
+};
+
+function write(level, msg, fields = {}) {
+    if (LEVELS[level] < threshold()) return;
+
+    const entry = { time: new Date().toISOString(), level, msg, ...context.getStore() };
+    for (const [key, value] of Object.entries(fields)) {
+        if (value !== undefined) entry[key] = serialize(value);
+    }
+
+    const line = `${JSON.stringify(entry)}\n`;
+    if (LEVELS[level] >= LEVELS.error) process.stderr.write(line);
+    else process.stdout.write(line);
+}
+
+const logger = {
+    debug: (msg, fields) => write('debug', msg, fields),
+    info: (msg, fields) => write('info', msg, fields),
+    warn: (msg, fields) => write('warn', msg, fields),
+    error: (msg, fields) => write('error', msg, fields),
+    // Run `fn` with `fields` attached to every log line written inside it
+    withContext: (fields, fn) => context.run({ ...context.getStore(), ...fields }, fn)
+};
+
+module.exports = logger;
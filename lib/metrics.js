@@ -0,0 +1,144 @@
+const client = require('prom-client');
+
+// Prometheus metrics for the proxy, exposed on GET /metrics
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+const httpRequests = new client.Counter({
+    name: 'proxy_http_requests_total',
+    help: 'HTTP requests handled by the proxy',
+    labelNames: ['method', 'route', 'status'],
+    registers: [register]
+});
+
+const httpDuration = new client.Histogram({
+    name: 'proxy_http_request_duration_seconds',
+    help: 'Time to answer HTTP requests',
+    labelNames: ['method', 'route', 'status'],
+    buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60],
+    registers: [register]
+});
+
+const upstreamDuration = new client.Histogram({
+    name: 'proxy_upstream_duration_seconds',
+    help: 'Latency of individual Tinify API calls',
+    labelNames: ['operation', 'outcome'],
+    buckets: [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60],
+    registers: [register]
+});
+
+const upstreamRetries = new client.Counter({
+    name: 'proxy_upstream_retries_total',
+    help: 'Retried Tinify API calls',
+    labelNames: ['operation'],
+    registers: [register]
+});
+
+const circuitState = new client.Gauge({
+    name: 'proxy_upstream_circuit_state',
+    help: 'Tinify circuit breaker state (0 closed, 1 half-open, 2 open)',
+    registers: [register]
+});
+
+const bytesIn = new client.Counter({
+    name: 'proxy_bytes_in_total',
+    help: 'Request body bytes received from clients',
+    labelNames: ['route'],
+    registers: [register]
+});
+
+const bytesOut = new client.Counter({
+    name: 'proxy_bytes_out_total',
+    help: 'Response body bytes sent to clients',
+    labelNames: ['route'],
+    registers: [register]
+});
+
+const bytesSaved = new client.Counter({
+    name: 'proxy_bytes_saved_total',
+    help: 'Bytes saved by compression (input size minus output size)',
+    labelNames: ['source'],
+    registers: [register]
+});
+
+const compressions = new client.Counter({
+    name: 'proxy_compressions_total',
+    help: 'Successful compressions by where the result came from',
+    labelNames: ['source'],
+    registers: [register]
+});
+
+const errors = new client.Counter({
+    name: 'proxy_errors_total',
+    help: 'Error responses by class',
+    labelNames: ['class'],
+    registers: [register]
+});
+
+const CIRCUIT_STATES = { closed: 0, 'half-open': 1, open: 2 };
+
+// Error class for a response status, unless the handler set res.locals.errorClass
+function errorClass(status) {
+    if (status === 401 || status === 403) return 'auth';
+    if (status === 429) return 'rate_limit';
+    if (status === 413 || status === 415) return 'rejected_upload';
+    if (status === 502) return 'upstream';
+    if (status === 503) return 'unavailable';
+    if (status === 504) return 'timeout';
+    if (status >= 500) return 'internal';
+    return 'client';
+}
+
+// Express middleware recording request counts, latency, bytes and errors
+function middleware() {
+    return (req, res, next) => {
+        const start = process.hrtime.bigint();
+        let sent = 0;
+
+        // Count what is actually written, including piped streams
+        const { write, end } = res;
+        res.write = function (chunk, ...args) {
+            if (chunk) sent += Buffer.byteLength(chunk);
+            return write.call(this, chunk, ...args);
+        };
+        res.end = function (chunk, ...args) {
+            if (chunk && typeof chunk !== 'function') sent += Buffer.byteLength(chunk);
+            return end.call(this, chunk, ...args);
+        };
+
+        res.on('finish', () => {
+            const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+            const labels = { method: req.method, route, status: res.statusCode };
+            const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+
+            httpRequests.inc(labels);
+            httpDuration.observe(labels, seconds);
+            bytesIn.inc({ route }, Number(req.get('Content-Length')) || 0);
+            bytesOut.inc({ route }, sent);
+            if (res.statusCode >= 400) {
+                errors.inc({ class: res.locals.errorClass || errorClass(res.statusCode) });
+            }
+        });
+
+        next();
+    };
+}
+
+// Record a successful compression (`source` is the engine, e.g. "tinify", or "cache")
+function recordCompression(source, data) {
+    compressions.inc({ source });
+    if (data && data.input && data.output) {
+        bytesSaved.inc({ source }, Math.max(data.input.size - data.output.size, 0));
+    }
+}
+
+module.exports = {
+    register,
+    middleware,
+    upstreamDuration,
+    upstreamRetries,
+    circuitState,
+    CIRCUIT_STATES,
+    recordCompression
+};
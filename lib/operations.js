@@ -0,0 +1,135 @@
+// Validation for the operations body Tinify accepts on an output URL
+// (https://tinify.com/developers/reference#resizing-images and friends).
+// Everything is checked here before the proxy forwards a request, so only
+// resize / convert / transform / preserve ever reach Tinify.
+
+const RESIZE_METHODS = ['scale', 'fit', 'cover', 'thumb'];
+const CONVERT_TYPES = ['image/webp', 'image/avif', 'image/png', 'image/jpeg', '*/*'];
+const PRESERVE_FIELDS = ['copyright', 'creation', 'location'];
+const ALLOWED_KEYS = ['resize', 'convert', 'transform', 'preserve'];
+
+// Short names accepted for convenience, e.g. { type: 'webp' }
+const TYPE_ALIASES = {
+    webp: 'image/webp',
+    avif: 'image/avif',
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg'
+};
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isPositiveInt = value => Number.isInteger(value) && value > 0;
+
+function validateResize(resize) {
+    if (!isPlainObject(resize)) return { error: '"resize" must be an object.' };
+
+    const { method, width, height } = resize;
+    if (!RESIZE_METHODS.includes(method)) {
+        return { error: `"resize.method" must be one of: ${RESIZE_METHODS.join(', ')}.` };
+    }
+    if (width !== undefined && !isPositiveInt(width)) {
+        return { error: '"resize.width" must be a positive integer.' };
+    }
+    if (height !== undefined && !isPositiveInt(height)) {
+        return { error: '"resize.height" must be a positive integer.' };
+    }
+
+    if (method === 'scale') {
+        // Tinify scales proportionally and rejects requests with both dimensions
+        if ((width === undefined) === (height === undefined)) {
+            return { error: '"scale" requires exactly one of "resize.width" or "resize.height".' };
+        }
+    } else if (width === undefined || height === undefined) {
+        return { error: `"${method}" requires both "resize.width" and "resize.height".` };
+    }
+
+    const value = { method };
+    if (width !== undefined) value.width = width;
+    if (height !== undefined) value.height = height;
+    return { value };
+}
+
+function validateConvert(convert) {
+    if (!isPlainObject(convert)) return { error: '"convert" must be an object.' };
+
+    const types = Array.isArray(convert.type) ? convert.type : [convert.type];
+    if (types.length === 0) return { error: '"convert.type" must not be empty.' };
+
+    const normalized = [];
+    for (const type of types) {
+        const mime = typeof type === 'string' ? (TYPE_ALIASES[type.toLowerCase()] || type.toLowerCase()) : null;
+        if (!CONVERT_TYPES.includes(mime)) {
+            return { error: `"convert.type" must be one of: ${CONVERT_TYPES.join(', ')}.` };
+        }
+        if (!normalized.includes(mime)) normalized.push(mime);
+    }
+
+    return { value: { type: normalized.length === 1 ? normalized[0] : normalized } };
+}
+
+function validateTransform(transform) {
+    if (!isPlainObject(transform)) return { error: '"transform" must be an object.' };
+
+    const { background } = transform;
+    if (typeof background !== 'string' ||
+        !/^(white|black|#[0-9a-f]{3}|#[0-9a-f]{6})$/i.test(background)) {
+        return { error: '"transform.background" must be "white", "black" or a hex colour like "#ff0000".' };
+    }
+
+    return { value: { background: background.toLowerCase() } };
+}
+
+function validatePreserve(preserve) {
+    if (!Array.isArray(preserve) || preserve.length === 0) {
+        return { error: '"preserve" must be a non-empty array.' };
+    }
+    for (const field of preserve) {
+        if (!PRESERVE_FIELDS.includes(field)) {
+            return { error: `"preserve" may only contain: ${PRESERVE_FIELDS.join(', ')}.` };
+        }
+    }
+    return { value: [...new Set(preserve)] };
+}
+
+// Returns { operations } with a normalized copy of the body, or { error }.
+// `body` may carry extra keys listed in `ignore` (e.g. the output "url").
+function validateOperations(body, ignore = []) {
+    if (!isPlainObject(body)) return { error: 'Operations must be a JSON object.' };
+
+    const unknown = Object.keys(body).filter(key => !ALLOWED_KEYS.includes(key) && !ignore.includes(key));
+    if (unknown.length > 0) {
+        return { error: `Unsupported operation(s): ${unknown.join(', ')}.` };
+    }
+
+    if (body.transform !== undefined && body.convert === undefined) {
+        return { error: '"transform" can only be used together with "convert".' };
+    }
+
+    const validators = {
+        resize: validateResize,
+        convert: validateConvert,
+        transform: validateTransform,
+        preserve: validatePreserve
+    };
+
+    const operations = {};
+    for (const key of ALLOWED_KEYS) {
+        if (body[key] === undefined) continue;
+        const result = validators[key](body[key]);
+        if (result.error) return { error: result.error };
+        operations[key] = result.value;
+    }
+
+    if (Object.keys(operations).length === 0) {
+        return { error: `At least one of ${ALLOWED_KEYS.filter(k => k !== 'transform').join(', ')} is required.` };
+    }
+
+    return { operations };
+}
+
+module.exports = {
+    RESIZE_METHODS,
+    CONVERT_TYPES,
+    PRESERVE_FIELDS,
+    validateOperations
+};
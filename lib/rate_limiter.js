@@ -0,0 +1,95 @@
+// Fixed-window limits on request count and uploaded bytes, tracked per client.
+// Bodies with a Content-Length are counted up front, so oversized ones are
+// refused before they are read. Bodies without one (chunked uploads) are counted
+// as their bytes arrive, and refused up front once the window's bytes are used up.
+class RateLimiter {
+    constructor({ windowMs = 60 * 1000, maxRequests = 60, maxBytes = 200 * 1024 * 1024 } = {}) {
+        this.windowMs = windowMs;
+        this.maxRequests = maxRequests;
+        this.maxBytes = maxBytes;
+        this.windows = new Map();
+    }
+
+    window(clientId, now) {
+        let current = this.windows.get(clientId);
+        if (!current || now >= current.resetAt) {
+            current = { requests: 0, bytes: 0, resetAt: now + this.windowMs };
+            this.windows.set(clientId, current);
+        }
+        return current;
+    }
+
+    // Count a request of `bytes` bytes, or null for a body of unknown length.
+    // Returns { allowed, reason, window }; nothing is counted when refused.
+    consume(clientId, bytes = 0, now = Date.now()) {
+        const current = this.window(clientId, now);
+
+        if (current.requests + 1 > this.maxRequests) {
+            return { allowed: false, reason: 'requests', window: current };
+        }
+        if (bytes === null ? current.bytes >= this.maxBytes : current.bytes + bytes > this.maxBytes) {
+            return { allowed: false, reason: 'bytes', window: current };
+        }
+
+        current.requests += 1;
+        current.bytes += bytes || 0;
+        return { allowed: true, window: current };
+    }
+
+    // Add body bytes read after the request was let through
+    record(clientId, bytes, now = Date.now()) {
+        this.window(clientId, now).bytes += bytes;
+    }
+
+    // Drop expired windows so idle clients do not accumulate
+    prune(now = Date.now()) {
+        for (const [clientId, current] of this.windows) {
+            if (now >= current.resetAt) this.windows.delete(clientId);
+        }
+    }
+
+    middleware() {
+        const timer = setInterval(() => this.prune(), this.windowMs);
+        timer.unref();
+
+        return (req, res, next) => {
+            if (req.method === 'OPTIONS') return next();
+
+            // Callers that were not authenticated are told apart by IP
+            const clientId = req.client && req.client.token ? `client:${req.client.name}` : `ip:${req.ip}`;
+            const streamed = req.get('Content-Length') == null && req.get('Transfer-Encoding') != null;
+            const bytes = streamed ? null : Number(req.get('Content-Length')) || 0;
+            const { allowed, reason, window } = this.consume(clientId, bytes);
+            const retryAfter = Math.max(Math.ceil((window.resetAt - Date.now()) / 1000), 1);
+
+            res.setHeader('X-RateLimit-Limit', this.maxRequests);
+            res.setHeader('X-RateLimit-Remaining', Math.max(this.maxRequests - window.requests, 0));
+            res.setHeader('X-RateLimit-Reset', Math.ceil(window.resetAt / 1000));
+
+            if (!allowed) {
+                res.setHeader('Retry-After', retryAfter);
+                const seconds = Math.round(this.windowMs / 1000);
+                return res.status(429).json({ 
+                    error: 'Too Many Requests', 
+                    message: reason === 'bytes'
+                        ? `Upload limit of ${this.maxBytes} bytes per ${seconds}s exceeded. Retry in ${retryAfter}s.`
+                        : `Request limit of ${this.maxRequests} per ${seconds}s exceeded. Retry in ${retryAfter}s.`
+                });
+            }
+
+            // Whoever reads the body (a pipe, a body parser, an async iterator) gets
+            // its chunks through push(), so the count covers every byte received
+            if (streamed) {
+                const push = req.push;
+                req.push = (chunk, encoding) => {
+                    if (chunk) this.record(clientId, chunk.length);
+                    return push.call(req, chunk, encoding);
+                };
+            }
+
+            next();
+        };
+    }
+}
+
+module.exports = { RateLimiter };
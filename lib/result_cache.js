@@ -0,0 +1,123 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logger');
+
+const sha256 = buffer => crypto.createHash('sha256').update(buffer).digest('hex');
+
+const HASH_PATTERN = /^[0-9a-f]{64}$/;
+
+// Disk-backed cache of compressed images keyed by the SHA-256 of the upload.
+// Tinify output URLs expire, so the compressed bytes themselves are stored
+// (<dir>/<hash>.bin) next to an index with metadata and access times. When the
+// total size goes over `maxBytes` the least recently used entries are evicted.
+class ResultCache {
+    constructor({ dir, maxBytes = 500 * 1024 * 1024 } = {}) {
+        this.dir = dir;
+        this.maxBytes = maxBytes;
+        this.indexPath = path.join(dir, 'index.json');
+        this.entries = new Map();
+        this.totalBytes = 0;
+        this.saving = Promise.resolve();
+        this.load();
+    }
+
+    load() {
+        fs.mkdirSync(this.dir, { recursive: true });
+        if (!fs.existsSync(this.indexPath)) return;
+        try {
+            const saved = JSON.parse(fs.readFileSync(this.indexPath, 'utf8'));
+            for (const [hash, entry] of Object.entries(saved.entries || {})) {
+                // Skip index rows whose data file has gone missing
+                if (HASH_PATTERN.test(hash) && fs.existsSync(this.filePath(hash))) {
+                    this.entries.set(hash, entry);
+                    this.totalBytes += entry.size;
+                }
+            }
+        } catch (error) {
+            logger.warn('Could not read result cache index', { path: this.indexPath, error });
+        }
+    }
+
+    save() {
+        const data = JSON.stringify({ entries: Object.fromEntries(this.entries) });
+        const tmpPath = `${this.indexPath}.tmp`;
+        this.saving = this.saving
+            .then(async () => {
+                await fs.promises.writeFile(tmpPath, data);
+                await fs.promises.rename(tmpPath, this.indexPath);
+            })
+            .catch(error => logger.warn('Could not save result cache index', { error }));
+        return this.saving;
+    }
+
+    filePath(hash) {
+        return path.join(this.dir, `${hash}.bin`);
+    }
+
+    has(hash) {
+        return this.entries.has(hash);
+    }
+
+    // Metadata for a cached result, marking it as recently used. Null on a miss.
+    get(hash) {
+        const entry = this.entries.get(hash);
+        if (!entry) return null;
+        entry.lastAccessAt = Date.now();
+        // Re-insert so Map order stays least -> most recently used
+        this.entries.delete(hash);
+        this.entries.set(hash, entry);
+        this.save();
+        return entry.meta;
+    }
+
+    // Compressed bytes for a cached result, or null if missing
+    async read(hash) {
+        if (!this.entries.has(hash)) return null;
+        try {
+            return await fs.promises.readFile(this.filePath(hash));
+        } catch (error) {
+            this.remove(hash);
+            return null;
+        }
+    }
+
+    async set(hash, buffer, meta) {
+        if (buffer.length > this.maxBytes) return;
+
+        await fs.promises.writeFile(this.filePath(hash), buffer);
+        const previous = this.entries.get(hash);
+        if (previous) {
+            this.totalBytes -= previous.size;
+            this.entries.delete(hash);
+        }
+
+        this.entries.set(hash, { size: buffer.length, meta, createdAt: Date.now(), lastAccessAt: Date.now() });
+        this.totalBytes += buffer.length;
+        this.evict();
+        this.save();
+    }
+
+    remove(hash) {
+        const entry = this.entries.get(hash);
+        if (!entry) return;
+        this.entries.delete(hash);
+        this.totalBytes -= entry.size;
+        fs.promises.unlink(this.filePath(hash)).catch(() => {});
+        this.save();
+    }
+
+    // Drop least recently used entries until the cache fits its size cap
+    evict() {
+        for (const hash of this.entries.keys()) {
+            if (this.totalBytes <= this.maxBytes) break;
+            this.remove(hash);
+        }
+    }
+}
+
+module.exports = {
+    ResultCache,
+    sha256,
+    HASH_PATTERN
+};
@@ -0,0 +1,91 @@
+// Retries for upstream calls: exponential backoff with full jitter, honouring
+// Retry-After on 429. Only use this for requests that can safely be sent again.
+
+const TRANSIENT_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ECONNABORTED', 'EPIPE', 'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH'];
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Seconds or an HTTP date (relative to `now`), as milliseconds; null when
+// absent or unparsable
+function parseRetryAfter(value, now = Date.now()) {
+    if (value === undefined || value === null || value === '') return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(seconds, 0) * 1000;
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(date - now, 0);
+}
+
+// A 429 carrying Retry-After is a temporary rate limit. Tinify's monthly quota
+// error has no Retry-After and is left to the key pool.
+const isRateLimited = response => !!response && response.status === 429 &&
+    parseRetryAfter(response.headers && response.headers['retry-after']) !== null;
+
+// Network failures and 5xx answers are worth another attempt; other 4xx are not.
+// Understands axios errors and TinifyClient's typed errors (tinify_client.js),
+// where a plain TinifyError with status 429 is a rate limit, not the quota.
+function isTransientError(error) {
+    if (!error || error.name === 'CanceledError' || error.name === 'AbortError') return false;
+    if (error.response) {
+        return error.response.status >= 500 || isRateLimited(error.response);
+    }
+    if (error.name === 'NetworkError') return true;
+    if (error.name === 'TinifyError' && error.status) return error.status >= 500 || error.status === 429;
+    return TRANSIENT_CODES.includes(error.code);
+}
+
+const backoff = (attempt, baseDelayMs, maxDelayMs, random) =>
+    Math.round(random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt));
+
+// Run `task` up to `retries + 1` times. Retries thrown transient errors and
+// resolved 429 responses with Retry-After (delays above `maxDelayMs` are not
+// waited out). `onRetry({ attempt, delay, reason })` is called before each wait;
+// `sleep` and `random` can be replaced in tests.
+async function withRetry(task, { retries = 2, baseDelayMs = 300, maxDelayMs = 5000, onRetry, sleep: wait = sleep, random = Math.random } = {}) {
+    for (let attempt = 0; ; attempt++) {
+        let response;
+        let error = null;
+        try {
+            response = await task(attempt);
+        } catch (caught) {
+            error = caught;
+        }
+
+        const failed = error ? error.response : response;
+        const retryable = error ? isTransientError(error) : isRateLimited(response);
+        if (!retryable || attempt >= retries) {
+            if (error) throw error;
+            return response;
+        }
+
+        let delay = backoff(attempt, baseDelayMs, maxDelayMs, random);
+        if (isRateLimited(failed)) {
+            const retryAfter = parseRetryAfter(failed.headers['retry-after']);
+            if (retryAfter > maxDelayMs) {
+                if (error) throw error;
+                return response;
+            }
+            delay = Math.max(delay, retryAfter);
+        }
+
+        // Release a streamed body we are not going to read
+        if (failed && failed.data && typeof failed.data.destroy === 'function') {
+            failed.data.destroy();
+        }
+
+        if (onRetry) {
+            onRetry({
+                attempt: attempt + 1,
+                delay,
+                reason: error ? (error.response ? `HTTP ${error.response.status}` : error.code || error.message) : `HTTP ${response.status}`
+            });
+        }
+        await wait(delay);
+    }
+}
+
+module.exports = {
+    withRetry,
+    isTransientError,
+    isRateLimited,
+    parseRetryAfter
+};
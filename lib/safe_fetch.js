@@ -0,0 +1,202 @@
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+
+// Addresses a user-supplied URL must never reach: private, loopback,
+// link-local, carrier-grade NAT, documentation, multicast and reserved ranges.
+// IPv6 addresses that carry an IPv4 address in their low 32 bits (::ffff:0:0/96
+// mapped, ::/96 compatible) are checked as that IPv4 address instead; 6to4
+// (2002::/16) and NAT64 (64:ff9b::/96) can reach any IPv4 host and are refused.
+const blockList = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+    ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24],
+    ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => blockList.addSubnet(address, prefix, 'ipv4'));
+[
+    ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32], ['2002::', 16],
+    ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => blockList.addSubnet(address, prefix, 'ipv6'));
+
+// Error carrying the HTTP status the proxy should answer with
+class FetchError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'FetchError';
+        this.status = status;
+    }
+}
+
+// The eight 16-bit groups of a valid IPv6 address, dotted IPv4 tail included
+function ipv6Groups(address) {
+    let text = address.split('%')[0].toLowerCase();
+    const dotted = text.match(/^(.*:)(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+    if (dotted) {
+        const [a, b, c, d] = dotted.slice(2).map(Number);
+        text = `${dotted[1]}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+    }
+    const parse = part => (part ? part.split(':').map(group => parseInt(group, 16)) : []);
+    const [head, tail] = text.split('::');
+    if (tail === undefined) return parse(head);
+    const left = parse(head);
+    const right = parse(tail);
+    return [...left, ...new Array(8 - left.length - right.length).fill(0), ...right];
+}
+
+// IPv4 address wrapped by an IPv4-mapped (::ffff:a.b.c.d) or IPv4-compatible
+// (::a.b.c.d) IPv6 address, in either notation; null for other addresses
+function embeddedIPv4(address) {
+    const groups = ipv6Groups(address);
+    if (groups.slice(0, 5).some(group => group !== 0) || (groups[5] !== 0 && groups[5] !== 0xffff)) return null;
+    return [groups[6] >> 8, groups[6] & 255, groups[7] >> 8, groups[7] & 255].join('.');
+}
+
+// `allowed`: addresses reachable even though they are in a blocked range
+function isBlockedAddress(address, allowed = []) {
+    if (allowed.includes(address)) return false;
+    if (!net.isIPv6(address)) return blockList.check(address, 'ipv4');
+    const ipv4 = embeddedIPv4(address);
+    return ipv4 ? blockList.check(ipv4, 'ipv4') : blockList.check(address, 'ipv6');
+}
+
+// dns.lookup replacement for http(s).request that refuses blocked addresses.
+// Validating at connect time (not only up front) also defeats DNS rebinding.
+const safeLookup = allowed => (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+        const blocked = addresses.find(entry => isBlockedAddress(entry.address, allowed));
+        if (blocked || addresses.length === 0) {
+            return callback(new FetchError(400, `Refusing to fetch from non-public address ${blocked ? blocked.address : hostname}.`));
+        }
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+};
+
+// Parse and check a user-supplied URL: http(s) only, no credentials, public host
+async function assertPublicUrl(value, { allowedAddresses = [] } = {}) {
+    let url;
+    try {
+        url = new URL(value);
+    } catch (error) {
+        throw new FetchError(400, 'The source URL is not a valid URL.');
+    }
+
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        throw new FetchError(400, 'Only http and https source URLs are allowed.');
+    }
+    if (url.username || url.password) {
+        throw new FetchError(400, 'Source URLs must not contain credentials.');
+    }
+
+    const hostname = url.hostname.replace(/^\[|\]$/g, '');
+    const addresses = await new Promise((resolve, reject) => {
+        dns.lookup(hostname, { all: true }, (error, result) => {
+            if (error) reject(new FetchError(400, `Could not resolve host ${hostname}.`));
+            else resolve(result);
+        });
+    });
+    const blocked = addresses.find(entry => isBlockedAddress(entry.address, allowedAddresses));
+    if (blocked) {
+        throw new FetchError(400, `Refusing to fetch from non-public address ${blocked.address}.`);
+    }
+
+    return url;
+}
+
+// Single GET without following redirects; resolves with the response stream
+function request(url, { allowedAddresses, signal }) {
+    return new Promise((resolve, reject) => {
+        const client = url.protocol === 'https:' ? https : http;
+        const req = client.get(url, {
+            lookup: safeLookup(allowedAddresses),
+            signal,
+            headers: { 'User-Agent': 'tinify-proxy', 'Accept': 'image/*' }
+        }, resolve);
+        req.on('error', reject);
+    });
+}
+
+// Download an image from a user-supplied URL with SSRF protection: every hop
+// (including redirects, at most `maxRedirects`) must resolve to a public
+// address, the Content-Type must be in `allowedTypes` and the body may not
+// exceed `maxBytes`. `timeoutMs` bounds the whole fetch, redirects and body
+// included, so a server trickling bytes cannot hold it open. `allowedAddresses`
+// exempts addresses from the public address check (tests use it for a local
+// server). Resolves with { buffer, contentType, url }.
+async function safeFetch(value, {
+    maxBytes = 50 * 1024 * 1024,
+    maxRedirects = 3,
+    timeoutMs = 15000,
+    allowedTypes = [],
+    allowedAddresses = [],
+    signal
+} = {}) {
+    const deadline = AbortSignal.timeout(timeoutMs);
+    const combined = signal ? AbortSignal.any([signal, deadline]) : deadline;
+    try {
+        return await fetchFollowingRedirects(value, { maxBytes, maxRedirects, allowedTypes, allowedAddresses, signal: combined });
+    } catch (error) {
+        if (deadline.aborted && !(signal && signal.aborted)) {
+            throw new FetchError(504, 'Timed out fetching the source URL.');
+        }
+        throw error;
+    }
+}
+
+async function fetchFollowingRedirects(value, { maxBytes, maxRedirects, allowedTypes, allowedAddresses, signal }) {
+    let url = await assertPublicUrl(value, { allowedAddresses });
+
+    for (let redirects = 0; ; redirects++) {
+        const response = await request(url, { allowedAddresses, signal });
+
+        if ([301, 302, 303, 307, 308].includes(response.statusCode) && response.headers.location) {
+            response.resume();
+            if (redirects >= maxRedirects) {
+                throw new FetchError(400, `Too many redirects (more than ${maxRedirects}).`);
+            }
+            url = await assertPublicUrl(new URL(response.headers.location, url).toString(), { allowedAddresses });
+            continue;
+        }
+
+        if (response.statusCode !== 200) {
+            response.resume();
+            throw new FetchError(502, `The source URL responded with ${response.statusCode}.`);
+        }
+
+        const contentType = (response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+        if (allowedTypes.length > 0 && !allowedTypes.includes(contentType)) {
+            response.resume();
+            throw new FetchError(415, `Unsupported content type "${contentType || 'unknown'}".`);
+        }
+
+        const declared = Number(response.headers['content-length']);
+        if (declared > maxBytes) {
+            response.resume();
+            throw new FetchError(413, `The source image exceeds ${maxBytes} bytes.`);
+        }
+
+        // Content-Length can be missing or wrong, so count while reading
+        const chunks = [];
+        let received = 0;
+        for await (const chunk of response) {
+            received += chunk.length;
+            if (received > maxBytes) {
+                response.destroy();
+                throw new FetchError(413, `The source image exceeds ${maxBytes} bytes.`);
+            }
+            chunks.push(chunk);
+        }
+
+        return { buffer: Buffer.concat(chunks), contentType, url: url.toString() };
+    }
+}
+
+module.exports = {
+    FetchError,
+    isBlockedAddress,
+    assertPublicUrl,
+    safeFetch
+};
@@ -0,0 +1,138 @@
+// Conservative SVG minifier. It only removes what cannot change the rendering:
+// comments, editor metadata (Inkscape, Sodipodi, Sketch) and whitespace between
+// tags and inside number lists. Numbers are written as they are, so geometry is
+// unchanged, and the XML declaration stays for the encoding it may declare. Text
+// content, styles and scripts are left as they are.
+
+// One token at a time: comment, CDATA, processing instruction, doctype, tag or text
+const TOKEN = /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<\?[\s\S]*?\?>|<!DOCTYPE[^>\[]*(?:\[[\s\S]*?\])?\s*>|<\/?[\w:.-]+(?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*\s*\/?>|[^<]+/iy;
+const ATTRIBUTE = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+// Elements whose whitespace is meaningful
+const PRESERVE_WHITESPACE = new Set(['text', 'tspan', 'textPath', 'style', 'script', 'title', 'desc']);
+const EDITOR_PREFIXES = ['inkscape:', 'sodipodi:', 'sketch:'];
+const EDITOR_NAMESPACES = ['xmlns:inkscape', 'xmlns:sodipodi', 'xmlns:sketch'];
+const DROPPED_ELEMENTS = new Set(['metadata']);
+
+// Attributes holding lists of numbers, where whitespace can be collapsed
+const NUMERIC_LISTS = new Set(['d', 'points', 'viewBox', 'transform']);
+
+const isEditorName = name => EDITOR_PREFIXES.some(prefix => name.startsWith(prefix));
+
+const escapeAttribute = value => value.replace(/"/g, '&quot;');
+
+class SvgSyntaxError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SvgSyntaxError';
+        this.status = 400;
+    }
+}
+
+function parseTag(token) {
+    const closing = token.startsWith('</');
+    const selfClosing = token.endsWith('/>');
+    const name = token.match(/^<\/?([\w:.-]+)/)[1];
+    const attributes = [];
+    for (const match of token.slice(name.length + 1).matchAll(ATTRIBUTE)) {
+        attributes.push([match[1], match[2] !== undefined ? match[2] : match[3]]);
+    }
+    return { name, closing, selfClosing, attributes };
+}
+
+function writeTag({ name, selfClosing, attributes }) {
+    const kept = attributes
+        .filter(([attribute]) => !isEditorName(attribute) && !EDITOR_NAMESPACES.includes(attribute))
+        .map(([attribute, value]) => {
+            if (NUMERIC_LISTS.has(attribute)) value = value.replace(/\s+/g, ' ').trim();
+            return ` ${attribute}="${escapeAttribute(value)}"`;
+        });
+    return `<${name}${kept.join('')}${selfClosing ? '/>' : '>'}`;
+}
+
+// Pixel size from the root element's width/height, falling back to the viewBox
+function rootSize(attributes) {
+    const values = Object.fromEntries(attributes);
+    const pixels = value => (/^\s*[\d.]+\s*(px)?\s*$/.test(value || '') ? Math.round(parseFloat(value)) : null);
+    let width = pixels(values.width);
+    let height = pixels(values.height);
+    const viewBox = (values.viewBox || '').trim().split(/[\s,]+/).map(Number);
+    if (viewBox.length === 4 && viewBox.every(Number.isFinite)) {
+        if (width === null) width = Math.round(viewBox[2]);
+        if (height === null) height = Math.round(viewBox[3]);
+    }
+    return { width, height };
+}
+
+// Resolves with { buffer, width, height }; the original bytes are kept when
+// minifying does not make the file smaller
+async function minifySvg(input) {
+    const source = input.toString('utf8').replace(/^\uFEFF/, '');
+    const output = [];
+    const open = [];
+    let skipDepth = 0;
+    let size = { width: null, height: null };
+
+    TOKEN.lastIndex = 0;
+    while (TOKEN.lastIndex < source.length) {
+        const start = TOKEN.lastIndex;
+        const match = TOKEN.exec(source);
+        if (!match) {
+            throw new SvgSyntaxError(`Could not parse the SVG near offset ${start}.`);
+        }
+        const token = match[0];
+
+        if (token.startsWith('<!--')) {
+            // "<!--!" marks comments meant to survive minification (licences)
+            if (token.startsWith('<!--!') && skipDepth === 0) output.push(token);
+            continue;
+        }
+        if (/^<!DOCTYPE/i.test(token)) {
+            // A doctype with an internal subset may declare entities the document uses
+            if (token.includes('[')) output.push(token);
+            continue;
+        }
+        if (token.startsWith('<![CDATA[') || token.startsWith('<?')) {
+            if (skipDepth === 0) output.push(token);
+            continue;
+        }
+
+        if (token.startsWith('<')) {
+            const tag = parseTag(token);
+            if (tag.closing) {
+                open.pop();
+                if (skipDepth > 0) skipDepth--;
+                else output.push(`</${tag.name}>`);
+                continue;
+            }
+            const dropped = skipDepth > 0 || DROPPED_ELEMENTS.has(tag.name) || isEditorName(tag.name);
+            if (tag.name === 'svg' && open.length === 0) size = rootSize(tag.attributes);
+            if (!tag.selfClosing) {
+                open.push(tag.name);
+                if (dropped) skipDepth++;
+            }
+            if (!dropped) output.push(writeTag(tag));
+            continue;
+        }
+
+        // Text: whitespace between tags goes, except inside text-like elements
+        if (skipDepth > 0) continue;
+        if (open.some(name => PRESERVE_WHITESPACE.has(name))) {
+            output.push(token);
+        } else if (token.trim()) {
+            output.push(token.trim());
+        }
+    }
+
+    if (open.length > 0) {
+        throw new SvgSyntaxError(`Unclosed <${open[open.length - 1]}> element in the SVG.`);
+    }
+
+    const minified = Buffer.from(output.join(''), 'utf8');
+    return { buffer: minified.length < input.length ? minified : input, ...size };
+}
+
+module.exports = {
+    minifySvg,
+    SvgSyntaxError
+};
@@ -0,0 +1,83 @@
+const axios = require('axios');
+const { TinifyClient, DEFAULT_BASE_URL } = require('../tinify_client');
+
+// TinifyClient transport on axios, so proxy code keeps axios responses (streams,
+// upload progress) and axios errors. `options` beyond the request fields (e.g.
+// validateStatus, onUploadProgress, maxBodyLength) go into the axios config.
+const axiosTransport = ({ method, url, headers, body, responseType, signal, ...options }) => axios({
+    ...options,
+    method,
+    url,
+    headers,
+    data: body,
+    responseType,
+    signal
+});
+
+// Compression backend speaking Tinify's HTTP API. `baseUrl` defaults to the real
+// service; point it at mock_tinify.js to run the proxy offline or in CI.
+//
+// Every backend implements the same three calls, each resolving to an axios-style
+// response ({ status, headers, data }) with 4xx answers resolved rather than thrown:
+//   shrink(apiKey, data, contentType, options)      upload an image (or { source: { url } })
+//   download(apiKey, url, responseType, options)    fetch a compressed result
+//   operations(apiKey, url, operations, options)    resize / convert / preserve a result
+// plus isOutputUrl(url), which tells the proxy which result URLs it may fetch.
+// Requests are built by TinifyClient in raw mode; retries stay with the proxy's
+// own retry and circuit breaker layer.
+class TinifyBackend {
+    constructor({ baseUrl = DEFAULT_BASE_URL } = {}) {
+        const parsed = new URL(baseUrl);
+        this.name = 'tinify';
+        this.origin = parsed.origin;
+        this.client = new TinifyClient({ baseUrl: parsed.origin, transport: axiosTransport, retries: 0 });
+    }
+
+    // `options` is merged into the axios config (e.g. onUploadProgress, signal);
+    // options.headers are added to the request headers (e.g. Content-Length)
+    shrink(apiKey, data, contentType, options = {}) {
+        const source = data && data.source && typeof data.source.url === 'string' ? { url: data.source.url } : data;
+        return this.client.withKey(apiKey).shrink(source, {
+            ...options,
+            contentType,
+            raw: true,
+            validateStatus: status => status < 500
+        });
+    }
+
+    download(apiKey, url, responseType = 'stream', options = {}) {
+        return this.client.withKey(apiKey).download(url, { ...options, responseType, raw: true });
+    }
+
+    operations(apiKey, url, operations, options = {}) {
+        return this.client.withKey(apiKey).operations(url, operations, {
+            ...options,
+            responseType: 'stream',
+            raw: true,
+            validateStatus: status => status < 500
+        });
+    }
+
+    // Only result URLs on the backend's own origin are proxied. The URL is parsed rather
+    // than prefix-matched so tricks like "https://api.tinify.com@evil.example/" are rejected.
+    isOutputUrl(url) {
+        try {
+            const parsed = new URL(url);
+            return parsed.origin === this.origin && !parsed.username && !parsed.password;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Any answer below 500 means the service is reachable (used by readiness checks)
+    async ping({ timeout = 5000 } = {}) {
+        const response = await axios.head(this.origin, { timeout, validateStatus: () => true });
+        return response.status < 500;
+    }
+}
+
+module.exports = {
+    TinifyBackend,
+    axiosTransport,
+    DEFAULT_BASE_URL
+};
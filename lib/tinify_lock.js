@@ -0,0 +1,79 @@
+const fs = require('fs');
+const path = require('path');
+const { sha256 } = require('./result_cache');
+
+const LOCK_FILE_NAME = '.tinify-lock.json';
+const LOCK_VERSION = 1;
+
+// Record of images that have already been through compression, meant to be
+// committed next to them. Entries are keyed by path relative to the lock file's
+// directory (always with "/") and hold the SHA-256 of the file as it was written
+// (`hash`) and of its source (`originalHash`), the sizes, engine and date.
+// A file whose content still matches its entry does not need compressing again.
+class TinifyLock {
+    constructor({ lockPath }) {
+        this.lockPath = lockPath;
+        this.root = path.dirname(lockPath);
+        this.files = {};
+        this.saving = Promise.resolve();
+        this.load();
+    }
+
+    load() {
+        if (!fs.existsSync(this.lockPath)) return;
+        const saved = JSON.parse(fs.readFileSync(this.lockPath, 'utf8'));
+        if (saved.version !== LOCK_VERSION) {
+            throw new Error(`Unsupported ${path.basename(this.lockPath)} version ${saved.version}`);
+        }
+        this.files = saved.files || {};
+    }
+
+    // Keys are sorted so the committed file only changes where entries change.
+    // Writes are chained so saves from concurrent files never interleave.
+    save() {
+        const files = {};
+        for (const key of Object.keys(this.files).sort()) files[key] = this.files[key];
+        const data = `${JSON.stringify({ version: LOCK_VERSION, files }, null, 2)}\n`;
+        const tmpPath = `${this.lockPath}.tmp`;
+        this.saving = this.saving.catch(() => {}).then(async () => {
+            await fs.promises.mkdir(this.root, { recursive: true });
+            await fs.promises.writeFile(tmpPath, data);
+            await fs.promises.rename(tmpPath, this.lockPath);
+        });
+        return this.saving;
+    }
+
+    key(filePath) {
+        return path.relative(this.root, filePath).split(path.sep).join('/');
+    }
+
+    get(filePath) {
+        return this.files[this.key(filePath)] || null;
+    }
+
+    // `source` and `output` are the image before and after compression; they are
+    // the same buffer when the original was kept
+    record(filePath, { source, output, engine }) {
+        this.files[this.key(filePath)] = {
+            hash: sha256(output),
+            originalHash: sha256(source),
+            originalSize: source.length,
+            compressedSize: output.length,
+            engine,
+            compressedAt: new Date().toISOString()
+        };
+    }
+
+    // Drop entries for files that are gone
+    retain(filePaths) {
+        const keep = new Set(filePaths.map(filePath => this.key(filePath)));
+        for (const key of Object.keys(this.files)) {
+            if (!keep.has(key)) delete this.files[key];
+        }
+    }
+}
+
+module.exports = {
+    TinifyLock,
+    LOCK_FILE_NAME
+};
@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const { Transform, PassThrough } = require('stream');
+
+const DEFAULT_MAX_BYTES = 50 * 1024 * 1024;
+const DEFAULT_ALLOWED_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/avif', 'image/svg+xml', 'application/octet-stream'];
+
+// Upload limits from MAX_UPLOAD_BYTES and ALLOWED_MIME_TYPES (comma separated,
+// "image/*" style wildcards allowed)
+function uploadOptionsFromEnv(env = process.env) {
+    const allowedTypes = (env.ALLOWED_MIME_TYPES || '')
+        .split(',')
+        .map(type => type.trim().toLowerCase())
+        .filter(Boolean);
+    return {
+        maxBytes: Number(env.MAX_UPLOAD_BYTES) || DEFAULT_MAX_BYTES,
+        allowedTypes: allowedTypes.length > 0 ? allowedTypes : DEFAULT_ALLOWED_TYPES
+    };
+}
+
+const mediaType = contentType => String(contentType || '').split(';')[0].trim().toLowerCase();
+
+function isAllowedType(contentType, allowedTypes) {
+    const type = mediaType(contentType);
+    if (!type) return false;
+    return allowedTypes.some(allowed => allowed === type ||
+        (allowed.endsWith('/*') && type.startsWith(allowed.slice(0, -1))));
+}
+
+class UploadLimitError extends Error {
+    constructor(maxBytes) {
+        super(`The upload exceeds the limit of ${maxBytes} bytes.`);
+        this.name = 'UploadLimitError';
+        this.status = 413;
+    }
+}
+
+// Pass-through stream that enforces a byte limit and hashes everything that
+// flows through it, so uploads can be forwarded without being buffered.
+// `digest` (hex SHA-256) is set once the stream has ended.
+class UploadStream extends Transform {
+    constructor({ maxBytes = DEFAULT_MAX_BYTES } = {}) {
+        super();
+        this.maxBytes = maxBytes;
+        this.bytes = 0;
+        this.exceeded = false;
+        this.digest = null;
+        this.hash = crypto.createHash('sha256');
+    }
+
+    _transform(chunk, encoding, callback) {
+        this.bytes += chunk.length;
+        if (this.bytes > this.maxBytes) {
+            this.exceeded = true;
+            return callback(new UploadLimitError(this.maxBytes));
+        }
+        this.hash.update(chunk);
+        callback(null, chunk);
+    }
+
+    _flush(callback) {
+        this.digest = this.hash.digest('hex');
+        callback();
+    }
+}
+
+// multer storage engine that keeps files in memory like multer.memoryStorage(),
+// with a limit on the bytes of all files of one request together
+class LimitedMemoryStorage {
+    constructor({ maxTotalBytes }) {
+        this.maxTotalBytes = maxTotalBytes;
+        this.received = new WeakMap();
+    }
+
+    _handleFile(req, file, callback) {
+        const chunks = [];
+        const onData = chunk => {
+            const total = (this.received.get(req) || 0) + chunk.length;
+            this.received.set(req, total);
+            if (total > this.maxTotalBytes) {
+                file.stream.off('data', onData);
+                file.stream.off('end', onEnd);
+                file.stream.resume();
+                return callback(new UploadLimitError(this.maxTotalBytes));
+            }
+            chunks.push(chunk);
+        };
+        const onEnd = () => {
+            const buffer = Buffer.concat(chunks);
+            callback(null, { buffer, size: buffer.length });
+        };
+        file.stream.on('data', onData);
+        file.stream.on('end', onEnd);
+        file.stream.once('error', callback);
+    }
+
+    _removeFile(req, file, callback) {
+        delete file.buffer;
+        callback(null);
+    }
+}
+
+// Read the first `size` bytes of a stream (fewer if it is shorter) without losing
+// them. Resolves with { head, stream }, where `stream` replays the whole body.
+function peekStream(source, size) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let length = 0;
+
+        const done = () => {
+            source.off('data', onData);
+            source.off('end', done);
+            source.off('error', onError);
+            source.pause();
+
+            const head = Buffer.concat(chunks);
+            const stream = new PassThrough();
+            source.on('error', error => stream.destroy(error));
+            if (source.readableEnded) {
+                stream.end(head);
+            } else {
+                stream.write(head);
+                source.pipe(stream);
+            }
+            resolve({ head, stream });
+        };
+        const onData = chunk => {
+            chunks.push(chunk);
+            length += chunk.length;
+            if (length >= size) done();
+        };
+        const onError = error => {
+            source.off('data', onData);
+            source.off('end', done);
+            reject(error);
+        };
+
+        source.on('data', onData);
+        source.on('end', done);
+        source.on('error', onError);
+    });
+}
+
+module.exports = {
+    uploadOptionsFromEnv,
+    mediaType,
+    isAllowedType,
+    UploadLimitError,
+    UploadStream,
+    LimitedMemoryStorage,
+    peekStream
+};
@@ -0,0 +1,108 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+// Days older than this are dropped from the state file
+const DEFAULT_RETENTION_DAYS = 400;
+
+const MONTH_PATTERN = /^\d{4}-\d{2}$/;
+
+// `compressions` are Tinify's (they use up quota), `localCompressions` those of
+// the proxy's own engines (SVG)
+const emptyDay = () => ({ compressions: 0, localCompressions: 0, cacheHits: 0, bytesIn: 0, bytesOut: 0 });
+
+// Per-day totals of compressions and bytes, for the /api/usage report.
+// Days are UTC calendar days (YYYY-MM-DD), the same way KeyPool counts months.
+// Persisted to a small JSON file so the history survives restarts.
+// `now` returns the current Date; tests pass their own clock.
+class UsageStats {
+    constructor({ statePath, retentionDays = DEFAULT_RETENTION_DAYS, now = () => new Date() } = {}) {
+        this.statePath = statePath;
+        this.retentionDays = retentionDays;
+        this.now = now;
+        this.days = {};
+        this.saving = Promise.resolve();
+        this.load();
+    }
+
+    load() {
+        if (!this.statePath || !fs.existsSync(this.statePath)) return;
+        try {
+            const saved = JSON.parse(fs.readFileSync(this.statePath, 'utf8'));
+            // Days saved before a field existed count it as zero
+            for (const [day, entry] of Object.entries(saved.days || {})) {
+                this.days[day] = { ...emptyDay(), ...entry };
+            }
+        } catch (error) {
+            logger.warn('Could not read usage state', { path: this.statePath, error });
+        }
+    }
+
+    save() {
+        if (!this.statePath) return this.saving;
+        const data = JSON.stringify({ updatedAt: this.now().toISOString(), days: this.days }, null, 2);
+        const tmpPath = `${this.statePath}.tmp`;
+        // Chain writes so concurrent requests never interleave on the file
+        this.saving = this.saving
+            .then(async () => {
+                await fs.promises.mkdir(path.dirname(this.statePath), { recursive: true });
+                await fs.promises.writeFile(tmpPath, data);
+                await fs.promises.rename(tmpPath, this.statePath);
+            })
+            .catch(error => logger.warn('Could not save usage state', { error }));
+        return this.saving;
+    }
+
+    currentDay() {
+        return this.now().toISOString().slice(0, 10);
+    }
+
+    prune() {
+        const cutoff = new Date(this.now().getTime() - this.retentionDays * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+        for (const day of Object.keys(this.days)) {
+            if (day < cutoff) delete this.days[day];
+        }
+    }
+
+    // `source` is the engine that compressed the image ('tinify', 'svg') or 'cache';
+    // `data` is the result JSON ({ input: { size }, output: { size } })
+    record(source, data) {
+        const day = this.currentDay();
+        if (!this.days[day]) {
+            this.days[day] = emptyDay();
+            this.prune();
+        }
+        const entry = this.days[day];
+        if (source === 'cache') entry.cacheHits++;
+        else if (source === 'tinify') entry.compressions++;
+        else entry.localCompressions++;
+        if (data && data.input && data.output) {
+            entry.bytesIn += data.input.size || 0;
+            entry.bytesOut += data.output.size || 0;
+        }
+        this.save();
+    }
+
+    // Daily breakdown and totals for a calendar month (YYYY-MM, default current)
+    report(month = this.currentDay().slice(0, 7)) {
+        const days = Object.keys(this.days)
+            .filter(day => day.startsWith(`${month}-`))
+            .sort()
+            .map(day => {
+                const entry = this.days[day];
+                return { date: day, ...entry, bytesSaved: Math.max(entry.bytesIn - entry.bytesOut, 0) };
+            });
+
+        const totals = days.reduce((sum, day) => {
+            for (const field of Object.keys(sum)) sum[field] += day[field];
+            return sum;
+        }, { ...emptyDay(), bytesSaved: 0 });
+
+        return { month, totals, days };
+    }
+}
+
+module.exports = {
+    UsageStats,
+    MONTH_PATTERN
+};
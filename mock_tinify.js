@@ -0,0 +1,179 @@
+const express = require('express');
+const crypto = require('crypto');
+require('dotenv').config();
+
+// Local stand-in for the Tinify API, for running the proxy and the extension
+// end to end without network access or quota (CI, offline laptops):
+//
+//   node mock_tinify.js        # listens on MOCK_TINIFY_PORT (4000)
+//   node server.js --mock      # the proxy, with TINIFY_BASE_URL pointing here
+//
+// It follows Tinify's HTTP contract but does not compress anything: the "output"
+// is the uploaded image itself, and resize / convert / preserve are accepted and
+// reflected in the response headers without touching the bytes.
+
+const DEFAULT_MONTHLY_LIMIT = 500;
+const MAX_OUTPUTS = 200;
+
+// Magic numbers of the formats Tinify accepts
+const sniffType = buffer => {
+    if (buffer.length >= 8 && buffer.readUInt32BE(0) === 0x89504e47) return 'image/png';
+    if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+    if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'image/webp';
+    if (buffer.length >= 12 && buffer.toString('ascii', 4, 8) === 'ftyp' && /^avi[fs]$/.test(buffer.toString('ascii', 8, 12))) return 'image/avif';
+    return null;
+};
+
+// Width and height for PNG (IHDR) and JPEG (first SOF marker); null when unknown
+const imageSize = (buffer, type) => {
+    if (type === 'image/png' && buffer.length >= 24) {
+        return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+    }
+    if (type === 'image/jpeg') {
+        let offset = 2;
+        while (offset + 9 < buffer.length && buffer[offset] === 0xff) {
+            const marker = buffer[offset + 1];
+            const length = buffer.readUInt16BE(offset + 2);
+            if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+                return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+            }
+            offset += 2 + length;
+        }
+    }
+    return { width: null, height: null };
+};
+
+const readApiKey = req => {
+    const [scheme, encoded] = (req.get('Authorization') || '').split(' ');
+    if (scheme !== 'Basic' || !encoded) return null;
+    const decoded = Buffer.from(encoded, 'base64').toString('utf8');
+    return decoded.startsWith('api:') ? decoded.slice(4) : null;
+};
+
+// `keys`: accepted API keys (empty accepts any key); `monthlyLimit`: compressions
+// per key before 429; `baseUrl`: public address used in Location / output.url
+function createMockTinify({ keys = [], monthlyLimit = DEFAULT_MONTHLY_LIMIT, baseUrl } = {}) {
+    const app = express();
+    const counts = new Map();
+    const outputs = new Map();
+
+    const publicUrl = (req, pathname) => `${baseUrl || `${req.protocol}://${req.get('host')}`}${pathname}`;
+
+    const storeOutput = output => {
+        const id = crypto.randomBytes(16).toString('hex');
+        outputs.set(id, output);
+        if (outputs.size > MAX_OUTPUTS) outputs.delete(outputs.keys().next().value);
+        return id;
+    };
+
+    // Same credentials check and Compression-Count header as Tinify
+    const authenticate = (req, res, next) => {
+        const apiKey = readApiKey(req);
+        if (!apiKey || (keys.length > 0 && !keys.includes(apiKey))) {
+            return res.status(401).json({ error: 'Unauthorized', message: 'Credentials are invalid.' });
+        }
+        req.apiKey = apiKey;
+        res.setHeader('Compression-Count', String(counts.get(apiKey) || 0));
+        next();
+    };
+
+    // Compressions and output operations count against the monthly limit
+    const consume = (req, res) => {
+        const used = counts.get(req.apiKey) || 0;
+        if (used >= monthlyLimit) {
+            res.status(429).json({ error: 'TooManyRequests', message: 'Your monthly limit has been exceeded' });
+            return false;
+        }
+        counts.set(req.apiKey, used + 1);
+        res.setHeader('Compression-Count', String(used + 1));
+        return true;
+    };
+
+    const readSource = async req => {
+        if (!req.is('application/json')) return req.body;
+        const { source } = JSON.parse(req.body.toString('utf8') || '{}');
+        if (!source || typeof source.url !== 'string') return null;
+        const response = await fetch(source.url);
+        if (!response.ok) throw new Error(`Source responded with ${response.status}`);
+        return Buffer.from(await response.arrayBuffer());
+    };
+
+    app.use(express.raw({ type: () => true, limit: '100mb' }));
+
+    app.post('/shrink', authenticate, async (req, res) => {
+        let input;
+        try {
+            input = await readSource(req);
+        } catch (error) {
+            return res.status(400).json({ error: 'Source not found', message: error.message });
+        }
+        if (!input || input.length === 0) {
+            return res.status(400).json({ error: 'Bad request', message: 'Input file is empty.' });
+        }
+        const type = sniffType(input);
+        if (!type) {
+            return res.status(415).json({ error: 'Unsupported media type', message: 'File type is not supported.' });
+        }
+        if (!consume(req, res)) return;
+
+        const { width, height } = imageSize(input, type);
+        const url = publicUrl(req, `/output/${storeOutput({ buffer: input, type, width, height })}`);
+        res.status(201).setHeader('Location', url);
+        res.json({
+            input: { size: input.length, type },
+            output: { size: input.length, type, width, height, ratio: 1, url }
+        });
+    });
+
+    app.get('/output/:id', (req, res) => {
+        const output = outputs.get(req.params.id);
+        if (!output) return res.status(404).json({ error: 'Not found', message: 'Output has expired.' });
+        if (output.width) res.setHeader('Image-Width', String(output.width));
+        if (output.height) res.setHeader('Image-Height', String(output.height));
+        res.type(output.type).send(output.buffer);
+    });
+
+    app.post('/output/:id', authenticate, (req, res) => {
+        const output = outputs.get(req.params.id);
+        if (!output) return res.status(404).json({ error: 'Not found', message: 'Output has expired.' });
+
+        let operations;
+        try {
+            operations = JSON.parse(req.body.toString('utf8') || '{}');
+        } catch (error) {
+            return res.status(400).json({ error: 'Bad request', message: 'Request body is not valid JSON.' });
+        }
+        if (!consume(req, res)) return;
+
+        const { resize, convert } = operations;
+        const width = resize && resize.width || output.width;
+        const height = resize && resize.height || output.height;
+        const types = convert ? [].concat(convert.type) : [];
+        const type = types.find(candidate => candidate !== '*/*' && candidate.startsWith('image/')) || output.type;
+
+        if (width) res.setHeader('Image-Width', String(width));
+        if (height) res.setHeader('Image-Height', String(height));
+        res.type(type).send(output.buffer);
+    });
+
+    app.use((req, res) => {
+        res.status(404).json({ error: 'Not found', message: 'Unknown endpoint.' });
+    });
+
+    return app;
+}
+
+if (require.main === module) {
+    const PORT = process.env.MOCK_TINIFY_PORT || 4000;
+    const keys = (process.env.MOCK_TINIFY_KEYS || '').split(',').map(key => key.trim()).filter(Boolean);
+    const monthlyLimit = Number(process.env.MOCK_TINIFY_LIMIT) || DEFAULT_MONTHLY_LIMIT;
+
+    createMockTinify({ keys, monthlyLimit }).listen(PORT, () => {
+        console.log(`🧪 Mock Tinify API running on http://localhost:${PORT}`);
+        console.log(`   Start the proxy with npm run start:mock, or TINIFY_BASE_URL=http://localhost:${PORT}`);
+    });
+}
+
+module.exports = {
+    createMockTinify
+};
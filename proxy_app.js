@@ -0,0 +1,1217 @@
+const express = require('express');
+const cors = require('cors');
+const bodyParser = require('body-parser');
+const multer = require('multer');
+const JSZip = require('jszip');
+const path = require('path');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+require('dotenv').config();
+const { validateOperations } = require('./lib/operations');
+const { KeyPool, keysFromEnv, isQuotaError } = require('./lib/key_pool');
+const { clientsFromEnv, originsFromEnv, corsOptions, authenticate } = require('./lib/auth');
+const { RateLimiter } = require('./lib/rate_limiter');
+const { ResultCache, sha256, HASH_PATTERN } = require('./lib/result_cache');
+const { JobQueue } = require('./lib/job_queue');
+const { FetchError, assertPublicUrl, safeFetch } = require('./lib/safe_fetch');
+const { uploadOptionsFromEnv, isAllowedType, UploadStream, LimitedMemoryStorage, peekStream } = require('./lib/upload');
+const { withRetry, isTransientError } = require('./lib/retry');
+const { CircuitBreaker, CircuitOpenError } = require('./lib/circuit_breaker');
+const logger = require('./lib/logger');
+const metrics = require('./lib/metrics');
+const { UsageStats, MONTH_PATTERN } = require('./lib/usage_stats');
+const { backendFromEnv } = require('./lib/backend');
+const { SNIFF_BYTES, LOCAL_ENGINES, sniffFormat, unsupportedMessage } = require('./lib/formats');
+const { mapWithConcurrency } = require('./lib/concurrency');
+
+// The proxy's routes and middleware, independent of how requests arrive:
+// server.js listens over HTTP, serverless.js wraps the app for function runtimes
+const app = express();
+
+// Client tokens and allowed origins
+const clients = clientsFromEnv();
+const allowedOrigins = originsFromEnv();
+
+// Middleware
+// Correlation ID: reuse a well-formed X-Request-Id from the caller or create one.
+// It is echoed in the response and attached to every log line of the request.
+app.use((req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+    req.id = incoming && /^[\w.-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+    res.setHeader('X-Request-Id', req.id);
+
+    const start = Date.now();
+    res.on('finish', () => {
+        logger.info('Request finished', {
+            requestId: req.id,
+            method: req.method,
+            path: req.path,
+            status: res.statusCode,
+            durationMs: Date.now() - start
+        });
+    });
+
+    logger.withContext({ requestId: req.id }, next);
+});
+app.use(metrics.middleware());
+
+// Only allowlisted origins; expose image, rate limit and cache headers to the extension
+app.use(cors(corsOptions(allowedOrigins, ['Image-Width', 'Image-Height', 'Retry-After', 'X-RateLimit-Remaining', 'X-Cache', 'X-Request-Id', 'X-Compressions-Used'])));
+
+// Authenticate and rate limit API calls before any body is read
+const rateLimiter = new RateLimiter({
+    windowMs: Number(process.env.RATE_LIMIT_WINDOW_MS) || undefined,
+    maxRequests: Number(process.env.RATE_LIMIT_REQUESTS) || undefined,
+    maxBytes: Number(process.env.RATE_LIMIT_BYTES) || undefined
+});
+app.use('/api', authenticate(clients), rateLimiter.middleware());
+
+// Compressions spent on Tinify while answering the current request, reported in
+// X-Compressions-Used so clients can tell what each file cost (see countCompression)
+const requestUsage = new AsyncLocalStorage();
+app.use('/api', (req, res, next) => requestUsage.run(res, next));
+
+// Upload size limit and accepted MIME types (MAX_UPLOAD_BYTES / ALLOWED_MIME_TYPES)
+const uploadOptions = uploadOptionsFromEnv();
+
+// Uploads up to this size are read into memory so they can be sent again to the
+// next key when one runs out of quota; larger ones are streamed through. Every
+// Tinify upload is buffered up to this size before anything is sent, so only
+// bodies larger than it stream, and each request in flight can hold this much
+// memory. Lowering it saves memory and lets more uploads stream, but those
+// uploads get a 503 with Retry-After instead of failing over when their key
+// runs out.
+const REPLAYABLE_UPLOAD_BYTES = Math.min(
+    Number(process.env.REPLAYABLE_UPLOAD_BYTES) || 10 * 1024 * 1024,
+    uploadOptions.maxBytes
+);
+
+// /api/compress streams its body straight to Tinify, so raw bodies are only
+// buffered on routes that need them (see rawBody). JSON bodies are small.
+app.use(bodyParser.json());
+const rawBody = bodyParser.raw({ type: () => true, limit: uploadOptions.maxBytes });
+
+// Tinify API keys, rotated by remaining monthly quota
+const keyPool = new KeyPool({
+    keys: keysFromEnv(),
+    statePath: process.env.TINIFY_KEY_STATE_FILE || path.join(__dirname, '.tinify-keys.json'),
+    monthlyLimit: Number(process.env.TINIFY_MONTHLY_LIMIT) || undefined
+});
+
+const usageStats = new UsageStats({
+    statePath: process.env.USAGE_STATE_FILE || path.join(__dirname, '.tinify-usage.json')
+});
+
+// Count a finished compression (by engine: 'tinify', 'svg') or a cache hit ('cache')
+const recordCompression = (source, data) => {
+    metrics.recordCompression(source, data);
+    usageStats.record(source, data);
+};
+
+// Per output URL memory, keeping the most recent OUTPUT_KEY_CACHE_SIZE URLs
+const OUTPUT_KEY_CACHE_SIZE = 1000;
+const rememberForUrl = (map, url, value) => {
+    map.delete(url);
+    map.set(url, value);
+    if (map.size > OUTPUT_KEY_CACHE_SIZE) {
+        map.delete(map.keys().next().value);
+    }
+};
+
+// Remember which key created an output URL so downloads use the same account
+const outputKeys = new Map();
+const rememberOutputKey = (url, key) => rememberForUrl(outputKeys, url, key);
+
+// Fresh Tinify results not in the result cache yet: output URL -> { hash, data }.
+// The cache is filled when the client downloads the result (see /api/download),
+// so the bytes are not fetched from Tinify a second time just for the cache.
+const pendingResults = new Map();
+const rememberPendingResult = (url, hash, data) => rememberForUrl(pendingResults, url, { hash, data });
+
+// Tinify (or a Tinify-compatible server such as mock_tinify.js, see TINIFY_BASE_URL)
+const backend = backendFromEnv();
+
+// Limits for images fetched from a source URL on the client's behalf
+const FETCH_OPTIONS = {
+    maxBytes: uploadOptions.maxBytes,
+    maxRedirects: Number(process.env.FETCH_MAX_REDIRECTS) || 3,
+    timeoutMs: Number(process.env.FETCH_TIMEOUT_MS) || 15000,
+    allowedTypes: uploadOptions.allowedTypes.filter(type => type !== 'application/octet-stream')
+};
+
+// Upstream resilience: transient failures are retried with backoff, and after
+// repeated failures the breaker opens so requests fail fast while Tinify is down
+const RETRY_OPTIONS = {
+    retries: Number.isInteger(Number(process.env.TINIFY_RETRIES)) && process.env.TINIFY_RETRIES !== ''
+        ? Number(process.env.TINIFY_RETRIES)
+        : 2,
+    baseDelayMs: Number(process.env.TINIFY_RETRY_DELAY_MS) || 300
+};
+const tinifyBreaker = new CircuitBreaker({
+    name: 'Tinify API',
+    failureThreshold: Number(process.env.TINIFY_BREAKER_THRESHOLD) || 5,
+    resetTimeoutMs: Number(process.env.TINIFY_BREAKER_RESET_MS) || 30000,
+    onStateChange: ({ name, from, to, failures }) => {
+        metrics.circuitState.set(metrics.CIRCUIT_STATES[to]);
+        logger.warn('Circuit breaker state changed', { upstream: name, from, to, failures });
+    }
+});
+
+// Last time Tinify answered at all (any status below 500), for readiness checks
+let upstreamReachableAt = 0;
+
+// Tinify calls that cost a compression when they succeed; downloads are free
+const COUNTED_OPERATIONS = new Set(['shrink', 'output']);
+
+// Add a compression to the current request's X-Compressions-Used. Calls made
+// after the answer was sent (background jobs, cache fills) go unreported.
+function countCompression() {
+    const res = requestUsage.getStore();
+    if (!res || res.headersSent) return;
+    res.locals.compressionsUsed = (res.locals.compressionsUsed || 0) + 1;
+    res.setHeader('X-Compressions-Used', res.locals.compressionsUsed);
+}
+
+// One timed call through the breaker
+async function timedTinifyCall(label, task) {
+    const end = metrics.upstreamDuration.startTimer({ operation: label });
+    try {
+        const response = await tinifyBreaker.exec(task);
+        if (response && response.status < 500) upstreamReachableAt = Date.now();
+        if (response && response.status < 400 && COUNTED_OPERATIONS.has(label)) countCompression();
+        end({ outcome: String(response ? response.status : 'ok') });
+        return response;
+    } catch (error) {
+        if (error.response && error.response.status < 500) upstreamReachableAt = Date.now();
+        end({
+            outcome: error instanceof CircuitOpenError ? 'circuit_open'
+                : error.response ? String(error.response.status) : 'network_error'
+        });
+        throw error;
+    }
+}
+
+// Call Tinify through the circuit breaker. Replayable requests (`retry`, the
+// default) are retried on network errors, 5xx and 429 with Retry-After.
+const callTinify = (label, task, { retry = true } = {}) => {
+    const attempt = () => timedTinifyCall(label, task);
+    if (!retry) return attempt();
+    return withRetry(attempt, {
+        ...RETRY_OPTIONS,
+        onRetry: ({ attempt: count, delay, reason }) => {
+            metrics.upstreamRetries.inc({ operation: label });
+            logger.warn('Retrying Tinify call', { operation: label, attempt: count, maxRetries: RETRY_OPTIONS.retries, delayMs: delay, reason });
+        }
+    });
+};
+
+// Answer upstream failures with a specific status instead of a generic 500:
+// 503 while the breaker is open, 504 on timeouts, 502 for other network errors
+// and Tinify 5xx. Returns false when `error` is not an upstream failure.
+function sendUpstreamError(res, error) {
+    if (error instanceof CircuitOpenError) {
+        res.setHeader('Retry-After', Math.ceil(error.retryAfterMs / 1000));
+        res.status(503).json({ 
+            error: 'Service Unavailable', 
+            message: error.message 
+        });
+        return true;
+    }
+
+    const status = error.response && error.response.status;
+    if (status >= 500 || (!error.response && isTransientError(error))) {
+        const timedOut = error.code === 'ETIMEDOUT' || error.code === 'ECONNABORTED';
+        res.status(timedOut ? 504 : 502).json({ 
+            error: timedOut ? 'Gateway Timeout' : 'Bad Gateway', 
+            message: status
+                ? `Tinify API responded with ${status} after ${RETRY_OPTIONS.retries + 1} attempt(s).`
+                : `Could not reach Tinify API (${error.code || error.message}).`
+        });
+        return true;
+    }
+
+    return false;
+}
+
+// Forward a streamed Tinify error answer (a small JSON body). An output URL
+// that is gone (404 or 410: expired) is answered with 404.
+async function sendTinifyError(res, response) {
+    const chunks = [];
+    for await (const chunk of response.data) chunks.push(chunk);
+    const text = Buffer.concat(chunks).toString('utf8');
+    logger.warn('Tinify API error', { status: response.status, response: text });
+    const status = response.status === 410 ? 404 : response.status;
+    try {
+        return res.status(status).json(JSON.parse(text));
+    } catch (e) {
+        return res.status(status).json({ error: 'Tinify Error', message: text });
+    }
+}
+
+// AbortSignal that fires when the client disconnects before the response is complete
+const abortOnClose = res => {
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableFinished) controller.abort();
+    });
+    return controller.signal;
+};
+
+// Compressed results, keyed by the SHA-256 of the uploaded image
+const resultCache = new ResultCache({
+    dir: process.env.CACHE_DIR || path.join(__dirname, '.tinify-cache'),
+    maxBytes: Number(process.env.CACHE_MAX_BYTES) || undefined
+});
+
+// Proxy URL under which a cached result can be downloaded. Cached results
+// outlive Tinify's output URLs, so clients are pointed here on a cache hit.
+const resultUrl = (req, hash) => {
+    const base = process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`;
+    return `${base.replace(/\/$/, '')}/api/results/${hash}`;
+};
+
+// Hash from a URL created by resultUrl, or null for any other URL
+const resultHashFromUrl = url => {
+    try {
+        const match = new URL(url).pathname.match(/\/api\/results\/([0-9a-f]{64})$/);
+        return match ? match[1] : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+// Compression result for an already cached upload, or null on a miss
+const cachedCompression = hash => {
+    const meta = resultCache.get(hash);
+    if (!meta) return null;
+    return {
+        status: 200,
+        data: { input: meta.input, output: { ...meta.output }, engine: meta.engine || 'tinify' },
+        key: null,
+        hash,
+        cached: true
+    };
+};
+
+// Result for an upload no engine can compress, in the usual { error, message } shape
+const unsupportedFormat = format => ({
+    status: 415,
+    data: { error: 'Unsupported Media Type', message: unsupportedMessage(format) },
+    key: null,
+    hash: null,
+    cached: false
+});
+
+// Compress with an engine that runs inside the proxy (SVG). There is no
+// upstream URL, so the bytes go straight into the result cache (`stored`).
+async function compressLocally(buffer, format, hash) {
+    let optimized;
+    try {
+        optimized = await LOCAL_ENGINES[format.engine](buffer);
+    } catch (error) {
+        if (error.status !== 400) throw error;
+        return { status: 400, data: { error: 'Invalid Image', message: error.message }, key: null, hash, cached: false };
+    }
+
+    const output = {
+        size: optimized.buffer.length,
+        type: format.type,
+        width: optimized.width,
+        height: optimized.height,
+        ratio: Math.round(optimized.buffer.length / buffer.length * 10000) / 10000
+    };
+    const data = { input: { size: buffer.length, type: format.type }, output, engine: format.engine };
+    await resultCache.set(hash, optimized.buffer, data);
+    recordCompression(format.engine, data);
+    return { status: 200, data: { ...data, output: { ...output } }, key: null, hash, cached: false, stored: true };
+}
+
+// Compress an image buffer with the engine for its sniffed format, answering
+// repeated uploads from the result cache. Resolves with { status, data, key, hash,
+// cached, stored }, or null when Tinify is needed but no key has quota left.
+async function compressBuffer(buffer, contentType, options) {
+    const hash = sha256(buffer);
+    const cached = cachedCompression(hash);
+    if (cached) {
+        recordCompression('cache', cached.data);
+        return cached;
+    }
+
+    const format = sniffFormat(buffer);
+    if (!format || !format.engine) return unsupportedFormat(format);
+    if (format.engine !== 'tinify') return compressLocally(buffer, format, hash);
+
+    const result = await keyPool.run(apiKey => callTinify('shrink', () => backend.shrink(apiKey, buffer, contentType, options)));
+    if (!result) return null;
+
+    const { response, key } = result;
+    if (response.status >= 400) {
+        return { status: response.status, data: response.data, key, hash, cached: false };
+    }
+    if (response.data.output && response.data.output.url) {
+        rememberOutputKey(response.data.output.url, key);
+        recordCompression('tinify', response.data);
+    }
+    return { status: response.status, data: { ...response.data, engine: 'tinify' }, key, hash, cached: false };
+}
+
+// Keep a Tinify result's bytes in the result cache, along with the output URL
+// they came from: output operations run on that URL while Tinify still has it
+async function storeResult(hash, data, buffer) {
+    const { url, ...output } = data.output;
+    await resultCache.set(hash, buffer, { input: data.input, output, engine: 'tinify', sourceUrl: url });
+}
+
+// Download a fresh Tinify result into the result cache, for callers that need
+// the bytes themselves (batches, jobs)
+async function downloadResult(hash, key, data) {
+    const downloaded = await callTinify('download', () => backend.download(key, data.output.url, 'arraybuffer'));
+    const buffer = Buffer.from(downloaded.data);
+    await storeResult(hash, data, buffer);
+    return buffer;
+}
+
+const sendCachedResultGone = res => res.status(404).json({ 
+    error: 'Not Found', 
+    message: 'The cached result is no longer available. Compress the image again.' 
+});
+
+// Respond with a cached result's bytes
+async function sendCachedResult(res, hash) {
+    const meta = resultCache.get(hash);
+    const buffer = meta && await resultCache.read(hash);
+    if (!buffer) {
+        return sendCachedResultGone(res);
+    }
+    res.setHeader('Content-Type', meta.output.type || 'application/octet-stream');
+    res.setHeader('Content-Length', buffer.length);
+    res.setHeader('X-Cache', 'HIT');
+    if (meta.output.type === 'image/svg+xml') {
+        // SVGs can carry scripts; never let one run on the proxy's origin
+        res.setHeader('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'; img-src data:");
+        res.setHeader('X-Content-Type-Options', 'nosniff');
+    }
+    res.end(buffer);
+}
+
+// Asynchronous compression jobs, bounded so only a few Tinify calls run at once
+const jobQueue = new JobQueue({
+    concurrency: Number(process.env.JOB_CONCURRENCY) || undefined,
+    maxQueued: Number(process.env.JOB_MAX_QUEUED) || undefined,
+    ttlMs: Number(process.env.JOB_TTL_MS) || undefined
+});
+
+// Batch uploads are kept in memory; each file is bounded by the same limit as
+// /api/compress and all files of a batch together by BATCH_MAX_BYTES
+const BATCH_MAX_FILES = 200;
+const BATCH_MAX_BYTES = Number(process.env.BATCH_MAX_BYTES) || 200 * 1024 * 1024;
+const BATCH_CONCURRENCY = 4;
+const batchUpload = multer({
+    storage: new LimitedMemoryStorage({ maxTotalBytes: BATCH_MAX_BYTES }),
+    preservePath: true,
+    defParamCharset: 'utf8',
+    limits: { fileSize: uploadOptions.maxBytes, files: BATCH_MAX_FILES },
+    fileFilter: (req, file, callback) => {
+        // Rejected files simply do not appear in req.files
+        callback(null, isAllowedType(file.mimetype, uploadOptions.allowedTypes));
+    }
+});
+
+// Turn a client-supplied file name into a safe relative path inside the ZIP
+function toZipPath(name) {
+    const segments = String(name || '')
+        .replace(/\\/g, '/')
+        .split('/')
+        .filter(segment => segment && segment !== '.' && segment !== '..');
+    return segments.join('/') || 'image';
+}
+
+// Append " (n)" before the extension until the path is unused
+function uniquePath(filePath, used) {
+    let candidate = filePath;
+    const ext = path.posix.extname(filePath);
+    const base = filePath.slice(0, filePath.length - ext.length);
+    for (let i = 1; used.has(candidate.toLowerCase()); i++) {
+        candidate = `${base} (${i})${ext}`;
+    }
+    used.add(candidate.toLowerCase());
+    return candidate;
+}
+
+// Validate API Key
+if (keyPool.size === 0) {
+    logger.warn('Neither TINIFY_API_KEYS nor TINIFY_API_KEY is set in .env file.');
+} else {
+    logger.info('Loaded Tinify API keys', { keys: keyPool.size });
+}
+
+if (clients.size === 0) {
+    logger.error('PROXY_CLIENT_TOKENS is not set, every API request will be refused with 401.');
+}
+if (allowedOrigins.length === 0) {
+    logger.warn('CORS_ORIGINS / EXTENSION_IDS are not set, requests from browsers and the extension will be refused with 403.');
+}
+
+// Reject requests early when the server has no Tinify key configured
+const requireApiKey = (req, res, next) => {
+    if (keyPool.size === 0) {
+        return res.status(500).json({ 
+            error: 'Server Configuration Error', 
+            message: 'Tinify API Key is not configured on the server.' 
+        });
+    }
+    next();
+};
+
+const sendQuotaExhausted = res => {
+    res.locals.errorClass = 'quota';
+    return res.status(429).json({ 
+        error: 'Quota Exceeded', 
+        message: 'All configured Tinify API keys have reached their monthly limit.' 
+    });
+};
+
+// Compress an image given as { source: { url } }. By default the JSON is forwarded
+// and Tinify fetches the image itself; with { fetch: true } the proxy downloads it
+// (so the result cache applies). Either way the URL must point at a public host.
+async function compressFromUrl(req, res) {
+    const { source, fetch: serverFetch, ...rest } = req.body || {};
+    const url = source && source.url;
+
+    if (typeof url !== 'string' || Object.keys(rest).length > 0) {
+        return res.status(400).json({ 
+            error: 'Bad Request', 
+            message: 'Expected a JSON body like { "source": { "url": "https://..." }, "fetch": false }.' 
+        });
+    }
+
+    if (serverFetch) {
+        logger.info('Fetching source image', { url });
+        const { buffer, contentType } = await safeFetch(url, FETCH_OPTIONS);
+        return sendCompression(req, res, await compressBuffer(buffer, contentType));
+    }
+
+    const publicUrl = await assertPublicUrl(url);
+    logger.info('Forwarding source URL to Tinify', { url: publicUrl.toString() });
+
+    const result = await keyPool.run(apiKey => callTinify('shrink', () => backend.shrink(apiKey, { source: { url: publicUrl.toString() } }, 'application/json')));
+    if (!result) return sendQuotaExhausted(res);
+
+    const { response, key } = result;
+    let data = response.data;
+    if (response.status < 400 && data.output && data.output.url) {
+        rememberOutputKey(data.output.url, key);
+        recordCompression('tinify', data);
+        data = { ...data, engine: 'tinify' };
+    }
+    // No upload bytes to hash, so these results bypass the cache
+    return sendCompression(req, res, { status: response.status, data, key, hash: null, cached: false });
+}
+
+// Answer a compression request from a compressBuffer-style result
+function sendCompression(req, res, result) {
+    if (!result) return sendQuotaExhausted(res);
+    const { status, data, key, hash, cached, stored } = result;
+
+    // If Tinify returns error (e.g., 401, 415), forward it
+    if (status >= 400) {
+        logger.warn('Compression failed', { status, response: data });
+        return res.status(status).json(data);
+    }
+
+    res.setHeader('X-Cache', cached ? 'HIT' : 'MISS');
+
+    if (cached) {
+        logger.info('Cache hit', { hash });
+        data.output.url = resultUrl(req, hash);
+    } else if (stored) {
+        logger.info('Compressed locally', { engine: data.engine, inputSize: data.input.size, outputSize: data.output.size });
+        data.output.url = resultUrl(req, hash);
+    } else {
+        logger.info('Compression successful', { inputSize: data.input && data.input.size, outputSize: data.output && data.output.size });
+        // Keep the bytes, not just the URL, once the client downloads them; Tinify output URLs expire
+        if (hash && data.output && data.output.url) rememberPendingResult(data.output.url, hash, data);
+    }
+
+    // Return Tinify's response directly
+    // The response typically contains input info and output info (url, size, type)
+    res.json(data);
+}
+
+const sendTooLarge = res => res.status(413).json({ 
+    error: 'Payload Too Large', 
+    message: `The image exceeds the limit of ${uploadOptions.maxBytes} bytes.` 
+});
+
+const sendUnsupportedType = (res, contentType) => res.status(415).json({ 
+    error: 'Unsupported Media Type', 
+    message: `Content type "${contentType || 'unknown'}" is not accepted. Allowed: ${uploadOptions.allowedTypes.join(', ')}.` 
+});
+
+const sendEmptyUpload = res => res.status(400).json({ 
+    error: 'Bad Request', 
+    message: 'Empty upload: no image data provided in the request body.' 
+});
+
+// Read a whole upload into memory, enforcing the upload size limit.
+// Resolves with null when the limit is exceeded.
+async function readUpload(stream) {
+    const upload = new UploadStream({ maxBytes: uploadOptions.maxBytes });
+    const chunks = [];
+    try {
+        for await (const chunk of stream.pipe(upload)) chunks.push(chunk);
+    } catch (error) {
+        if (upload.exceeded) return null;
+        throw error;
+    }
+    return Buffer.concat(chunks);
+}
+
+// Route an upload by its sniffed format. Formats with a local engine, and Tinify
+// formats up to REPLAYABLE_UPLOAD_BYTES, are read into memory and go through
+// compressBuffer, which fails over to the next key on quota errors. Larger
+// Tinify uploads are streamed straight to Tinify: the body passes through an
+// UploadStream that enforces the size limit and hashes it, so the result can
+// still be cached. A stream cannot be replayed, so when its key runs out of
+// quota the key is marked exhausted and the client is told to retry (503 with
+// Retry-After), which picks another key.
+async function streamCompression(req, res) {
+    const contentType = req.get('Content-Type') || 'application/octet-stream';
+    const declaredSize = Number(req.get('Content-Length')) || 0;
+
+    if (declaredSize > uploadOptions.maxBytes) {
+        req.resume();
+        return sendTooLarge(res);
+    }
+
+    // Clients that send the SHA-256 up front skip the upload entirely on a cache hit
+    const claimedHash = (req.get('X-Content-SHA256') || '').toLowerCase();
+    const cached = HASH_PATTERN.test(claimedHash) && cachedCompression(claimedHash);
+    if (cached) {
+        req.resume();
+        return sendCompression(req, res, cached);
+    }
+
+    const { head, stream: body } = await peekStream(req, SNIFF_BYTES);
+    // An empty body is a client mistake, not an unknown format
+    if (head.length === 0) return sendEmptyUpload(res);
+    const format = sniffFormat(head);
+    if (!format || !format.engine) {
+        body.resume();
+        return sendCompression(req, res, unsupportedFormat(format));
+    }
+
+    if (format.engine !== 'tinify') {
+        logger.info('Local compression request', { size: declaredSize || null, engine: format.engine });
+        const buffer = await readUpload(body);
+        if (!buffer) return sendTooLarge(res);
+        return sendCompression(req, res, await compressBuffer(buffer, contentType));
+    }
+
+    // Read up to one byte past the limit to learn whether the body fits
+    const { head: start, stream: rest } = await peekStream(body, REPLAYABLE_UPLOAD_BYTES + 1);
+    if (start.length <= REPLAYABLE_UPLOAD_BYTES) {
+        logger.info('Compression request', { size: start.length, contentType });
+        return sendCompression(req, res, await compressBuffer(start, contentType, { signal: abortOnClose(res) }));
+    }
+
+    const key = keyPool.pick();
+    if (!key) {
+        rest.resume();
+        return sendQuotaExhausted(res);
+    }
+
+    logger.info('Streaming compression request', { size: declaredSize || null, contentType });
+
+    const upload = new UploadStream({ maxBytes: uploadOptions.maxBytes });
+    rest.pipe(upload);
+
+    let response;
+    try {
+        // The request body is a one-shot stream, so no retries here
+        response = await callTinify('shrink', () => backend.shrink(key, upload, contentType, {
+            headers: declaredSize ? { 'Content-Length': declaredSize } : {},
+            responseType: 'stream',
+            signal: abortOnClose(res),
+            maxBodyLength: Infinity
+        }), { retry: false });
+    } catch (error) {
+        if (upload.exceeded) return sendTooLarge(res);
+        throw error;
+    }
+
+    keyPool.record(key, response);
+
+    // Tinify answers with a small JSON document either way
+    const chunks = [];
+    for await (const chunk of response.data) chunks.push(chunk);
+    const text = Buffer.concat(chunks).toString('utf8');
+
+    if (isQuotaError(response)) {
+        res.locals.errorClass = 'quota';
+        if (!keyPool.pick()) return sendQuotaExhausted(res);
+        res.setHeader('Retry-After', 1);
+        return res.status(503).json({ 
+            error: 'Service Unavailable', 
+            message: 'The API key used for this upload ran out of quota. Send the image again to use another key.' 
+        });
+    }
+    let data = null;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        // Non-JSON bodies are forwarded as they are
+    }
+
+    res.setHeader('X-Cache', 'MISS');
+    if (response.status >= 400 || !data) {
+        logger.warn('Tinify API error', { status: response.status, response: data || text });
+        res.setHeader('Content-Type', response.headers['content-type'] || 'application/json');
+        return res.status(response.status).send(text);
+    }
+
+    logger.info('Compression successful', { inputSize: data.input && data.input.size, outputSize: data.output && data.output.size });
+    recordCompression('tinify', data);
+    if (data.output && data.output.url && upload.digest) {
+        rememberOutputKey(data.output.url, key);
+        // Keep the bytes, not just the URL, once the client downloads them; Tinify output URLs expire
+        rememberPendingResult(data.output.url, upload.digest, data);
+    }
+    res.json({ ...data, engine: 'tinify' });
+}
+
+// Proxy endpoint for compression: raw image bytes (streamed), or JSON { source: { url } }
+app.post('/api/compress', requireApiKey, async (req, res) => {
+    try {
+        if (req.is('application/json')) {
+            return await compressFromUrl(req, res);
+        }
+
+        const contentType = req.get('Content-Type') || 'application/octet-stream';
+        if (!isAllowedType(contentType, uploadOptions.allowedTypes)) {
+            req.resume();
+            return sendUnsupportedType(res, contentType);
+        }
+
+        await streamCompression(req, res);
+
+    } catch (error) {
+        if (res.headersSent) {
+            // The response was already streaming; all we can do is cut it off
+            logger.error('Proxy error mid-stream', { error });
+            return res.destroy(error);
+        }
+        if (error instanceof FetchError) {
+            logger.warn('Source URL rejected', { error });
+            return res.status(error.status).json({ 
+                error: 'Source URL Error', 
+                message: error.message 
+            });
+        }
+        logger.error('Proxy error', { error, upstreamStatus: error.response && error.response.status });
+        if (sendUpstreamError(res, error)) return;
+        res.status(500).json({ 
+            error: 'Proxy Error', 
+            message: 'Failed to communicate with Tinify API.',
+            details: error.message
+        });
+    }
+});
+
+// Proxy endpoint for downloading compressed file
+app.post('/api/download', requireApiKey, async (req, res) => {
+    try {
+        const { url } = req.body || {};
+
+        if (!url) {
+            return res.status(400).json({ 
+                error: 'Bad Request', 
+                message: 'No URL provided in the request body.' 
+            });
+        }
+
+        const cachedHash = resultHashFromUrl(url);
+        if (cachedHash) {
+            return sendCachedResult(res, cachedHash);
+        }
+
+        if (!backend.isOutputUrl(url)) {
+            return res.status(400).json({ 
+                error: 'Bad Request', 
+                message: 'Invalid URL. Only Tinify URLs are allowed.' 
+            });
+        }
+
+        logger.info('Proxying download', { url });
+
+        const signal = abortOnClose(res);
+        const result = await keyPool.run(
+            apiKey => callTinify('download', () => backend.download(apiKey, url, 'stream', { signal, validateStatus: status => status < 500 })),
+            { preferredKey: outputKeys.get(url) }
+        );
+        if (!result) return sendQuotaExhausted(res);
+        const { response } = result;
+
+        if (response.status >= 400) {
+            pendingResults.delete(url);
+            return sendTinifyError(res, response);
+        }
+
+        // Forward content headers
+        if (response.headers['content-type']) {
+            res.setHeader('Content-Type', response.headers['content-type']);
+        }
+        if (response.headers['content-length']) {
+            res.setHeader('Content-Length', response.headers['content-length']);
+        }
+
+        // A result compressed here goes into the result cache as it streams past
+        const pending = pendingResults.get(url);
+        if (pending) {
+            const chunks = [];
+            response.data.on('data', chunk => chunks.push(chunk));
+            response.data.on('end', () => {
+                pendingResults.delete(url);
+                storeResult(pending.hash, pending.data, Buffer.concat(chunks)).catch(error => {
+                    logger.warn('Could not cache result', { hash: pending.hash, error });
+                });
+            });
+        }
+
+        response.data.pipe(res);
+
+    } catch (error) {
+        logger.error('Download proxy error', { error, upstreamStatus: error.response && error.response.status });
+        if (sendUpstreamError(res, error)) return;
+        res.status(500).json({ 
+            error: 'Download Proxy Error', 
+            message: 'Failed to download file via proxy.',
+            details: error.message
+        });
+    }
+});
+
+// Proxy endpoint for output operations (resize, convert, preserve)
+// Body: { url, resize?, convert?, transform?, preserve? } - the same JSON Tinify
+// accepts on an output URL, plus the output URL itself. Responds with the image.
+app.post('/api/output', requireApiKey, async (req, res) => {
+    try {
+        const { url } = req.body || {};
+        const cachedHash = resultHashFromUrl(url);
+
+        if (!cachedHash && !backend.isOutputUrl(url)) {
+            return res.status(400).json({ 
+                error: 'Bad Request', 
+                message: 'Invalid URL. Only Tinify URLs are allowed.' 
+            });
+        }
+
+        const { operations, error } = validateOperations(req.body, ['url']);
+        if (error) {
+            return res.status(400).json({ 
+                error: 'Bad Request', 
+                message: error 
+            });
+        }
+
+        logger.info('Proxying output operations', { url, operations: Object.keys(operations) });
+
+        const signal = abortOnClose(res);
+        const applyOperations = outputUrl => keyPool.run(
+            apiKey => callTinify('output', () => backend.operations(apiKey, outputUrl, operations, { signal })),
+            { preferredKey: outputKeys.get(outputUrl) }
+        );
+
+        let result;
+        if (cachedHash) {
+            const meta = resultCache.get(cachedHash);
+            if (meta && meta.engine && meta.engine !== 'tinify') {
+                return res.status(400).json({ 
+                    error: 'Bad Request', 
+                    message: `Output operations are only available for images compressed by Tinify, not ${meta.output.type}.` 
+                });
+            }
+            if (!meta) return sendCachedResultGone(res);
+
+            // The Tinify URL the cached bytes were downloaded from, while Tinify
+            // still has it (expired output URLs answer 404)
+            if (meta.sourceUrl) {
+                result = await applyOperations(meta.sourceUrl);
+                if (result && result.response.status === 404) {
+                    result.response.data.resume();
+                    result = undefined;
+                }
+            }
+
+            // Otherwise upload the stored bytes to get a new URL, which costs a compression
+            if (result === undefined) {
+                const buffer = await resultCache.read(cachedHash);
+                if (!buffer) return sendCachedResultGone(res);
+                logger.info('Uploading cached result again for output operations', { hash: cachedHash });
+                const uploaded = await keyPool.run(apiKey => callTinify('shrink', () => backend.shrink(apiKey, buffer, meta.output.type)));
+                if (!uploaded) return sendQuotaExhausted(res);
+                if (uploaded.response.status >= 400) {
+                    return res.status(uploaded.response.status).json(uploaded.response.data);
+                }
+                const outputUrl = uploaded.response.data.output.url;
+                rememberOutputKey(outputUrl, uploaded.key);
+                result = await applyOperations(outputUrl);
+            }
+        } else {
+            result = await applyOperations(url);
+        }
+        if (!result) return sendQuotaExhausted(res);
+        const { response } = result;
+
+        if (response.status >= 400) return sendTinifyError(res, response);
+
+        // Forward content and image headers
+        ['content-type', 'content-length', 'image-width', 'image-height'].forEach(name => {
+            if (response.headers[name]) {
+                res.setHeader(name, response.headers[name]);
+            }
+        });
+
+        response.data.pipe(res);
+
+    } catch (error) {
+        logger.error('Output proxy error', { error, upstreamStatus: error.response && error.response.status });
+        if (sendUpstreamError(res, error)) return;
+        res.status(500).json({ 
+            error: 'Output Proxy Error', 
+            message: 'Failed to apply output operations via proxy.',
+            details: error.message
+        });
+    }
+});
+
+// Batch endpoint: multipart upload of many images (field "files"), answered with one ZIP.
+// Every file goes through the same shrink path as /api/compress; the ZIP also contains
+// manifest.json with per-file sizes and errors so partial failures are visible.
+app.post('/api/batch', requireApiKey, (req, res, next) => {
+    // Refuse a batch that says it is too large before reading any of it
+    const declaredSize = Number(req.get('Content-Length'));
+    if (declaredSize > BATCH_MAX_BYTES) {
+        return res.status(413).json({ 
+            error: 'Payload Too Large', 
+            message: `The upload exceeds the limit of ${BATCH_MAX_BYTES} bytes.` 
+        });
+    }
+    batchUpload.array('files', BATCH_MAX_FILES)(req, res, err => {
+        if (!err) return next();
+        const tooLarge = err.code === 'LIMIT_FILE_SIZE' || err.status === 413;
+        res.status(tooLarge ? 413 : 400).json({ 
+            error: tooLarge ? 'Payload Too Large' : 'Bad Request', 
+            message: err.message 
+        });
+    });
+}, async (req, res) => {
+    try {
+        const files = req.files || [];
+        if (files.length === 0) {
+            return res.status(400).json({ 
+                error: 'Bad Request', 
+                message: 'No images provided. Upload them as multipart field "files".' 
+            });
+        }
+
+        logger.info('Received batch request', { files: files.length });
+
+        const zip = new JSZip();
+        const folder = zip.folder('tinify_compressed');
+        const usedPaths = new Set();
+
+        const entries = await mapWithConcurrency(files, BATCH_CONCURRENCY, async file => {
+            const entry = {
+                name: toZipPath(file.originalname),
+                path: null,
+                originalSize: file.size,
+                compressedSize: 0,
+                status: 'error',
+                error: null
+            };
+
+            try {
+                const result = await compressBuffer(file.buffer, file.mimetype);
+                if (!result) {
+                    throw new Error('All configured Tinify API keys have reached their monthly limit.');
+                }
+                const { status, data, key, hash, cached, stored } = result;
+                if (status >= 400) {
+                    throw new Error((data && (data.message || data.error)) || `Tinify responded with ${status}`);
+                }
+
+                const output = data && data.output;
+                if (!output || (!cached && !stored && !output.url)) {
+                    throw new Error('Invalid response');
+                }
+
+                const buffer = cached || stored ? await resultCache.read(hash) : await downloadResult(hash, key, data);
+                if (!buffer) {
+                    throw new Error('The cached result is no longer available.');
+                }
+
+                entry.path = uniquePath(entry.name, usedPaths);
+                folder.file(entry.path, buffer);
+                entry.compressedSize = output.size;
+                entry.status = 'success';
+            } catch (error) {
+                logger.warn('Batch item failed', { name: entry.name, error });
+                entry.error = error.message;
+            }
+
+            return entry;
+        });
+
+        const succeeded = entries.filter(entry => entry.status === 'success');
+        zip.file('manifest.json', JSON.stringify({
+            createdAt: new Date().toISOString(),
+            total: entries.length,
+            succeeded: succeeded.length,
+            failed: entries.length - succeeded.length,
+            originalSize: succeeded.reduce((sum, entry) => sum + entry.originalSize, 0),
+            compressedSize: succeeded.reduce((sum, entry) => sum + entry.compressedSize, 0),
+            files: entries
+        }, null, 2));
+
+        logger.info('Batch finished', { succeeded: succeeded.length, total: entries.length });
+
+        res.setHeader('Content-Type', 'application/zip');
+        res.setHeader('Content-Disposition', 'attachment; filename="tinify_images.zip"');
+        zip.generateNodeStream({ type: 'nodebuffer', streamFiles: true }).pipe(res);
+
+    } catch (error) {
+        logger.error('Batch proxy error', { error });
+        if (sendUpstreamError(res, error)) return;
+        res.status(500).json({ 
+            error: 'Batch Proxy Error', 
+            message: 'Failed to process batch via proxy.',
+            details: error.message
+        });
+    }
+});
+
+// Asynchronous compression: answers 202 with a job ID right away, the image is
+// compressed by the job queue. Poll GET /api/jobs/:id or follow /api/jobs/:id/events.
+app.post('/api/jobs', requireApiKey, (req, res, next) => {
+    const contentType = req.get('Content-Type') || 'application/octet-stream';
+    if (!isAllowedType(contentType, uploadOptions.allowedTypes)) {
+        req.resume();
+        return sendUnsupportedType(res, contentType);
+    }
+    next();
+}, rawBody, (req, res) => {
+    if (!req.body || !Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return sendEmptyUpload(res);
+    }
+
+    if (jobQueue.isFull()) {
+        res.setHeader('Retry-After', 30);
+        return res.status(503).json({ 
+            error: 'Service Unavailable', 
+            message: 'Too many compression jobs are queued. Try again shortly.' 
+        });
+    }
+
+    const body = req.body;
+    const contentType = req.get('Content-Type');
+
+    const job = jobQueue.add(async update => {
+        update('uploading');
+        let uploaded = false;
+        const result = await compressBuffer(body, contentType, {
+            // Once the body is sent, Tinify is compressing
+            onUploadProgress: event => {
+                if (!uploaded && event.total && event.loaded >= event.total) {
+                    uploaded = true;
+                    update('compressing');
+                }
+            }
+        });
+
+        if (!result) {
+            throw new Error('All configured Tinify API keys have reached their monthly limit.');
+        }
+        const { status, data, key, hash, cached, stored } = result;
+        if (status >= 400) {
+            throw new Error((data && (data.message || data.error)) || `Tinify responded with ${status}`);
+        }
+
+        if (!cached && !stored) {
+            if (!uploaded) update('compressing');
+            // Jobs may be collected long after Tinify's URL expires, so point at the
+            // cache; a raw Tinify URL would be of no use to the client
+            try {
+                await downloadResult(hash, key, data);
+            } catch (error) {
+                logger.warn('Could not cache result', { hash, error });
+                throw new Error('The compressed image could not be downloaded from Tinify.');
+            }
+        }
+
+        return { input: data.input, output: { ...data.output, url: resultUrl(req, hash) }, engine: data.engine, cached };
+    }, { size: body.length }, req.client.name);
+
+    logger.info('Queued job', { jobId: job.id, size: body.length, queued: jobQueue.queued });
+
+    res.status(202)
+        .setHeader('Location', `/api/jobs/${job.id}`)
+        .json({
+            ...jobQueue.snapshot(job),
+            links: {
+                self: `/api/jobs/${job.id}`,
+                events: `/api/jobs/${job.id}/events`
+            }
+        });
+});
+
+const sendUnknownJob = res => res.status(404).json({ 
+    error: 'Not Found', 
+    message: 'Unknown or expired job.' 
+});
+
+// Job status and, once done, its result. Other clients' jobs are answered as unknown.
+app.get('/api/jobs/:id', (req, res) => {
+    const job = jobQueue.get(req.params.id, req.client.name);
+    if (!job) return sendUnknownJob(res);
+    res.json(jobQueue.snapshot(job));
+});
+
+// Server-Sent Events stream of job updates; closes once the job is done or failed
+app.get('/api/jobs/:id/events', (req, res) => {
+    const job = jobQueue.get(req.params.id, req.client.name);
+    if (!job) return sendUnknownJob(res);
+
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no');
+    res.flushHeaders();
+
+    const send = snapshot => res.write(`event: ${snapshot.status}\ndata: ${JSON.stringify(snapshot)}\n\n`);
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+
+    const onUpdate = snapshot => {
+        send(snapshot);
+        if (jobQueue.isFinished(job)) cleanup();
+    };
+    const cleanup = () => {
+        clearInterval(heartbeat);
+        job.events.off('update', onUpdate);
+        res.end();
+    };
+
+    send(jobQueue.snapshot(job));
+    if (jobQueue.isFinished(job)) return cleanup();
+
+    job.events.on('update', onUpdate);
+    req.on('close', cleanup);
+});
+
+// Download a cached result directly (the URL handed out on a cache hit)
+app.get('/api/results/:hash', async (req, res) => {
+    try {
+        if (!HASH_PATTERN.test(req.params.hash)) {
+            return res.status(404).json({ 
+                error: 'Not Found', 
+                message: 'Unknown result.' 
+            });
+        }
+        await sendCachedResult(res, req.params.hash);
+    } catch (error) {
+        logger.error('Result cache error', { error });
+        res.status(500).json({ 
+            error: 'Result Cache Error', 
+            message: 'Failed to read the cached result.',
+            details: error.message
+        });
+    }
+});
+
+// Quota and usage report: per-key Compression-Count this month plus daily byte totals
+app.get('/api/usage', (req, res) => {
+    const month = req.query.month || new Date().toISOString().slice(0, 7);
+    if (!MONTH_PATTERN.test(month)) {
+        return res.status(400).json({ error: 'Bad Request', message: 'month must be formatted as YYYY-MM' });
+    }
+
+    // Key counters only exist for the current month; Tinify resets them on the 1st
+    const keys = keyPool.snapshot();
+    const used = keys.reduce((sum, key) => sum + key.compressionCount, 0);
+    const remaining = keys.reduce((sum, key) => sum + key.remaining, 0);
+
+    res.json({
+        quota: {
+            month: new Date().toISOString().slice(0, 7),
+            monthlyLimitPerKey: keyPool.monthlyLimit,
+            used,
+            remaining,
+            keys
+        },
+        ...usageStats.report(month)
+    });
+});
+
+// Prometheus scrape endpoint
+app.get('/metrics', async (req, res, next) => {
+    try {
+        res.set('Content-Type', metrics.register.contentType);
+        res.send(await metrics.register.metrics());
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Liveness: the process is up and serving requests
+app.get(['/health', '/health/live'], (req, res) => {
+    res.json({ status: 'ok', timestamp: new Date().toISOString() });
+});
+
+// Readiness: keys with quota left, breaker closed and Tinify reachable recently.
+// When nothing has talked to Tinify lately, probe it directly.
+const READINESS_WINDOW_MS = parseInt(process.env.READINESS_WINDOW_MS, 10) || 5 * 60 * 1000;
+
+async function upstreamReachable() {
+    if (Date.now() - upstreamReachableAt < READINESS_WINDOW_MS) return true;
+    try {
+        const reachable = await backend.ping({ timeout: 5000 });
+        if (reachable) upstreamReachableAt = Date.now();
+        return reachable;
+    } catch (error) {
+        logger.warn('Readiness probe could not reach Tinify', { error });
+        return false;
+    }
+}
+
+app.get('/health/ready', async (req, res) => {
+    const checks = {
+        apiKeys: keyPool.size > 0,
+        quota: keyPool.pick() !== null,
+        // An open breaker past its reset timeout lets the next call through
+        circuit: tinifyBreaker.state !== 'open' || Date.now() - tinifyBreaker.openedAt >= tinifyBreaker.resetTimeoutMs,
+        upstream: await upstreamReachable()
+    };
+    const ready = Object.values(checks).every(Boolean);
+    res.status(ready ? 200 : 503).json({
+        status: ready ? 'ok' : 'unavailable',
+        checks,
+        timestamp: new Date().toISOString()
+    });
+});
+
+// Errors raised by middleware (e.g. body-parser limits, refused CORS origins)
+// in the usual { error, message } shape
+const ERROR_NAMES = { 403: 'Forbidden', 413: 'Payload Too Large' };
+
+app.use((err, req, res, next) => {
+    const status = err.status || err.statusCode || 500;
+    if (status >= 500) {
+        logger.error('Unhandled error', { error: err });
+    }
+    res.status(status).json({ 
+        error: ERROR_NAMES[status] || (status >= 500 ? 'Proxy Error' : 'Bad Request'), 
+        message: status >= 500 ? 'Unexpected server error.' : err.message 
+    });
+});
+
+module.exports = app;
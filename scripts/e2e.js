@@ -0,0 +1,175 @@
+#!/usr/bin/env node
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { spawn, execFile } = require('child_process');
+const { TinifyClient } = require('../tinify_client');
+const { png, proxyEnv } = require('../test/helpers/proxy_fixture');
+
+// End-to-end run without network access or quota, for CI and offline laptops:
+// starts mock_tinify.js and the proxy (`server.js --mock`) as their own processes,
+// then drives the proxy the way the extension and the CLI do.
+//
+//   npm run test:e2e
+//
+// Exits with 1 and the failing step when something is off.
+
+const ROOT = path.join(__dirname, '..');
+const TOKEN = 'e2e-token';
+const API_KEY = 'e2e-key';
+const STARTUP_TIMEOUT_MS = 15000;
+
+const PNG = png('e2e payload');
+const SVG = '<?xml version="1.0"?>\n<!-- exported -->\n<svg viewBox="0 0 8 8">\n  <rect width="8" height="8"/>\n</svg>\n';
+
+// A port nothing listens on right now
+const freePort = () => new Promise((resolve, reject) => {
+    const server = net.createServer().listen(0, () => {
+        const { port } = server.address();
+        server.close(() => resolve(port));
+    });
+    server.on('error', reject);
+});
+
+// Start `node <script>`, keeping its output for the failure report
+function start(script, args, env) {
+    const child = spawn(process.execPath, [script, ...args], { cwd: ROOT, env: { ...process.env, ...env } });
+    child.output = '';
+    child.stdout.on('data', chunk => { child.output += chunk; });
+    child.stderr.on('data', chunk => { child.output += chunk; });
+    return child;
+}
+
+async function waitUntilReady(url, children, headers = {}) {
+    const deadline = Date.now() + STARTUP_TIMEOUT_MS;
+    while (Date.now() < deadline) {
+        const exited = children.find(child => child.exitCode !== null);
+        if (exited) throw new Error(`${exited.spawnargs[1]} exited with code ${exited.exitCode}`);
+        try {
+            const response = await fetch(url, { headers });
+            if (response.ok) return;
+        } catch (error) {
+            // Not listening yet
+        }
+        await new Promise(resolve => setTimeout(resolve, 200));
+    }
+    throw new Error(`${url} did not become ready within ${STARTUP_TIMEOUT_MS}ms`);
+}
+
+const runCli = (args, env) => new Promise(resolve => {
+    execFile(process.execPath, [path.join(ROOT, 'bin', 'tinify-compress.js'), ...args], { cwd: ROOT, env: { ...process.env, ...env } },
+        (error, stdout, stderr) => resolve({ code: error ? error.code : 0, output: stdout + stderr }));
+});
+
+async function main() {
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tinify-e2e-'));
+    const [mockPort, proxyPort] = [await freePort(), await freePort()];
+    const proxyUrl = `http://127.0.0.1:${proxyPort}`;
+    const children = [];
+
+    const step = async (name, run) => {
+        process.stdout.write(`- ${name} ... `);
+        await run();
+        process.stdout.write('ok\n');
+    };
+
+    try {
+        children.push(start('mock_tinify.js', [], {
+            MOCK_TINIFY_PORT: String(mockPort),
+            MOCK_TINIFY_KEYS: API_KEY
+        }));
+        // No TINIFY_BASE_URL, so --mock points the proxy at MOCK_TINIFY_PORT
+        children.push(start('server.js', ['--mock'], proxyEnv({
+            mockUrl: '',
+            stateDir: workDir,
+            token: TOKEN,
+            TINIFY_API_KEYS: API_KEY,
+            PORT: String(proxyPort),
+            MOCK_TINIFY_PORT: String(mockPort),
+            LOG_LEVEL: 'warn'
+        })));
+        // Readiness includes reaching the upstream, so this waits for both
+        await waitUntilReady(`${proxyUrl}/health/ready`, children);
+
+        const client = new TinifyClient({ proxyUrl, token: TOKEN });
+        let result;
+
+        await step('compresses a PNG through the proxy', async () => {
+            const usage = { compressions: 0 };
+            result = await client.shrink(PNG, { contentType: 'image/png', usage });
+            assert.strictEqual(result.engine, 'tinify');
+            assert.strictEqual(result.output.width, 16);
+            assert.strictEqual(usage.compressions, 1);
+        });
+
+        await step('downloads the result', async () => {
+            const bytes = Buffer.from(await client.download(result.output.url));
+            assert.ok(bytes.equals(PNG));
+        });
+
+        await step('answers the same upload from the cache', async () => {
+            // The cache is written once the download has ended
+            const hash = crypto.createHash('sha256').update(PNG).digest('hex');
+            await waitUntilReady(`${proxyUrl}/api/results/${hash}`, children, { Authorization: `Bearer ${TOKEN}` });
+            const response = await client.shrink(PNG, { contentType: 'image/png', raw: true });
+            assert.strictEqual(response.headers['x-cache'], 'HIT');
+            assert.match(response.data.output.url, /\/api\/results\/[0-9a-f]{64}$/);
+            result = response.data;
+        });
+
+        await step('resizes the cached result', async () => {
+            const response = await client.operations(result.output.url, { resize: { method: 'scale', width: 8 } }, { raw: true });
+            assert.strictEqual(response.status, 200);
+            assert.strictEqual(response.headers['image-width'], '8');
+        });
+
+        await step('minifies an SVG inside the proxy', async () => {
+            const usage = { compressions: 0 };
+            const svg = await client.shrink(Buffer.from(SVG), { contentType: 'image/svg+xml', usage });
+            assert.strictEqual(svg.engine, 'svg');
+            assert.strictEqual(usage.compressions, 0);
+            const bytes = Buffer.from(await client.download(svg.output.url)).toString('utf8');
+            assert.strictEqual(bytes, '<?xml version="1.0"?><svg viewBox="0 0 8 8"><rect width="8" height="8"/></svg>');
+        });
+
+        await step('refuses requests without a token', async () => {
+            const response = await new TinifyClient({ proxyUrl }).shrink(PNG, { contentType: 'image/png', raw: true });
+            assert.strictEqual(response.status, 401);
+        });
+
+        await step('reports the month\'s usage', async () => {
+            const response = await fetch(`${proxyUrl}/api/usage`, { headers: { Authorization: `Bearer ${TOKEN}` } });
+            const { quota } = await response.json();
+            // The upload and the resize; the cache hit and the SVG were free
+            assert.strictEqual(quota.used, 2);
+            assert.strictEqual(quota.keys.length, 1);
+        });
+
+        await step('compresses a directory with the CLI', async () => {
+            const assets = path.join(workDir, 'assets');
+            fs.mkdirSync(assets);
+            fs.writeFileSync(path.join(assets, 'icon.png'), PNG);
+            fs.writeFileSync(path.join(assets, 'logo.svg'), SVG);
+            const env = { TINIFY_PROXY_URL: proxyUrl, TINIFY_PROXY_TOKEN: TOKEN, TINIFY_API_KEY: '' };
+            const compressed = await runCli([assets], env);
+            assert.strictEqual(compressed.code, 0, compressed.output);
+            const checked = await runCli([assets, '--check'], env);
+            assert.strictEqual(checked.code, 0, checked.output);
+        });
+
+        console.log('End-to-end run passed');
+    } catch (error) {
+        process.stdout.write('failed\n');
+        console.error(error);
+        children.forEach(child => console.error(`\n--- ${child.spawnargs.slice(1).join(' ')}\n${child.output}`));
+        process.exitCode = 1;
+    } finally {
+        children.forEach(child => child.kill());
+        fs.rmSync(workDir, { recursive: true, force: true });
+    }
+}
+
+main();
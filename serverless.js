@@ -0,0 +1,10 @@
+const app = require('./proxy_app');
+const { toServerlessHandler, toFetchHandler } = require('./lib/adapters');
+
+// Entry points for function runtimes, sharing the routes with server.js:
+//   handler(event, context)  Alibaba Function Compute / API Gateway style HTTP triggers
+//   fetch(request)           runtimes that speak Web-standard Request / Response
+module.exports = {
+    handler: toServerlessHandler(app),
+    fetch: toFetchHandler(app)
+};
@@ -0,0 +1,191 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { TOKEN, png, startProxy } = require('./helpers/proxy_fixture');
+
+// One set of request/response cases, run against every way the proxy is served:
+// the Express app (server.js), toServerlessHandler and toFetchHandler (serverless.js).
+// Upstream is mock_tinify.js on a free port.
+
+const ORIGIN = 'chrome-extension://testextension';
+const PNG = png(Buffer.from('binary \x00\xff\x80 payload', 'latin1'));
+
+// Each transport resolves { status, headers (lower case), body (Buffer) }
+const transports = {
+    async express(app, { method, path: url, headers, body }) {
+        const server = app.listen(0);
+        await new Promise(resolve => server.once('listening', resolve));
+        try {
+            const response = await fetch(`http://127.0.0.1:${server.address().port}${url}`, { method, headers, body });
+            return { status: response.status, headers: Object.fromEntries(response.headers), body: Buffer.from(await response.arrayBuffer()) };
+        } finally {
+            server.close();
+        }
+    },
+    async serverless({ handler }, { method, path: url, headers, body }) {
+        const [rawPath, rawQueryString = ''] = url.split('?');
+        const event = Buffer.from(JSON.stringify({
+            rawPath,
+            rawQueryString,
+            headers,
+            requestContext: { http: { method, sourceIp: '203.0.113.1' } },
+            body: body ? Buffer.from(body).toString('base64') : undefined,
+            isBase64Encoded: true
+        }));
+        const response = await handler(event, {});
+        return {
+            status: response.statusCode,
+            headers: response.headers,
+            body: Buffer.from(response.body || '', response.isBase64Encoded ? 'base64' : 'utf8')
+        };
+    },
+    async fetch({ fetch: fetchHandler }, { method, path: url, headers, body }) {
+        const response = await fetchHandler(new Request(`http://proxy.test${url}`, { method, headers, body }));
+        return { status: response.status, headers: Object.fromEntries(response.headers), body: Buffer.from(await response.arrayBuffer()) };
+    }
+};
+
+const auth = { Authorization: `Bearer ${TOKEN}` };
+const json = response => JSON.parse(response.body.toString());
+
+// Cases run in order; `state` carries results between them
+const CASES = [
+    {
+        name: 'liveness probe needs no token',
+        request: () => ({ method: 'GET', path: '/health/live' }),
+        check(response) {
+            assert.strictEqual(response.status, 200);
+            assert.strictEqual(json(response).status, 'ok');
+            assert.ok(response.headers['x-request-id']);
+        }
+    },
+    {
+        name: 'API calls without a token are refused',
+        request: () => ({ method: 'POST', path: '/api/compress', headers: { 'content-type': 'image/png' }, body: PNG }),
+        check(response) {
+            assert.strictEqual(response.status, 401);
+            assert.strictEqual(json(response).error, 'Unauthorized');
+        }
+    },
+    {
+        name: 'compresses an upload',
+        request: () => ({ method: 'POST', path: '/api/compress', headers: { ...auth, 'content-type': 'image/png' }, body: PNG }),
+        check(response, state) {
+            assert.strictEqual(response.status, 200, response.body.toString());
+            const data = json(response);
+            assert.strictEqual(data.output.width, 16);
+            assert.strictEqual(data.output.height, 32);
+            // Later transports get the first one's result from the cache, which is free
+            const spent = response.headers['x-cache'] === 'HIT' ? undefined : '1';
+            assert.strictEqual(response.headers['x-compressions-used'], spent);
+            state.outputUrl = data.output.url;
+        }
+    },
+    {
+        name: 'downloads the result byte for byte',
+        request: state => ({
+            method: 'POST',
+            path: '/api/download',
+            headers: { ...auth, 'content-type': 'application/json' },
+            body: JSON.stringify({ url: state.outputUrl })
+        }),
+        check(response) {
+            assert.strictEqual(response.status, 200);
+            assert.ok(response.body.equals(PNG), 'binary body round trip');
+        }
+    },
+    {
+        name: 'answers an expired output URL with 404',
+        request: () => ({
+            method: 'POST',
+            path: '/api/download',
+            headers: { ...auth, 'content-type': 'application/json' },
+            body: JSON.stringify({ url: `${proxy.mockUrl}/output/expired` })
+        }),
+        check(response) {
+            assert.strictEqual(response.status, 404);
+            assert.strictEqual(json(response).message, 'Output has expired.');
+        }
+    },
+    {
+        name: 'asks for the URL when a download has no body',
+        request: () => ({ method: 'POST', path: '/api/download', headers: auth }),
+        check(response) {
+            assert.strictEqual(response.status, 400);
+            assert.strictEqual(json(response).error, 'Bad Request');
+        }
+    },
+    {
+        name: 'answers CORS preflights for allowed origins',
+        request: () => ({
+            method: 'OPTIONS',
+            path: '/api/compress',
+            headers: { origin: ORIGIN, 'access-control-request-method': 'POST' }
+        }),
+        check(response) {
+            assert.ok(response.status < 300);
+            assert.strictEqual(response.headers['access-control-allow-origin'], ORIGIN);
+        }
+    },
+    {
+        name: 'rejects data that is not an image',
+        request: () => ({ method: 'POST', path: '/api/compress', headers: { ...auth, 'content-type': 'image/png' }, body: Buffer.from('abc') }),
+        check(response) {
+            assert.strictEqual(response.status, 415);
+            assert.ok(json(response).message);
+        }
+    },
+    {
+        name: 'refuses an empty upload before sniffing its format',
+        request: () => ({ method: 'POST', path: '/api/compress', headers: { ...auth, 'content-type': 'image/png' }, body: Buffer.alloc(0) }),
+        check(response) {
+            assert.strictEqual(response.status, 400);
+            assert.match(json(response).message, /^Empty upload/);
+        }
+    },
+    {
+        name: 'reports malformed JSON as a bad request',
+        request: () => ({ method: 'POST', path: '/api/compress', headers: { ...auth, 'content-type': 'application/json' }, body: '{bad' }),
+        check(response) {
+            assert.strictEqual(response.status, 400);
+            assert.strictEqual(json(response).error, 'Bad Request');
+        }
+    },
+    {
+        name: 'validates query parameters',
+        request: () => ({ method: 'GET', path: '/api/usage?month=bad', headers: auth }),
+        check(response) {
+            assert.strictEqual(response.status, 400);
+        }
+    },
+    {
+        name: 'answers unknown routes with 404',
+        request: () => ({ method: 'GET', path: '/nope', headers: auth }),
+        check(response) {
+            assert.strictEqual(response.status, 404);
+        }
+    }
+];
+
+let proxy;
+let entryPoints;
+
+test.before(async () => {
+    proxy = await startProxy({ listen: false });
+    const serverless = require('../serverless');
+    entryPoints = { app: proxy.app, handler: serverless.handler, fetch: serverless.fetch };
+});
+
+test.after(() => proxy.close());
+
+for (const [name, send] of Object.entries(transports)) {
+    test(`${name} adapter`, async t => {
+        const state = {};
+        for (const testCase of CASES) {
+            await t.test(testCase.name, async () => {
+                const request = testCase.request(state);
+                const response = await send(name === 'express' ? entryPoints.app : entryPoints, { headers: {}, ...request });
+                testCase.check(response, state);
+            });
+        }
+    });
+}
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const cors = require('cors');
+const { clientsFromEnv, originsFromEnv, corsOptions, authenticate } = require('../lib/auth');
+
+// An app with the proxy's CORS and auth middleware in front of one route,
+// and an error handler that reports the status the way proxy_app.js does
+function createApp(env) {
+    const app = express();
+    app.use(cors(corsOptions(originsFromEnv(env))));
+    app.use('/api', authenticate(clientsFromEnv(env)));
+    app.get('/api/ping', (req, res) => res.json({ client: req.client.name }));
+    app.use((err, req, res, next) => res.status(err.status || 500).json({ error: err.name, message: err.message }));
+    return app;
+}
+
+async function withServer(app, run) {
+    const server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    try {
+        await run(`http://127.0.0.1:${server.address().port}`);
+    } finally {
+        server.close();
+    }
+}
+
+test('without PROXY_CLIENT_TOKENS every API request is refused', async () => {
+    await withServer(createApp({}), async base => {
+        const response = await fetch(`${base}/api/ping`, { headers: { Authorization: 'Bearer anything' } });
+        assert.strictEqual(response.status, 401);
+        assert.match((await response.json()).message, /PROXY_CLIENT_TOKENS/);
+    });
+});
+
+test('configured tokens identify the client', async () => {
+    await withServer(createApp({ PROXY_CLIENT_TOKENS: 'ci:secret' }), async base => {
+        assert.strictEqual((await fetch(`${base}/api/ping`)).status, 401);
+        assert.strictEqual((await fetch(`${base}/api/ping`, { headers: { Authorization: 'Bearer wrong' } })).status, 401);
+
+        const response = await fetch(`${base}/api/ping`, { headers: { Authorization: 'Bearer secret' } });
+        assert.strictEqual(response.status, 200);
+        assert.deepStrictEqual(await response.json(), { client: 'ci' });
+    });
+});
+
+test('browser origins are refused unless they are allowlisted', async () => {
+    const headers = origin => ({ Authorization: 'Bearer secret', Origin: origin });
+
+    await withServer(createApp({ PROXY_CLIENT_TOKENS: 'ci:secret' }), async base => {
+        const response = await fetch(`${base}/api/ping`, { headers: headers('https://evil.example') });
+        assert.strictEqual(response.status, 403);
+        assert.strictEqual(response.headers.get('access-control-allow-origin'), null);
+        // Requests without an Origin (CLI, curl) only need the token
+        assert.strictEqual((await fetch(`${base}/api/ping`, { headers: { Authorization: 'Bearer secret' } })).status, 200);
+    });
+
+    await withServer(createApp({ PROXY_CLIENT_TOKENS: 'ci:secret', EXTENSION_IDS: 'abc' }), async base => {
+        const allowed = await fetch(`${base}/api/ping`, { headers: headers('chrome-extension://abc') });
+        assert.strictEqual(allowed.status, 200);
+        assert.strictEqual(allowed.headers.get('access-control-allow-origin'), 'chrome-extension://abc');
+        assert.strictEqual((await fetch(`${base}/api/ping`, { headers: headers('chrome-extension://other') })).status, 403);
+    });
+});
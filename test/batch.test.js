@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { png, startProxy } = require('./helpers/proxy_fixture');
+
+// /api/batch against mock_tinify.js, with a BATCH_MAX_BYTES small enough to hit
+
+const BATCH_MAX_BYTES = 4000;
+
+let proxy;
+
+// A multipart body with the images as field "files"; `chunked` sends it
+// without Content-Length
+async function postBatch(images, { chunked = false } = {}) {
+    const form = new FormData();
+    images.forEach((image, index) => form.append('files', new Blob([image], { type: 'image/png' }), `image-${index}.png`));
+    const encoded = new Response(form);
+    const body = Buffer.from(await encoded.arrayBuffer());
+    return proxy.request('/api/batch', {
+        method: 'POST',
+        headers: { 'Content-Type': encoded.headers.get('content-type') },
+        body: chunked
+            ? new ReadableStream({
+                start(controller) {
+                    controller.enqueue(new Uint8Array(body));
+                    controller.close();
+                }
+            })
+            : body,
+        duplex: 'half'
+    });
+}
+
+test.before(async () => {
+    proxy = await startProxy({ env: { BATCH_MAX_BYTES: String(BATCH_MAX_BYTES) } });
+});
+
+test.after(() => proxy.close());
+
+test('a batch within the limit is answered with a ZIP', async () => {
+    const response = await postBatch([png(1000), png(1000)]);
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.headers.get('content-type'), 'application/zip');
+    await response.arrayBuffer();
+});
+
+test('a batch declaring more than BATCH_MAX_BYTES is refused before it is read', async () => {
+    const response = await postBatch([png(1500), png(1500), png(1500)]);
+    assert.strictEqual(response.status, 413);
+    assert.match((await response.json()).message, /limit of 4000 bytes/);
+});
+
+test('a chunked batch is refused once its files add up to more than BATCH_MAX_BYTES', async () => {
+    const response = await postBatch([png(1500), png(1500), png(1500)], { chunked: true });
+    assert.strictEqual(response.status, 413);
+    assert.strictEqual((await response.json()).error, 'Payload Too Large');
+});
@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { CircuitBreaker, CircuitOpenError } = require('../lib/circuit_breaker');
+
+const outage = () => Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+const clientError = status => Object.assign(new Error(`HTTP ${status}`), { response: { status, headers: {} } });
+
+// A breaker on a manual clock, recording its state changes
+const breakerAt = (options = {}) => {
+    const clock = { time: 0 };
+    const changes = [];
+    const breaker = new CircuitBreaker({
+        failureThreshold: 2,
+        resetTimeoutMs: 1000,
+        now: () => clock.time,
+        onStateChange: ({ from, to }) => changes.push(`${from} -> ${to}`),
+        ...options
+    });
+    return { breaker, clock, changes };
+};
+
+const fail = (breaker, error = outage()) => assert.rejects(breaker.exec(async () => {
+    throw error;
+}), error);
+
+test('opens after failureThreshold consecutive outages and then fails fast', async () => {
+    const { breaker, changes } = breakerAt();
+    await fail(breaker);
+    assert.strictEqual(breaker.state, 'closed');
+    await fail(breaker);
+    assert.strictEqual(breaker.state, 'open');
+    assert.deepStrictEqual(changes, ['closed -> open']);
+
+    let called = false;
+    await assert.rejects(breaker.exec(async () => {
+        called = true;
+    }), error => error instanceof CircuitOpenError && error.status === 503 && error.retryAfterMs === 1000);
+    assert.ok(!called);
+});
+
+test('a success in between resets the failure count', async () => {
+    const { breaker } = breakerAt();
+    await fail(breaker);
+    await breaker.exec(async () => 'ok');
+    await fail(breaker);
+    assert.strictEqual(breaker.state, 'closed');
+});
+
+test('counts resolved 5xx responses, but not 4xx errors, as outages', async () => {
+    const { breaker } = breakerAt();
+    await breaker.exec(async () => ({ status: 503 }));
+    await fail(breaker, clientError(400));
+    assert.strictEqual(breaker.failures, 0);
+
+    await breaker.exec(async () => ({ status: 502 }));
+    await breaker.exec(async () => ({ status: 500 }));
+    assert.strictEqual(breaker.state, 'open');
+});
+
+test('lets one trial call through after resetTimeoutMs and closes on its success', async () => {
+    const { breaker, clock, changes } = breakerAt();
+    await fail(breaker);
+    await fail(breaker);
+
+    clock.time = 999;
+    await assert.rejects(breaker.exec(async () => 'too early'), error => error.retryAfterMs === 1000);
+
+    clock.time = 1000;
+    let finishTrial;
+    const trial = breaker.exec(() => new Promise(resolve => {
+        finishTrial = resolve;
+    }));
+    assert.strictEqual(breaker.state, 'half-open');
+    // Only the trial is let through while it runs
+    await assert.rejects(breaker.exec(async () => 'second'), CircuitOpenError);
+
+    finishTrial('ok');
+    assert.strictEqual(await trial, 'ok');
+    assert.strictEqual(breaker.state, 'closed');
+    assert.deepStrictEqual(changes, ['closed -> open', 'open -> half-open', 'half-open -> closed']);
+    assert.strictEqual(await breaker.exec(async () => 'closed again'), 'closed again');
+});
+
+test('re-opens when the trial call fails, for another resetTimeoutMs', async () => {
+    const { breaker, clock, changes } = breakerAt();
+    await fail(breaker);
+    await fail(breaker);
+
+    clock.time = 1500;
+    await fail(breaker);
+    assert.strictEqual(breaker.state, 'open');
+    assert.deepStrictEqual(changes, ['closed -> open', 'open -> half-open', 'half-open -> open']);
+
+    clock.time = 2000;
+    await assert.rejects(breaker.exec(async () => 'still open'), error => error.retryAfterMs === 1000);
+    clock.time = 2500;
+    assert.strictEqual(await breaker.exec(async () => 'ok'), 'ok');
+    assert.strictEqual(breaker.state, 'closed');
+});
+
+test('a 4xx trial still proves the upstream is up', async () => {
+    const { breaker, clock } = breakerAt();
+    await fail(breaker);
+    await fail(breaker);
+    clock.time = 1000;
+    await fail(breaker, clientError(401));
+    assert.strictEqual(breaker.state, 'closed');
+});
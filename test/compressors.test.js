@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { createDirectCompressor, createProxyCompressor } = require('../lib/compressors');
+const { isTransientError } = require('../lib/retry');
+const { UnsupportedError, QuotaError } = require('../tinify_client');
+
+const PNG = Buffer.concat([Buffer.from('89504e470d0a1a0a', 'hex'), Buffer.alloc(24)]);
+const OUTPUT_URL = 'https://api.tinify.com/output/abc';
+
+function fakeTransport(answer) {
+    const requests = [];
+    const transport = async request => {
+        requests.push(request);
+        return { headers: {}, ...(await answer(request, requests.length)) };
+    };
+    transport.requests = requests;
+    return transport;
+}
+
+const shrinkOrDownload = (request) => (/\/(shrink|api\/compress)$/.test(request.url)
+    ? { status: 201, data: { output: { size: 4, width: 1, height: 1, url: OUTPUT_URL } } }
+    : { status: 200, data: new Uint8Array([1, 2, 3, 4]).buffer });
+
+test('proxy compressor uploads through TinifyClient and downloads the result', async () => {
+    const transport = fakeTransport(shrinkOrDownload);
+    const compressor = createProxyCompressor({ proxyUrl: 'http://proxy.test', token: 'secret', transport });
+    const result = await compressor.compress(PNG);
+
+    assert.deepStrictEqual([...result.buffer], [1, 2, 3, 4]);
+    assert.strictEqual(result.engine, 'tinify');
+    const [shrink, download] = transport.requests;
+    assert.strictEqual(shrink.url, 'http://proxy.test/api/compress');
+    assert.strictEqual(shrink.headers['Content-Type'], 'image/png');
+    assert.strictEqual(shrink.headers['X-Content-SHA256'], crypto.createHash('sha256').update(PNG).digest('hex'));
+    assert.strictEqual(shrink.headers.Authorization, 'Bearer secret');
+    assert.strictEqual(download.url, 'http://proxy.test/api/download');
+});
+
+test('direct compressor talks to Tinify with the API key', async () => {
+    const transport = fakeTransport(shrinkOrDownload);
+    const result = await createDirectCompressor({ apiKey: 'key', transport }).compress(PNG);
+
+    assert.strictEqual(result.buffer.length, 4);
+    assert.deepStrictEqual(transport.requests.map(request => request.url), ['https://api.tinify.com/shrink', OUTPUT_URL]);
+});
+
+test('direct compressor rejects formats nothing can compress without a request', async () => {
+    const transport = fakeTransport(shrinkOrDownload);
+    const bmp = Buffer.concat([Buffer.from('BM'), Buffer.alloc(20)]);
+    await assert.rejects(createDirectCompressor({ apiKey: 'key', transport }).compress(bmp), UnsupportedError);
+    assert.strictEqual(transport.requests.length, 0);
+});
+
+test('proxy errors reject with typed errors the watcher can classify', async () => {
+    const quota = fakeTransport(() => ({ status: 429, data: { error: 'TooManyRequests', message: 'Monthly limit' } }));
+    const error = await createProxyCompressor({ proxyUrl: 'http://proxy.test', transport: quota }).compress(PNG)
+        .catch(caught => caught);
+    assert.ok(error instanceof QuotaError);
+    assert.strictEqual(isTransientError(error), false);
+
+    const down = fakeTransport(() => ({ status: 503, data: { error: 'ServiceUnavailable' } }));
+    const unavailable = await createProxyCompressor({ proxyUrl: 'http://proxy.test', transport: down, retries: 0 })
+        .compress(PNG).catch(caught => caught);
+    assert.strictEqual(unavailable.status, 503);
+    assert.strictEqual(isTransientError(unavailable), true);
+});
@@ -0,0 +1,172 @@
+const test = require('node:test');
+const assert = require('node:assert');
+require('fake-indexeddb/auto');
+const { IDBFactory } = require('fake-indexeddb');
+const FileStore = require('../file_store');
+
+const { DB_NAME, STORE_NAME, BATCHES_STORE_NAME } = FileStore;
+
+const noon = (year, month, day) => new Date(year, month - 1, day, 12).getTime();
+
+const requestResult = request => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+// A database as the extension created it before batches: one store, no indexes
+async function seedVersion1(records) {
+    const request = indexedDB.open(DB_NAME, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+    const db = await requestResult(request);
+    const tx = db.transaction(STORE_NAME, 'readwrite');
+    for (const record of records) tx.objectStore(STORE_NAME).put(record);
+    await new Promise(resolve => { tx.oncomplete = resolve; });
+    db.close();
+}
+
+const V1_RECORDS = [
+    {
+        id: 'a',
+        name: 'a.png',
+        relativePath: 'icons/a.png',
+        originalSize: 1000,
+        type: 'image/png',
+        status: 'success',
+        compressedSize: 400,
+        url: 'https://api.tinify.com/output/a',
+        error: null,
+        timestamp: noon(2024, 1, 15),
+        fileBlob: new Uint8Array([1, 2, 3])
+    },
+    {
+        id: 'b',
+        name: 'b.jpg',
+        originalSize: 2000,
+        type: 'image/jpeg',
+        status: 'error',
+        compressedSize: 0,
+        error: 'Bad image',
+        timestamp: noon(2024, 1, 15) - 3600 * 1000
+    },
+    {
+        id: 'c',
+        name: 'c.webp',
+        originalSize: 3000,
+        type: 'image/webp',
+        status: 'success',
+        compressedSize: 1000,
+        timestamp: noon(2024, 1, 16),
+        completedAt: noon(2024, 1, 17)
+    },
+    {
+        id: 'd',
+        name: 'd.png',
+        originalSize: 10,
+        type: 'image/png',
+        status: 'pending',
+        compressedSize: 0,
+        timestamp: noon(2024, 1, 18)
+    }
+];
+
+test.beforeEach(() => {
+    // A fresh, empty IndexedDB for every test
+    globalThis.indexedDB = new IDBFactory();
+});
+
+test('upgrading from v1 keeps every record and adds the indexes', async () => {
+    await seedVersion1(V1_RECORDS);
+    const db = await FileStore.openDB();
+
+    assert.strictEqual(db.version, 2);
+    assert.deepStrictEqual([...db.objectStoreNames].sort(), [BATCHES_STORE_NAME, STORE_NAME]);
+    const tx = db.transaction([STORE_NAME, BATCHES_STORE_NAME], 'readonly');
+    assert.deepStrictEqual([...tx.objectStore(STORE_NAME).indexNames].sort(), ['batchId', 'hash', 'status', 'timestamp']);
+    assert.deepStrictEqual([...tx.objectStore(BATCHES_STORE_NAME).indexNames], ['createdAt']);
+    db.close();
+
+    const files = await FileStore.getAllFilesFromDB();
+    assert.deepStrictEqual(files.map(f => f.id), ['b', 'a', 'c', 'd']);
+    for (const original of V1_RECORDS) {
+        const migrated = files.find(f => f.id === original.id);
+        const { batchId, ...rest } = migrated;
+        assert.deepStrictEqual(rest, original, `${original.id} kept all its fields`);
+    }
+});
+
+test('upgrading from v1 groups finished files into one legacy batch per day', async () => {
+    await seedVersion1(V1_RECORDS);
+
+    const files = await FileStore.getAllFilesFromDB();
+    const batchOf = id => files.find(f => f.id === id).batchId;
+    assert.strictEqual(batchOf('a'), 'legacy-2024-01-15');
+    assert.strictEqual(batchOf('b'), 'legacy-2024-01-15');
+    // Grouped by when it finished, not when it was added
+    assert.strictEqual(batchOf('c'), 'legacy-2024-01-17');
+    // Never compressed, so in no batch
+    assert.strictEqual(batchOf('d'), undefined);
+
+    const batches = await FileStore.getAllBatchesFromDB();
+    assert.deepStrictEqual(batches, [
+        { id: 'legacy-2024-01-17', createdAt: noon(2024, 1, 17), migrated: true },
+        { id: 'legacy-2024-01-15', createdAt: noon(2024, 1, 15) - 3600 * 1000, migrated: true }
+    ]);
+    assert.deepStrictEqual((await FileStore.getFilesByIndex('batchId', 'legacy-2024-01-15')).map(f => f.id).sort(), ['a', 'b']);
+    assert.deepStrictEqual((await FileStore.getFilesByIndex('status', 'success')).map(f => f.id).sort(), ['a', 'c']);
+});
+
+test('a new database is created at the latest version', async () => {
+    const db = await FileStore.openDB();
+    assert.strictEqual(db.version, FileStore.DB_VERSION);
+    assert.strictEqual(FileStore.MIGRATIONS.length, FileStore.DB_VERSION);
+    db.close();
+
+    assert.deepStrictEqual(await FileStore.getAllFilesFromDB(), []);
+    assert.deepStrictEqual(await FileStore.getAllBatchesFromDB(), []);
+});
+
+test('removed files stay for the history until it is cleared', async () => {
+    await FileStore.saveBatchToDB({ id: 'batch-1', createdAt: 1, mode: 'proxy' });
+    await FileStore.saveBatchToDB({ id: 'batch-2', createdAt: 2, mode: 'direct' });
+    await FileStore.saveFileToDB({ id: 'done', status: 'success', batchId: 'batch-1', timestamp: 1, fileBlob: new Uint8Array([1]) });
+    await FileStore.saveFileToDB({ id: 'listed', status: 'success', batchId: 'batch-2', timestamp: 2 });
+    await FileStore.saveFileToDB({ id: 'never-run', status: 'pending', timestamp: 3 });
+
+    const removed = await FileStore.removeFilesFromDB(['done', 'never-run'], 100);
+    assert.deepStrictEqual(removed.map(f => f.id), ['done']);
+
+    let files = await FileStore.getAllFilesFromDB();
+    assert.deepStrictEqual(files.map(f => f.id), ['done', 'listed']);
+    const done = files.find(f => f.id === 'done');
+    assert.strictEqual(done.removedAt, 100);
+    assert.strictEqual(done.fileBlob, null);
+
+    await FileStore.clearHistoryFromDB();
+    files = await FileStore.getAllFilesFromDB();
+    assert.deepStrictEqual(files.map(f => f.id), ['listed']);
+    assert.deepStrictEqual((await FileStore.getAllBatchesFromDB()).map(b => b.id), ['batch-2']);
+});
+
+test('dropping blobs clears only those fields and skips files that changed since', async () => {
+    const blob = new Uint8Array([1, 2]);
+    await FileStore.saveFileToDB({ id: 'old', status: 'success', completedAt: 10, timestamp: 1, fileBlob: blob, resultBlob: blob, compressionsUsed: 1 });
+    // Requeued after the policy looked at it: it needs its original again
+    await FileStore.saveFileToDB({ id: 'requeued', status: 'queued', timestamp: 2, fileBlob: blob, resultBlob: null });
+    // Compressed again: the new result is not the one the policy decided on
+    await FileStore.saveFileToDB({ id: 'redone', status: 'success', completedAt: 30, timestamp: 3, fileBlob: blob, resultBlob: blob });
+
+    const updated = await FileStore.dropBlobsFromDB([
+        { id: 'old', completedAt: 10, fields: ['fileBlob'] },
+        { id: 'requeued', completedAt: 20, fields: ['fileBlob'] },
+        { id: 'redone', completedAt: 20, fields: ['fileBlob', 'resultBlob'] },
+        { id: 'gone', completedAt: 5, fields: ['resultBlob'] }
+    ]);
+    assert.deepStrictEqual(updated.map(f => f.id), ['old']);
+
+    const files = new Map((await FileStore.getAllFilesFromDB()).map(f => [f.id, f]));
+    assert.strictEqual(files.get('old').fileBlob, null);
+    assert.deepStrictEqual(files.get('old').resultBlob, blob);
+    assert.strictEqual(files.get('old').compressionsUsed, 1);
+    assert.deepStrictEqual(files.get('requeued').fileBlob, blob);
+    assert.deepStrictEqual(files.get('redone').resultBlob, blob);
+});
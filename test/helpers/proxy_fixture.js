@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMockTinify } = require('../../mock_tinify');
+
+// Shared setup for tests that run the proxy against mock_tinify.js (also used
+// by scripts/e2e.js). proxy_app.js reads its configuration when it is first
+// required, so each test file starts one proxy with startProxy().
+
+const TOKEN = 'test-token';
+
+// PNG signature and IHDR of a 16 x 32 image; mock_tinify reads the size from it
+const PNG_HEADER = Buffer.from('89504e470d0a1a0a0000000d49484452000000100000002008060000', 'hex');
+
+// A PNG the mock accepts: the header followed by `payload` (a Buffer or string),
+// or by that many random bytes so every call is a distinct upload
+const png = (payload = 0) => Buffer.concat([
+    PNG_HEADER,
+    typeof payload === 'number' ? crypto.randomBytes(payload) : Buffer.from(payload)
+]);
+
+// Proxy environment using `mockUrl` as Tinify, keeping its state in `stateDir`.
+// TINIFY_API_KEY is cleared so a developer's .env does not add a key to the pool.
+const proxyEnv = ({ mockUrl, stateDir, token = TOKEN, ...overrides }) => ({
+    TINIFY_API_KEYS: 'test-key',
+    TINIFY_API_KEY: '',
+    TINIFY_BASE_URL: mockUrl,
+    TINIFY_KEY_STATE_FILE: path.join(stateDir, 'keys.json'),
+    USAGE_STATE_FILE: path.join(stateDir, 'usage.json'),
+    CACHE_DIR: path.join(stateDir, 'cache'),
+    PROXY_CLIENT_TOKENS: `ci:${token}`,
+    EXTENSION_IDS: 'testextension',
+    LOG_LEVEL: 'error',
+    ...overrides
+});
+
+const listen = async (app, ...args) => {
+    const server = app.listen(0, ...args);
+    await new Promise(resolve => server.once('listening', resolve));
+    return server;
+};
+
+// Start mock_tinify.js (`mock` options) and the proxy with `env` added to
+// proxyEnv(). `beforeProxy(mockUrl)` runs before the proxy is loaded; with
+// `listen: false` only the app is loaded. Resolves with { app, mockUrl,
+// baseUrl, stateDir, request(route, init), close() }, where request() sends
+// the token unless `init.headers` says otherwise.
+async function startProxy({ mock: mockOptions, env = {}, beforeProxy, listen: serve = true } = {}) {
+    const mock = await listen(createMockTinify(mockOptions));
+    const mockUrl = `http://127.0.0.1:${mock.address().port}`;
+    const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tinify-test-'));
+    if (beforeProxy) await beforeProxy(mockUrl);
+
+    Object.assign(process.env, proxyEnv({ mockUrl, stateDir, ...env }));
+    const app = require('../../proxy_app');
+    const server = serve ? await listen(app) : null;
+    const baseUrl = server ? `http://127.0.0.1:${server.address().port}` : null;
+
+    return {
+        app,
+        mockUrl,
+        baseUrl,
+        stateDir,
+        request: (route, { headers, ...init } = {}) => fetch(`${baseUrl}${route}`, {
+            ...init,
+            headers: { Authorization: `Bearer ${TOKEN}`, ...headers }
+        }),
+        close() {
+            if (server) {
+                server.closeAllConnections();
+                server.close();
+            }
+            mock.close();
+            fs.rmSync(stateDir, { recursive: true, force: true });
+        }
+    };
+}
+
+module.exports = {
+    TOKEN,
+    PNG_HEADER,
+    png,
+    proxyEnv,
+    startProxy
+};
@@ -0,0 +1,147 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { setTimeout: sleep } = require('timers/promises');
+const { ImageWatcher } = require('../lib/image_watcher');
+
+const CLI = path.join(__dirname, '..', 'bin', 'tinify-compress.js');
+const DEBOUNCE_MS = 50;
+// Long enough for a file to settle (two debounce periods) and be handled
+const SETTLED_MS = DEBOUNCE_MS * 8;
+
+const tempDir = t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'image-watcher-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+};
+
+// Poll `check` until it returns true, failing after `timeoutMs`
+async function waitFor(check, message, timeoutMs = 5000) {
+    const deadline = Date.now() + timeoutMs;
+    while (!check()) {
+        if (Date.now() > deadline) assert.fail(`Timed out waiting for ${message}`);
+        await sleep(20);
+    }
+}
+
+// A started watcher on `dir` that records what it hands over, with the file's
+// content at that moment
+const watch = (t, dir, options = {}) => {
+    const handled = [];
+    const watcher = new ImageWatcher({
+        dirs: [dir],
+        debounceMs: DEBOUNCE_MS,
+        accept: file => file.endsWith('.png'),
+        handle: async file => {
+            handled.push({ file: path.relative(dir, file), content: fs.readFileSync(file, 'utf8') });
+            return {};
+        },
+        ...options
+    });
+    watcher.start();
+    t.after(() => watcher.close());
+    return { watcher, handled };
+};
+
+test('hands over a file once, after it has stopped changing', async t => {
+    const dir = tempDir(t);
+    const { handled } = watch(t, dir);
+
+    const file = path.join(dir, 'export.png');
+    for (let part = 1; part <= 4; part++) {
+        fs.writeFileSync(file, `part ${part}`);
+        await sleep(DEBOUNCE_MS / 2);
+    }
+    await waitFor(() => handled.length > 0, 'the file to be handled');
+    await sleep(SETTLED_MS);
+    assert.deepStrictEqual(handled, [{ file: 'export.png', content: 'part 4' }]);
+});
+
+test('watches subdirectories and skips files it does not accept', async t => {
+    const dir = tempDir(t);
+    const { handled } = watch(t, dir);
+
+    fs.writeFileSync(path.join(dir, 'notes.txt'), 'text');
+    fs.writeFileSync(path.join(dir, '.tinify-lock.json'), '{}');
+    fs.mkdirSync(path.join(dir, 'icons'));
+    fs.writeFileSync(path.join(dir, 'icons', 'logo.png'), 'image');
+
+    await waitFor(() => handled.length > 0, 'the image to be handled');
+    await sleep(SETTLED_MS);
+    assert.deepStrictEqual(handled.map(entry => entry.file), [path.join('icons', 'logo.png')]);
+});
+
+test('drops a file that is deleted before it settles', async t => {
+    const dir = tempDir(t);
+    const { handled } = watch(t, dir);
+
+    const file = path.join(dir, 'temporary.png');
+    fs.writeFileSync(file, 'image');
+    fs.unlinkSync(file);
+    await sleep(SETTLED_MS);
+    assert.deepStrictEqual(handled, []);
+});
+
+test('a change during handling queues one more pass', async t => {
+    const dir = tempDir(t);
+    const file = path.join(dir, 'busy.png');
+    let release;
+    const blocked = new Promise(resolve => {
+        release = resolve;
+    });
+    const calls = [];
+    watch(t, dir, {
+        handle: async () => {
+            calls.push(fs.readFileSync(file, 'utf8'));
+            if (calls.length === 1) await blocked;
+            return {};
+        }
+    });
+
+    fs.writeFileSync(file, 'first');
+    await waitFor(() => calls.length === 1, 'the first pass');
+    fs.writeFileSync(file, 'second');
+    await sleep(SETTLED_MS);
+    assert.strictEqual(calls.length, 1);
+
+    release();
+    await waitFor(() => calls.length === 2, 'the second pass');
+    assert.deepStrictEqual(calls, ['first', 'second']);
+});
+
+// The CLI writes compressed images in place; the watcher sees those writes, but
+// the lock file already records them, so they are not compressed again
+test('the CLI does not compress its own output again', async t => {
+    const dir = tempDir(t);
+    const child = spawn(process.execPath, [CLI, '--watch', dir, '--key', 'unused', '--debounce', String(DEBOUNCE_MS)], {
+        env: { ...process.env, TINIFY_BASE_URL: 'http://127.0.0.1:9', LOG_LEVEL: 'debug' }
+    });
+    const lines = [];
+    let buffered = '';
+    child.stdout.on('data', chunk => {
+        buffered += chunk;
+        const complete = buffered.split('\n');
+        buffered = complete.pop();
+        lines.push(...complete.filter(Boolean).map(line => JSON.parse(line)));
+    });
+    const exited = new Promise(resolve => child.once('exit', resolve));
+    t.after(async () => {
+        child.kill();
+        await exited;
+    });
+    const logged = (msg, file) => lines.filter(line => line.msg === msg && (!file || line.file === file));
+
+    await waitFor(() => logged('Watching directory').length > 0, 'the watcher to start');
+    fs.writeFileSync(path.join(dir, 'logo.svg'), '<svg viewBox="0 0 8 8">\n  <!-- exported -->\n  <rect width="8" height="8"/>\n</svg>\n');
+
+    await waitFor(() => logged('Image compressed', 'logo.svg').length > 0, 'the SVG to be compressed');
+    await waitFor(() => logged('Image up to date', 'logo.svg').length > 0, 'the watcher to see the written file');
+    await sleep(SETTLED_MS);
+
+    assert.strictEqual(logged('Image compressed').length, 1);
+    assert.strictEqual(fs.readFileSync(path.join(dir, 'logo.svg'), 'utf8'), '<svg viewBox="0 0 8 8"><rect width="8" height="8"/></svg>');
+    assert.ok(fs.existsSync(path.join(dir, '.tinify-lock.json')));
+});
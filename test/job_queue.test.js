@@ -0,0 +1,178 @@
+const test = require('node:test');
+const assert = require('node:assert');
+// The queue starts jobs on the next setImmediate turn
+const { setImmediate: nextTurn, setTimeout: sleep } = require('timers/promises');
+const { JobQueue } = require('../lib/job_queue');
+const { TOKEN, png, startProxy } = require('./helpers/proxy_fixture');
+
+// A promise with its resolve / reject exposed, to finish handlers on cue
+const deferred = () => {
+    let resolve;
+    let reject;
+    const promise = new Promise((res, rej) => {
+        resolve = res;
+        reject = rej;
+    });
+    return { promise, resolve, reject };
+};
+
+// Every snapshot a job emits, starting now
+const recordUpdates = job => {
+    const updates = [];
+    job.events.on('update', snapshot => updates.push(snapshot));
+    return updates;
+};
+
+test('runs at most `concurrency` jobs at a time, in the order they were added', async () => {
+    const queue = new JobQueue({ concurrency: 2 });
+    const started = [];
+    const gates = [deferred(), deferred(), deferred()];
+    const jobs = gates.map((gate, index) => queue.add(async () => {
+        started.push(index);
+        return gate.promise;
+    }));
+
+    assert.deepStrictEqual(jobs.map(job => queue.snapshot(job).position), [1, 2, 3]);
+    await nextTurn();
+    assert.deepStrictEqual(started, [0, 1]);
+    assert.strictEqual(queue.running, 2);
+    assert.strictEqual(queue.snapshot(jobs[2]).position, 1);
+
+    gates[1].resolve('second');
+    await nextTurn();
+    assert.deepStrictEqual(started, [0, 1, 2]);
+
+    gates[0].resolve('first');
+    gates[2].resolve('third');
+    await nextTurn();
+    assert.deepStrictEqual(jobs.map(job => job.result), ['first', 'second', 'third']);
+    assert.strictEqual(queue.running, 0);
+});
+
+test('reports the handler\'s steps, then done with the result', async () => {
+    const queue = new JobQueue();
+    const job = queue.add(async update => {
+        update('uploading');
+        update('compressing');
+        return { size: 5 };
+    }, { size: 10 });
+    const updates = recordUpdates(job);
+    assert.strictEqual(job.status, 'queued');
+
+    await nextTurn();
+    assert.deepStrictEqual(updates.map(snapshot => snapshot.status), ['uploading', 'compressing', 'done']);
+    const done = updates[2];
+    assert.deepStrictEqual(done.result, { size: 5 });
+    assert.strictEqual(done.size, 10);
+    assert.strictEqual(done.error, null);
+    assert.ok(queue.isFinished(job));
+    assert.strictEqual(job.handler, null);
+});
+
+test('a failing handler ends the job with its error message', async () => {
+    const queue = new JobQueue();
+    const job = queue.add(async () => {
+        throw new Error('Tinify is down');
+    });
+    await nextTurn();
+    assert.strictEqual(job.status, 'error');
+    assert.strictEqual(queue.snapshot(job).error, 'Tinify is down');
+});
+
+test('jobs are only visible to the client that added them', () => {
+    const queue = new JobQueue();
+    const job = queue.add(async () => null, {}, 'alice');
+    assert.strictEqual(queue.get(job.id, 'alice'), job);
+    assert.strictEqual(queue.get(job.id, 'bob'), null);
+    assert.strictEqual(queue.get(job.id), null);
+    assert.strictEqual(queue.get('unknown', 'alice'), null);
+});
+
+test('finished jobs expire after ttlMs', async () => {
+    const queue = new JobQueue({ ttlMs: 20 });
+    const job = queue.add(async () => 'result', {}, 'alice');
+    await nextTurn();
+    assert.strictEqual(queue.get(job.id, 'alice').status, 'done');
+    await sleep(60);
+    assert.strictEqual(queue.get(job.id, 'alice'), null);
+});
+
+test('is full once maxQueued jobs are waiting', () => {
+    const queue = new JobQueue({ maxQueued: 2 });
+    queue.add(async () => null);
+    assert.ok(!queue.isFull());
+    queue.add(async () => null);
+    assert.ok(queue.isFull());
+});
+
+// The HTTP API. The mock hands out output URLs on a port nothing listens on,
+// so downloading a Tinify result fails; SVGs are compressed by the proxy itself
+// and need no download.
+test('jobs API', async t => {
+    const proxy = await startProxy({
+        mock: { baseUrl: 'http://127.0.0.1:9' },
+        env: { PROXY_CLIENT_TOKENS: `ci:${TOKEN},other:other-token`, TINIFY_RETRIES: '0' }
+    });
+    t.after(() => proxy.close());
+
+    const submit = (body, contentType) =>
+        proxy.request('/api/jobs', { method: 'POST', headers: { 'Content-Type': contentType }, body });
+    const waitUntilFinished = async id => {
+        for (;;) {
+            const job = await (await proxy.request(`/api/jobs/${id}`)).json();
+            if (job.status === 'done' || job.status === 'error') return job;
+            await sleep(20);
+        }
+    };
+    const svg = () => `<svg viewBox="0 0 4 4"><!-- ${Math.random()} --><rect width="4" height="4"/></svg>`;
+
+    await t.test('queues an upload and finishes it with a result URL on the proxy', async () => {
+        const response = await submit(svg(), 'image/svg+xml');
+        assert.strictEqual(response.status, 202);
+        const queued = await response.json();
+        assert.strictEqual(response.headers.get('location'), `/api/jobs/${queued.id}`);
+        assert.ok(['queued', 'uploading'].includes(queued.status));
+
+        const job = await waitUntilFinished(queued.id);
+        assert.strictEqual(job.status, 'done');
+        assert.match(job.result.output.url, /\/api\/results\/[0-9a-f]{64}$/);
+    });
+
+    await t.test('hides a job from other clients', async () => {
+        const { id } = await (await submit(svg(), 'image/svg+xml')).json();
+        const other = { headers: { Authorization: 'Bearer other-token' } };
+        assert.strictEqual((await proxy.request(`/api/jobs/${id}`, other)).status, 404);
+        assert.strictEqual((await proxy.request(`/api/jobs/${id}/events`, other)).status, 404);
+        assert.strictEqual((await proxy.request(`/api/jobs/${id}`)).status, 200);
+    });
+
+    await t.test('streams events to EventSource clients authenticated with ?token=', async () => {
+        const { id } = await (await submit(svg(), 'image/svg+xml')).json();
+        const path = `/api/jobs/${id}/events`;
+
+        const refused = await fetch(`${proxy.baseUrl}${path}?token=wrong`);
+        assert.strictEqual(refused.status, 401);
+
+        const response = await fetch(`${proxy.baseUrl}${path}?token=${TOKEN}`);
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(response.headers.get('content-type'), 'text/event-stream');
+        // The stream ends after the final event
+        const events = (await response.text()).trim().split('\n\n').map(block => {
+            const [, name] = block.match(/^event: (.+)$/m);
+            const [, data] = block.match(/^data: (.+)$/m);
+            return { name, data: JSON.parse(data) };
+        });
+        const last = events[events.length - 1];
+        assert.strictEqual(last.name, 'done');
+        assert.strictEqual(last.data.id, id);
+        assert.ok(last.data.result.output.url);
+    });
+
+    await t.test('fails the job when the Tinify result cannot be downloaded', async () => {
+        const { id } = await (await submit(png(100), 'image/png')).json();
+        const job = await waitUntilFinished(id);
+        assert.strictEqual(job.status, 'error');
+        assert.match(job.error, /could not be downloaded/);
+        assert.strictEqual(job.result, null);
+    });
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { png, startProxy } = require('./helpers/proxy_fixture');
+
+// Quota failover on /api/compress, against mock_tinify.js allowing two
+// compressions per key. k1 and k3 have used theirs before the proxy starts, so
+// the proxy only learns it from their 429 answers. Uploads up to
+// REPLAYABLE_UPLOAD_BYTES are sent again to the next key; larger, streamed ones
+// tell the client to retry.
+
+const REPLAYABLE_UPLOAD_BYTES = 1000;
+
+let proxy;
+
+const compress = body => proxy.request('/api/compress', {
+    method: 'POST',
+    headers: { 'Content-Type': 'image/png' },
+    body
+});
+
+test.before(async () => {
+    proxy = await startProxy({
+        mock: { monthlyLimit: 2 },
+        env: {
+            TINIFY_API_KEYS: 'k1,k2,k3',
+            REPLAYABLE_UPLOAD_BYTES: String(REPLAYABLE_UPLOAD_BYTES)
+        },
+        async beforeProxy(mockUrl) {
+            for (const key of ['k1', 'k1', 'k3', 'k3']) {
+                const used = await fetch(`${mockUrl}/shrink`, {
+                    method: 'POST',
+                    headers: { Authorization: `Basic ${Buffer.from(`api:${key}`).toString('base64')}` },
+                    body: png(10)
+                });
+                assert.strictEqual(used.status, 201);
+            }
+        }
+    });
+});
+
+test.after(() => proxy.close());
+
+test('a streamed upload that hits an exhausted key asks the client to retry', async () => {
+    const image = png(REPLAYABLE_UPLOAD_BYTES * 2);
+
+    // k1 is picked first and answers 429 once the upload has been streamed
+    const first = await compress(image);
+    assert.strictEqual(first.status, 503);
+    assert.ok(Number(first.headers.get('retry-after')) > 0);
+
+    // The retry gets k2
+    const retried = await compress(image);
+    assert.strictEqual(retried.status, 200, await retried.clone().text());
+});
+
+test('a small upload is sent again with the next key when one is out of quota', async () => {
+    // k3 now has the most quota left as far as the proxy knows and answers
+    // 429; k2 takes over within the same request
+    const response = await compress(png(100));
+    assert.strictEqual(response.status, 200, await response.clone().text());
+    assert.strictEqual((await response.json()).output.width, 16);
+});
+
+test('once every key is out of quota the proxy reports the quota', async () => {
+    const response = await compress(png(REPLAYABLE_UPLOAD_BYTES * 2));
+    assert.strictEqual(response.status, 429);
+    assert.strictEqual((await response.json()).error, 'Quota Exceeded');
+});
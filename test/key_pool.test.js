@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { KeyPool, isQuotaError } = require('../lib/key_pool');
+
+const answer = (status, data, headers = {}) => ({ status, data, headers });
+
+test('only a 429 TooManyRequests without Retry-After is the monthly quota', () => {
+    assert.ok(isQuotaError(answer(429, { error: 'TooManyRequests', message: 'Your monthly limit has been exceeded' })));
+    assert.ok(!isQuotaError(answer(429, { error: 'TooManyRequests' }, { 'retry-after': '2' })));
+    assert.ok(!isQuotaError(answer(429, { error: 'Too Many Requests', message: 'Upload limit of 1000 bytes reached' })));
+    assert.ok(!isQuotaError(answer(400, { error: 'BadRequest', message: 'Image exceeds the size limit' })));
+    assert.ok(!isQuotaError(answer(413, { error: 'Payload Too Large', message: 'Upload limit reached' })));
+    assert.ok(!isQuotaError(undefined));
+});
+
+test('client errors mentioning a limit do not use up the key', async () => {
+    const pool = new KeyPool({ keys: ['k1', 'k2'] });
+    const tried = [];
+    const result = await pool.run(async key => {
+        tried.push(key);
+        return answer(400, { error: 'BadRequest', message: 'Resize dimensions exceed the limit' });
+    });
+
+    assert.strictEqual(result.response.status, 400);
+    assert.strictEqual(tried.length, 1);
+    assert.ok(pool.snapshot().every(entry => !entry.exhausted));
+});
+
+test('fails over to the next key on the quota error', async () => {
+    const pool = new KeyPool({ keys: ['k1', 'k2'] });
+    const result = await pool.run(async key => key === 'k1'
+        ? answer(429, { error: 'TooManyRequests' })
+        : answer(201, {}), { preferredKey: 'k1' });
+
+    assert.strictEqual(result.key, 'k2');
+    assert.deepStrictEqual(pool.snapshot().map(entry => entry.exhausted), [true, false]);
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateOperations } = require('../lib/operations');
+
+// [description, body, error message pattern]
+const invalid = [
+    ['a body that is not an object', [], /must be a JSON object/],
+    ['no operation at all', {}, /At least one of resize, convert, preserve is required/],
+    ['an unknown operation', { rotate: 90 }, /Unsupported operation\(s\): rotate/],
+    ['a resize that is not an object', { resize: 'fit' }, /"resize" must be an object/],
+    ['an unknown resize method', { resize: { method: 'stretch', width: 10, height: 10 } }, /"resize.method" must be one of: scale, fit, cover, thumb/],
+    ['a resize without a method', { resize: { width: 10 } }, /"resize.method" must be one of/],
+    ['fit without a height', { resize: { method: 'fit', width: 10 } }, /"fit" requires both/],
+    ['cover without a width', { resize: { method: 'cover', height: 10 } }, /"cover" requires both/],
+    ['thumb without dimensions', { resize: { method: 'thumb' } }, /"thumb" requires both/],
+    ['scale with both dimensions', { resize: { method: 'scale', width: 10, height: 10 } }, /exactly one/],
+    ['scale without a dimension', { resize: { method: 'scale' } }, /exactly one/],
+    ['a zero width', { resize: { method: 'scale', width: 0 } }, /"resize.width" must be a positive integer/],
+    ['a negative height', { resize: { method: 'fit', width: 10, height: -5 } }, /"resize.height" must be a positive integer/],
+    ['a fractional width', { resize: { method: 'fit', width: 10.5, height: 10 } }, /"resize.width" must be a positive integer/],
+    ['a width given as a string', { resize: { method: 'scale', width: '100' } }, /"resize.width" must be a positive integer/],
+    ['an infinite height', { resize: { method: 'scale', height: Infinity } }, /"resize.height" must be a positive integer/],
+    ['an unknown convert type', { convert: { type: 'image/gif' } }, /"convert.type" must be one of/],
+    ['an unknown type in a convert list', { convert: { type: ['webp', 'bmp'] } }, /"convert.type" must be one of/],
+    ['an empty convert list', { convert: { type: [] } }, /"convert.type" must not be empty/],
+    ['a convert without a type', { convert: {} }, /"convert.type" must be one of/],
+    ['transform without convert', { transform: { background: 'white' } }, /only be used together with "convert"/],
+    ['a background that is not a colour', { convert: { type: 'jpg' }, transform: { background: 'red' } }, /"transform.background"/],
+    ['an unknown preserve key', { preserve: ['copyright', 'gps'] }, /"preserve" may only contain: copyright, creation, location/],
+    ['an empty preserve list', { preserve: [] }, /"preserve" must be a non-empty array/],
+    ['preserve given as a string', { preserve: 'copyright' }, /"preserve" must be a non-empty array/]
+];
+
+for (const [description, body, message] of invalid) {
+    test(`rejects ${description}`, () => {
+        const result = validateOperations(body);
+        assert.strictEqual(result.operations, undefined);
+        assert.match(result.error, message);
+    });
+}
+
+// [description, body, normalized operations]
+const valid = [
+    ['scale by width', { resize: { method: 'scale', width: 100 } }, { resize: { method: 'scale', width: 100 } }],
+    ['scale by height', { resize: { method: 'scale', height: 50 } }, { resize: { method: 'scale', height: 50 } }],
+    ['thumb with both dimensions, dropping other fields', { resize: { method: 'thumb', width: 1, height: 1, extra: true } }, { resize: { method: 'thumb', width: 1, height: 1 } }],
+    ['convert type aliases', { convert: { type: 'JPG' } }, { convert: { type: 'image/jpeg' } }],
+    ['a convert list without duplicates', { convert: { type: ['webp', 'image/webp', 'avif'] } }, { convert: { type: ['image/webp', 'image/avif'] } }],
+    ['convert with a background', { convert: { type: '*/*' }, transform: { background: '#FFF' } }, { convert: { type: '*/*' }, transform: { background: '#fff' } }],
+    ['preserve without duplicates', { preserve: ['location', 'location', 'creation'] }, { preserve: ['location', 'creation'] }]
+];
+
+for (const [description, body, operations] of valid) {
+    test(`accepts ${description}`, () => {
+        assert.deepStrictEqual(validateOperations(body), { operations });
+    });
+}
+
+test('allows the keys it is told to ignore', () => {
+    const body = { url: 'https://api.tinify.com/output/abc', resize: { method: 'scale', width: 10 } };
+    assert.match(validateOperations(body).error, /Unsupported operation\(s\): url/);
+    assert.deepStrictEqual(validateOperations(body, ['url']), { operations: { resize: { method: 'scale', width: 10 } } });
+});
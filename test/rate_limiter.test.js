@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { RateLimiter } = require('../lib/rate_limiter');
+
+// An upload route that reads its whole body, behind the limiter
+function createApp(limiter) {
+    const app = express();
+    app.use(limiter.middleware());
+    app.post('/upload', async (req, res) => {
+        let bytes = 0;
+        for await (const chunk of req) bytes += chunk.length;
+        res.json({ bytes });
+    });
+    return app;
+}
+
+async function withServer(app, run) {
+    const server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    try {
+        await run(`http://127.0.0.1:${server.address().port}`);
+    } finally {
+        server.close();
+    }
+}
+
+// A body without Content-Length, sent with chunked transfer encoding
+const chunked = bytes => ({
+    method: 'POST',
+    body: new ReadableStream({
+        start(controller) {
+            controller.enqueue(new Uint8Array(bytes));
+            controller.close();
+        }
+    }),
+    duplex: 'half'
+});
+
+test('bodies with a Content-Length over the byte limit are refused up front', async () => {
+    const limiter = new RateLimiter({ maxBytes: 1000 });
+    await withServer(createApp(limiter), async base => {
+        assert.strictEqual((await fetch(`${base}/upload`, { method: 'POST', body: Buffer.alloc(600) })).status, 200);
+        const response = await fetch(`${base}/upload`, { method: 'POST', body: Buffer.alloc(600) });
+        assert.strictEqual(response.status, 429);
+        assert.match((await response.json()).message, /Upload limit of 1000 bytes/);
+    });
+});
+
+test('chunked uploads are counted by the bytes actually received', async () => {
+    const limiter = new RateLimiter({ maxBytes: 1000 });
+    await withServer(createApp(limiter), async base => {
+        const first = await fetch(`${base}/upload`, chunked(1500));
+        assert.strictEqual(first.status, 200);
+        assert.deepStrictEqual(await first.json(), { bytes: 1500 });
+        assert.strictEqual([...limiter.windows.values()][0].bytes, 1500);
+
+        // The window's bytes are used up, so the next upload of unknown length is refused
+        assert.strictEqual((await fetch(`${base}/upload`, chunked(10))).status, 429);
+    });
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { setTimeout: sleep } = require('timers/promises');
+const { png, startProxy } = require('./helpers/proxy_fixture');
+
+// The result cache against mock_tinify.js: a Tinify result is cached from the
+// client's own download, and output operations on the cached result reuse the
+// Tinify URL it came from instead of uploading it again.
+
+const IMAGE = png(64);
+
+let proxy;
+
+const post = (route, body, contentType = 'application/json') =>
+    proxy.request(route, { method: 'POST', headers: { 'Content-Type': contentType }, body });
+
+test.before(async () => {
+    proxy = await startProxy();
+});
+
+test.after(() => proxy.close());
+
+test('the download fills the cache, and output operations on the cached result cost no new upload', async () => {
+    const first = await post('/api/compress', IMAGE, 'image/png');
+    assert.strictEqual(first.status, 200);
+    assert.strictEqual(first.headers.get('x-compressions-used'), '1');
+    const { output } = await first.json();
+
+    const downloaded = await post('/api/download', JSON.stringify({ url: output.url }));
+    assert.ok(Buffer.from(await downloaded.arrayBuffer()).equals(IMAGE));
+
+    // The result is written once the download has ended
+    const hash = crypto.createHash('sha256').update(IMAGE).digest('hex');
+    for (let attempt = 0; attempt < 20; attempt++) {
+        const stored = await proxy.request(`/api/results/${hash}`);
+        await stored.arrayBuffer();
+        if (stored.ok) break;
+        await sleep(50);
+    }
+    const again = await post('/api/compress', IMAGE, 'image/png');
+    assert.strictEqual(again.headers.get('x-cache'), 'HIT');
+    assert.strictEqual(again.headers.get('x-compressions-used'), null);
+    const cachedUrl = (await again.json()).output.url;
+    assert.match(cachedUrl, /\/api\/results\/[0-9a-f]{64}$/);
+
+    // One compression for the resize itself, none for uploading the result again
+    const resized = await post('/api/output', JSON.stringify({ url: cachedUrl, resize: { method: 'scale', width: 8 } }));
+    assert.strictEqual(resized.status, 200);
+    assert.strictEqual(resized.headers.get('x-compressions-used'), '1');
+});
@@ -0,0 +1,154 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { withRetry, isTransientError, isRateLimited, parseRetryAfter } = require('../lib/retry');
+
+const answer = (status, headers = {}) => ({ status, headers, data: {} });
+const httpError = (status, headers) => Object.assign(new Error(`HTTP ${status}`), { response: answer(status, headers) });
+const codeError = code => Object.assign(new Error(code), { code });
+const namedError = (name, status) => Object.assign(new Error(name), { name, status });
+
+// withRetry with a sleep that only records its delays
+const retrying = (task, options = {}) => {
+    const delays = [];
+    const sleep = async ms => {
+        delays.push(ms);
+    };
+    return { delays, run: () => withRetry(task, { sleep, ...options }) };
+};
+
+// A task that fails with each of `failures` in turn, then resolves with 'ok'
+const failingWith = (...failures) => {
+    const task = async attempt => {
+        task.calls++;
+        if (attempt < failures.length) throw failures[attempt];
+        return 'ok';
+    };
+    task.calls = 0;
+    return task;
+};
+
+test('tells transient errors from ones not worth retrying', () => {
+    const cases = [
+        [codeError('ECONNRESET'), true],
+        [codeError('ETIMEDOUT'), true],
+        [codeError('EAI_AGAIN'), true],
+        [codeError('ENOTFOUND'), false],
+        [httpError(500), true],
+        [httpError(503), true],
+        [httpError(429, { 'retry-after': '1' }), true],
+        [httpError(429), false], // Tinify's monthly quota
+        [httpError(400), false],
+        [httpError(401), false],
+        [namedError('NetworkError'), true],
+        [namedError('TinifyError', 502), true],
+        [namedError('TinifyError', 429), true],
+        [namedError('UnsupportedError', 415), false],
+        [namedError('QuotaError', 429), false],
+        [namedError('AuthError', 401), false],
+        [namedError('CanceledError'), false],
+        [namedError('AbortError'), false],
+        [null, false]
+    ];
+    for (const [error, transient] of cases) {
+        assert.strictEqual(isTransientError(error), transient, error ? `${error.name} ${error.message}` : 'null');
+    }
+});
+
+test('only a 429 with Retry-After is a rate limit', () => {
+    assert.ok(isRateLimited(answer(429, { 'retry-after': '0' })));
+    assert.ok(!isRateLimited(answer(429)));
+    assert.ok(!isRateLimited(answer(503, { 'retry-after': '1' })));
+    assert.ok(!isRateLimited(undefined));
+});
+
+test('reads Retry-After as seconds or an HTTP date', () => {
+    const now = Date.parse('2026-03-10T12:00:00Z');
+    assert.strictEqual(parseRetryAfter('3', now), 3000);
+    assert.strictEqual(parseRetryAfter('0.5', now), 500);
+    assert.strictEqual(parseRetryAfter('-1', now), 0);
+    assert.strictEqual(parseRetryAfter('Tue, 10 Mar 2026 12:00:05 GMT', now), 5000);
+    assert.strictEqual(parseRetryAfter('Tue, 10 Mar 2026 11:59:00 GMT', now), 0);
+    assert.strictEqual(parseRetryAfter('soon', now), null);
+    assert.strictEqual(parseRetryAfter('', now), null);
+    assert.strictEqual(parseRetryAfter(undefined, now), null);
+});
+
+test('backs off exponentially, up to maxDelayMs', async () => {
+    const task = failingWith(...Array(4).fill(codeError('ECONNRESET')));
+    const { delays, run } = retrying(task, { retries: 4, baseDelayMs: 100, maxDelayMs: 500, random: () => 1 });
+    assert.strictEqual(await run(), 'ok');
+    assert.deepStrictEqual(delays, [100, 200, 400, 500]);
+    assert.strictEqual(task.calls, 5);
+});
+
+test('jitters each delay between zero and the backoff', async () => {
+    const jitter = [0, 0.5, 0.999];
+    const task = failingWith(...Array(3).fill(httpError(502)));
+    const { delays, run } = retrying(task, { retries: 3, baseDelayMs: 100, random: () => jitter.shift() });
+    await run();
+    assert.deepStrictEqual(delays, [0, 100, 400]);
+});
+
+test('gives up after `retries` attempts with the last error', async () => {
+    const last = codeError('ECONNREFUSED');
+    const task = failingWith(codeError('ECONNRESET'), codeError('ETIMEDOUT'), last);
+    const { delays, run } = retrying(task, { retries: 2 });
+    await assert.rejects(run(), error => error === last);
+    assert.strictEqual(task.calls, 3);
+    assert.strictEqual(delays.length, 2);
+});
+
+test('does not retry errors that are not transient', async () => {
+    const task = failingWith(httpError(400));
+    const { delays, run } = retrying(task);
+    await assert.rejects(run(), /HTTP 400/);
+    assert.strictEqual(task.calls, 1);
+    assert.deepStrictEqual(delays, []);
+});
+
+test('waits at least Retry-After on a rate limited response', async () => {
+    const responses = [answer(429, { 'retry-after': '2' }), answer(200)];
+    const { delays, run } = retrying(async () => responses.shift(), { random: () => 0 });
+    assert.strictEqual((await run()).status, 200);
+    assert.deepStrictEqual(delays, [2000]);
+});
+
+test('keeps the longer backoff when Retry-After is shorter', async () => {
+    const responses = [answer(429, { 'retry-after': '0' }), answer(200)];
+    const { delays, run } = retrying(async () => responses.shift(), { baseDelayMs: 300, random: () => 1 });
+    await run();
+    assert.deepStrictEqual(delays, [300]);
+});
+
+test('returns a rate limited response at once when Retry-After exceeds maxDelayMs', async () => {
+    let calls = 0;
+    const limited = answer(429, { 'retry-after': '60' });
+    const { delays, run } = retrying(async () => {
+        calls++;
+        return limited;
+    }, { maxDelayMs: 5000 });
+    assert.strictEqual(await run(), limited);
+    assert.strictEqual(calls, 1);
+    assert.deepStrictEqual(delays, []);
+});
+
+test('does not retry a 429 without Retry-After', async () => {
+    let calls = 0;
+    const { run } = retrying(async () => {
+        calls++;
+        return answer(429);
+    });
+    assert.strictEqual((await run()).status, 429);
+    assert.strictEqual(calls, 1);
+});
+
+test('reports each retry and releases the streamed body it skips', async () => {
+    let destroyed = false;
+    const limited = { ...answer(429, { 'retry-after': '1' }), data: { destroy: () => { destroyed = true; } } };
+    const responses = [limited, answer(200)];
+    const retries = [];
+    const { run } = retrying(async () => responses.shift(), { random: () => 0, onRetry: info => retries.push(info) });
+    await run();
+    assert.ok(destroyed);
+    assert.deepStrictEqual(retries, [{ attempt: 1, delay: 1000, reason: 'HTTP 429' }]);
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { minifySvg, SvgSyntaxError } = require('../lib/svg_minify');
+const { sniffFormat, unsupportedMessage } = require('../lib/formats');
+
+const minified = async source => (await minifySvg(Buffer.from(source))).buffer.toString('utf8');
+
+test('keeps the XML declaration and its encoding', async () => {
+    const output = await minified('<?xml version="1.0" encoding="ISO-8859-1"?>\n<!-- editor -->\n<svg width="10" height="10">\n  <rect width="10" height="10"/>\n</svg>\n');
+    assert.strictEqual(output, '<?xml version="1.0" encoding="ISO-8859-1"?><svg width="10" height="10"><rect width="10" height="10"/></svg>');
+});
+
+test('leaves coordinates as they are and only collapses whitespace', async () => {
+    const output = await minified('<svg viewBox="0 0  100.123456 50">\n  <path d="M 0.0001234 1.987654\n    L 2.5 3.333333"/>\n</svg>');
+    assert.strictEqual(output, '<svg viewBox="0 0 100.123456 50"><path d="M 0.0001234 1.987654 L 2.5 3.333333"/></svg>');
+});
+
+test('drops editor metadata and reports the size', async () => {
+    const result = await minifySvg(Buffer.from(
+        '<svg xmlns:inkscape="http://www.inkscape.org/namespaces/inkscape" inkscape:version="1.0" viewBox="0 0 24 12">' +
+        '<metadata><rdf/></metadata><text> keep  this </text></svg>'
+    ));
+    assert.strictEqual(result.buffer.toString('utf8'), '<svg viewBox="0 0 24 12"><text> keep  this </text></svg>');
+    assert.deepStrictEqual([result.width, result.height], [24, 12]);
+});
+
+test('rejects broken SVG', async () => {
+    await assert.rejects(minifySvg(Buffer.from('<svg><g></svg')), SvgSyntaxError);
+});
+
+test('GIF is recognised but not compressed', () => {
+    const format = sniffFormat(Buffer.from('GIF89a\x01\x00\x01\x00', 'latin1'));
+    assert.strictEqual(format.name, 'GIF');
+    assert.strictEqual(format.engine, null);
+    assert.match(unsupportedMessage(format), /^GIF images are not supported\. Supported formats: PNG, JPEG, WebP, AVIF, SVG\.$/);
+});
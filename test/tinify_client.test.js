@@ -0,0 +1,210 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    TinifyClient,
+    TinifyError,
+    AuthError,
+    QuotaError,
+    UnsupportedError,
+    NetworkError
+} = require('../tinify_client');
+
+// Transport answering from a script: each entry is a response
+// ({ status, headers, data }), an error to reject with, or a function of the request
+function fakeTransport(script) {
+    const requests = [];
+    const transport = async request => {
+        requests.push(request);
+        const next = script[Math.min(requests.length - 1, script.length - 1)];
+        const result = typeof next === 'function' ? await next(request) : next;
+        if (result instanceof Error) throw result;
+        return { headers: {}, ...result };
+    };
+    transport.requests = requests;
+    return transport;
+}
+
+const json = (status, data, headers = {}) => ({ status, data, headers: { 'content-type': 'application/json', ...headers } });
+const shrunk = json(201, { input: { size: 10 }, output: { size: 5, type: 'image/png', url: 'https://api.tinify.com/output/abc' } });
+
+const client = (transport, options = {}) => new TinifyClient({ apiKey: 'key', transport, retryDelayMs: 0, ...options });
+
+test('shrink posts the image to /shrink with basic auth', async () => {
+    const transport = fakeTransport([shrunk]);
+    const data = await client(transport).shrink(Buffer.from('png'), { contentType: 'image/png' });
+
+    assert.strictEqual(data.output.url, 'https://api.tinify.com/output/abc');
+    const [request] = transport.requests;
+    assert.strictEqual(request.method, 'POST');
+    assert.strictEqual(request.url, 'https://api.tinify.com/shrink');
+    assert.strictEqual(request.headers.Authorization, `Basic ${Buffer.from('api:key').toString('base64')}`);
+    assert.strictEqual(request.headers['Content-Type'], 'image/png');
+});
+
+test('proxy mode uses the proxy endpoints, the token and the content hash', async () => {
+    const transport = fakeTransport([shrunk, { status: 200, data: new ArrayBuffer(5) }]);
+    const proxied = new TinifyClient({ proxyUrl: 'http://proxy.test/', token: 'secret', transport });
+
+    assert.strictEqual(proxied.mode, 'proxy');
+    await proxied.shrink(Buffer.from('png'), { sha256: 'abc123' });
+    await proxied.download('https://api.tinify.com/output/abc');
+
+    const [shrink, download] = transport.requests;
+    assert.strictEqual(shrink.url, 'http://proxy.test/api/compress');
+    assert.strictEqual(shrink.headers.Authorization, 'Bearer secret');
+    assert.strictEqual(shrink.headers['X-Content-SHA256'], 'abc123');
+    assert.strictEqual(download.url, 'http://proxy.test/api/download');
+    assert.deepStrictEqual(JSON.parse(download.body), { url: 'https://api.tinify.com/output/abc' });
+});
+
+test('records the Compression-Count header', async () => {
+    const transport = fakeTransport([{ ...shrunk, headers: { 'compression-count': '42' } }]);
+    const tinify = client(transport);
+    await tinify.shrink(Buffer.from('png'));
+    assert.strictEqual(tinify.compressionCount, 42);
+});
+
+test('counts the compressions direct calls spent from Compression-Count', async () => {
+    const counted = (response, count) => ({ ...response, headers: { ...response.headers, 'compression-count': String(count) } });
+    const transport = fakeTransport([
+        counted(json(400, { error: 'InputMissing', message: 'Input file is empty.' }), 10),
+        counted(shrunk, 11),
+        counted({ status: 200, data: new ArrayBuffer(5) }, 12),
+        counted({ status: 200, data: new ArrayBuffer(5) }, 12)
+    ]);
+    const tinify = client(transport);
+    const usage = { compressions: 0 };
+
+    // The first counted call reads the count to start from with an empty upload
+    await tinify.shrink(Buffer.from('png'), { usage });
+    assert.strictEqual(transport.requests[0].body, undefined);
+    assert.strictEqual(usage.compressions, 1);
+
+    await tinify.operations('https://api.tinify.com/output/abc', { resize: { method: 'fit', width: 10 } }, { usage });
+    await tinify.download('https://api.tinify.com/output/abc', { usage });
+    assert.strictEqual(usage.compressions, 2);
+    assert.strictEqual(transport.requests.length, 4);
+});
+
+test('counts the compressions the proxy reports', async () => {
+    const transport = fakeTransport([
+        { ...shrunk, headers: { 'x-compressions-used': '1' } },
+        shrunk
+    ]);
+    const proxied = new TinifyClient({ proxyUrl: 'http://proxy.test', transport });
+    const usage = { compressions: 0 };
+
+    await proxied.shrink(Buffer.from('png'), { usage });
+    // Cache hits carry no header
+    await proxied.shrink(Buffer.from('png'), { usage });
+    assert.strictEqual(usage.compressions, 1);
+    assert.strictEqual(transport.requests.length, 2);
+});
+
+test('maps error answers to typed errors', async () => {
+    const cases = [
+        [json(401, { error: 'Unauthorized', message: 'Credentials are invalid.' }), AuthError],
+        [json(403, { error: 'Forbidden', message: 'Token required' }), AuthError],
+        [json(415, { error: 'UnsupportedMediaType', message: 'File type is not supported.' }), UnsupportedError],
+        [json(429, { error: 'TooManyRequests', message: 'Your monthly limit has been exceeded.' }), QuotaError],
+        [json(400, { error: 'BadSignature', message: 'Does not appear to be an image.' }), TinifyError]
+    ];
+    for (const [response, type] of cases) {
+        await assert.rejects(client(fakeTransport([response])).shrink(Buffer.from('x')), error => {
+            assert.ok(error instanceof type, `${response.status} should be a ${type.name}, got ${error.name}`);
+            assert.strictEqual(error.status, response.status);
+            assert.strictEqual(error.code, response.data.error);
+            assert.strictEqual(error.message, response.data.message);
+            return true;
+        });
+    }
+});
+
+test('does not retry client errors', async () => {
+    const transport = fakeTransport([json(401, { error: 'Unauthorized' })]);
+    await assert.rejects(client(transport).shrink(Buffer.from('x')), AuthError);
+    assert.strictEqual(transport.requests.length, 1);
+});
+
+test('retries 5xx answers and network errors, then succeeds', async () => {
+    const refused = Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+    const transport = fakeTransport([json(503, { error: 'ServiceUnavailable' }), refused, shrunk]);
+    const data = await client(transport, { retries: 2 }).shrink(Buffer.from('x'));
+    assert.strictEqual(data.output.size, 5);
+    assert.strictEqual(transport.requests.length, 3);
+});
+
+test('gives up after `retries` extra attempts', async () => {
+    const transport = fakeTransport([json(502, { error: 'BadGateway', message: 'Upstream down' })]);
+    await assert.rejects(client(transport, { retries: 2 }).shrink(Buffer.from('x')), error => {
+        assert.strictEqual(error.name, 'TinifyError');
+        assert.strictEqual(error.status, 502);
+        return true;
+    });
+    assert.strictEqual(transport.requests.length, 3);
+});
+
+test('waits out a 429 with Retry-After instead of reporting the quota', async () => {
+    const transport = fakeTransport([json(429, { error: 'TooManyRequests' }, { 'retry-after': '0' }), shrunk]);
+    const data = await client(transport).shrink(Buffer.from('x'));
+    assert.strictEqual(data.output.size, 5);
+    assert.strictEqual(transport.requests.length, 2);
+});
+
+test('reports a Retry-After longer than the longest wait without waiting', async () => {
+    const transport = fakeTransport([json(429, { error: 'TooManyRequests' }, { 'retry-after': '60' })]);
+    await assert.rejects(client(transport).shrink(Buffer.from('x')), error => {
+        assert.ok(!(error instanceof QuotaError));
+        assert.strictEqual(error.status, 429);
+        return true;
+    });
+    assert.strictEqual(transport.requests.length, 1);
+});
+
+test('wraps connection failures in NetworkError after the retries', async () => {
+    const refused = Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+    const transport = fakeTransport([refused]);
+    await assert.rejects(client(transport, { retries: 1 }).shrink(Buffer.from('x')), error => {
+        assert.ok(error instanceof NetworkError);
+        assert.strictEqual(error.code, 'ECONNREFUSED');
+        assert.strictEqual(error.cause, refused);
+        return true;
+    });
+    assert.strictEqual(transport.requests.length, 2);
+});
+
+test('passes the abort signal on and rethrows aborts without retrying', async () => {
+    const controller = new AbortController();
+    const transport = fakeTransport([request => new Promise((resolve, reject) => {
+        request.signal.addEventListener('abort', () => {
+            reject(Object.assign(new Error('The operation was aborted'), { name: 'AbortError' }));
+        });
+    })]);
+    const pending = client(transport, { retries: 3 }).shrink(Buffer.from('x'), { signal: controller.signal });
+    controller.abort();
+
+    await assert.rejects(pending, { name: 'AbortError' });
+    assert.strictEqual(transport.requests.length, 1);
+});
+
+test('raw mode resolves error answers instead of throwing', async () => {
+    const transport = fakeTransport([json(415, { error: 'UnsupportedMediaType' })]);
+    const response = await client(transport).shrink(Buffer.from('x'), { raw: true });
+    assert.strictEqual(response.status, 415);
+});
+
+test('operations post the JSON to the output URL, or to /api/output through the proxy', async () => {
+    const direct = fakeTransport([{ status: 200, data: new ArrayBuffer(3) }]);
+    await client(direct).operations('https://api.tinify.com/output/abc', { resize: { method: 'fit', width: 100 } });
+    assert.strictEqual(direct.requests[0].url, 'https://api.tinify.com/output/abc');
+    assert.deepStrictEqual(JSON.parse(direct.requests[0].body), { resize: { method: 'fit', width: 100 } });
+
+    const proxy = fakeTransport([{ status: 200, data: new ArrayBuffer(3) }]);
+    await new TinifyClient({ proxyUrl: 'http://proxy.test', transport: proxy })
+        .operations('https://api.tinify.com/output/abc', { convert: { type: 'image/webp' } });
+    assert.strictEqual(proxy.requests[0].url, 'http://proxy.test/api/output');
+    assert.deepStrictEqual(JSON.parse(proxy.requests[0].body), {
+        url: 'https://api.tinify.com/output/abc',
+        convert: { type: 'image/webp' }
+    });
+});
@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { TinifyLock, LOCK_FILE_NAME } = require('../lib/tinify_lock');
+const { sha256 } = require('../lib/result_cache');
+
+const CLI = path.join(__dirname, '..', 'bin', 'tinify-compress.js');
+const ORIGINAL = Buffer.from('<svg viewBox="0 0 8 8">  <rect width="8" height="8"/>  </svg>');
+const COMPRESSED = Buffer.from('<svg viewBox="0 0 8 8"><rect width="8" height="8"/></svg>');
+
+const tempDir = t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tinify-lock-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+};
+
+// Without a key or a reachable proxy, so a run that tried to compress would fail
+const runCli = args => new Promise(resolve => {
+    execFile(process.execPath, [CLI, ...args], { env: { ...process.env, TINIFY_API_KEY: '', TINIFY_PROXY_URL: 'http://127.0.0.1:9' } },
+        (error, stdout, stderr) => resolve({ code: error ? error.code : 0, output: stdout + stderr }));
+});
+
+// Every file under `dir` with its content, to tell whether a run wrote anything
+const snapshotTree = dir => Object.fromEntries(fs.readdirSync(dir, { recursive: true })
+    .filter(name => fs.statSync(path.join(dir, name)).isFile())
+    .sort()
+    .map(name => [name, fs.readFileSync(path.join(dir, name), 'utf8')]));
+
+test('records files by their path relative to the lock file, with "/"', t => {
+    const dir = tempDir(t);
+    const lock = new TinifyLock({ lockPath: path.join(dir, LOCK_FILE_NAME) });
+    const file = path.join(dir, 'icons', 'logo.svg');
+    lock.record(file, { source: ORIGINAL, output: COMPRESSED, engine: 'svg' });
+
+    assert.deepStrictEqual(Object.keys(lock.files), ['icons/logo.svg']);
+    const entry = lock.get(file);
+    assert.strictEqual(entry.hash, sha256(COMPRESSED));
+    assert.strictEqual(entry.originalHash, sha256(ORIGINAL));
+    assert.strictEqual(entry.originalSize, ORIGINAL.length);
+    assert.strictEqual(entry.compressedSize, COMPRESSED.length);
+    assert.strictEqual(entry.engine, 'svg');
+    assert.strictEqual(lock.get(path.join(dir, 'other.svg')), null);
+});
+
+test('saves sorted entries and reads them back', async t => {
+    const dir = tempDir(t);
+    const lockPath = path.join(dir, LOCK_FILE_NAME);
+    const lock = new TinifyLock({ lockPath });
+    lock.record(path.join(dir, 'b.svg'), { source: ORIGINAL, output: COMPRESSED, engine: 'svg' });
+    lock.record(path.join(dir, 'a.svg'), { source: ORIGINAL, output: ORIGINAL, engine: 'svg' });
+    await lock.save();
+
+    const saved = JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+    assert.strictEqual(saved.version, 1);
+    assert.deepStrictEqual(Object.keys(saved.files), ['a.svg', 'b.svg']);
+    assert.ok(!fs.existsSync(`${lockPath}.tmp`));
+    assert.deepStrictEqual(new TinifyLock({ lockPath }).files, lock.files);
+});
+
+test('drops entries for files that are gone', t => {
+    const dir = tempDir(t);
+    const lock = new TinifyLock({ lockPath: path.join(dir, LOCK_FILE_NAME) });
+    lock.record(path.join(dir, 'kept.svg'), { source: ORIGINAL, output: COMPRESSED, engine: 'svg' });
+    lock.record(path.join(dir, 'deleted.svg'), { source: ORIGINAL, output: COMPRESSED, engine: 'svg' });
+    lock.retain([path.join(dir, 'kept.svg')]);
+    assert.deepStrictEqual(Object.keys(lock.files), ['kept.svg']);
+});
+
+test('refuses a lock file of another version', t => {
+    const dir = tempDir(t);
+    const lockPath = path.join(dir, LOCK_FILE_NAME);
+    fs.writeFileSync(lockPath, JSON.stringify({ version: 2, files: {} }));
+    assert.throws(() => new TinifyLock({ lockPath }), /Unsupported \.tinify-lock\.json version 2/);
+});
+
+test('--check passes when every image still matches its entry', async t => {
+    const dir = tempDir(t);
+    fs.writeFileSync(path.join(dir, 'logo.svg'), COMPRESSED);
+    const lock = new TinifyLock({ lockPath: path.join(dir, LOCK_FILE_NAME) });
+    lock.record(path.join(dir, 'logo.svg'), { source: ORIGINAL, output: COMPRESSED, engine: 'svg' });
+    await lock.save();
+    const before = snapshotTree(dir);
+
+    const { code, output } = await runCli([dir, '--check']);
+    assert.strictEqual(code, 0, output);
+    assert.match(output, /1 up to date, 0 failed/);
+    assert.deepStrictEqual(snapshotTree(dir), before);
+});
+
+test('--check fails on changed and unrecorded images without writing anything', async t => {
+    const dir = tempDir(t);
+    fs.writeFileSync(path.join(dir, 'held.svg'), COMPRESSED);
+    fs.writeFileSync(path.join(dir, 'stale.svg'), ORIGINAL);
+    fs.writeFileSync(path.join(dir, 'new.svg'), ORIGINAL);
+    const lock = new TinifyLock({ lockPath: path.join(dir, LOCK_FILE_NAME) });
+    lock.record(path.join(dir, 'held.svg'), { source: ORIGINAL, output: COMPRESSED, engine: 'svg' });
+    // Recorded as compressed, then overwritten with the uncompressed original
+    lock.record(path.join(dir, 'stale.svg'), { source: ORIGINAL, output: COMPRESSED, engine: 'svg' });
+    await lock.save();
+    const before = snapshotTree(dir);
+
+    const { code, output } = await runCli([dir, '--check']);
+    assert.strictEqual(code, 1, output);
+    assert.match(output, /stale\.svg .*changed since it was recorded/);
+    assert.match(output, /new\.svg .*not recorded in \.tinify-lock\.json/);
+    assert.match(output, /1 up to date, 2 failed/);
+    assert.deepStrictEqual(snapshotTree(dir), before);
+});
+
+test('--check without a lock file fails and does not create one', async t => {
+    const dir = tempDir(t);
+    fs.writeFileSync(path.join(dir, 'logo.svg'), ORIGINAL);
+
+    const { code, output } = await runCli([dir, '--check']);
+    assert.strictEqual(code, 1, output);
+    assert.ok(!fs.existsSync(path.join(dir, LOCK_FILE_NAME)));
+});
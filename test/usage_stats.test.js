@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { UsageStats } = require('../lib/usage_stats');
+
+const result = (inputSize, outputSize) => ({ input: { size: inputSize }, output: { size: outputSize } });
+
+// A clock that stays at `iso` until it is set again
+const clockAt = iso => {
+    const clock = { date: new Date(iso) };
+    clock.now = () => clock.date;
+    clock.set = next => {
+        clock.date = new Date(next);
+    };
+    return clock;
+};
+
+const tempStatePath = t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'usage-stats-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return path.join(dir, 'usage.json');
+};
+
+test('counts Tinify, local engines and cache hits separately', () => {
+    const stats = new UsageStats({ now: clockAt('2026-03-10T12:00:00Z').now });
+    stats.record('tinify', result(1000, 400));
+    stats.record('tinify', result(500, 300));
+    stats.record('svg', result(200, 150));
+    stats.record('cache', result(1000, 400));
+
+    const { totals, days } = stats.report('2026-03');
+    assert.deepStrictEqual(totals, {
+        compressions: 2,
+        localCompressions: 1,
+        cacheHits: 1,
+        bytesIn: 2700,
+        bytesOut: 1250,
+        bytesSaved: 1450
+    });
+    assert.deepStrictEqual(days.map(day => day.date), ['2026-03-10']);
+});
+
+test('starts a new month at zero and keeps the previous one', () => {
+    const clock = clockAt('2026-01-31T23:59:00Z');
+    const stats = new UsageStats({ now: clock.now });
+    stats.record('tinify', result(100, 50));
+
+    clock.set('2026-02-01T00:01:00Z');
+    assert.strictEqual(stats.report().month, '2026-02');
+    assert.strictEqual(stats.report().totals.compressions, 0);
+    stats.record('tinify', result(100, 50));
+    stats.record('svg', result(10, 5));
+
+    assert.deepStrictEqual(stats.report().days.map(day => day.date), ['2026-02-01']);
+    assert.strictEqual(stats.report().totals.compressions, 1);
+    assert.strictEqual(stats.report('2026-01').totals.compressions, 1);
+    assert.strictEqual(stats.report('2026-01').totals.localCompressions, 0);
+});
+
+test('drops days older than retentionDays when a new day starts', () => {
+    const clock = clockAt('2026-01-01T10:00:00Z');
+    const stats = new UsageStats({ now: clock.now, retentionDays: 30 });
+    stats.record('tinify', result(100, 50));
+
+    clock.set('2026-02-15T10:00:00Z');
+    stats.record('tinify', result(100, 50));
+    assert.deepStrictEqual(Object.keys(stats.days), ['2026-02-15']);
+});
+
+test('persists to the state file and reads it back', async t => {
+    const statePath = tempStatePath(t);
+    const now = clockAt('2026-03-10T12:00:00Z').now;
+    const stats = new UsageStats({ statePath, now });
+    stats.record('tinify', result(1000, 400));
+    stats.record('svg', result(200, 150));
+    await stats.save();
+
+    const saved = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+    assert.strictEqual(saved.updatedAt, '2026-03-10T12:00:00.000Z');
+    assert.strictEqual(saved.days['2026-03-10'].localCompressions, 1);
+    assert.ok(!fs.existsSync(`${statePath}.tmp`));
+
+    const reloaded = new UsageStats({ statePath, now });
+    assert.deepStrictEqual(reloaded.report(), stats.report());
+});
+
+test('reads days saved before local compressions were counted', t => {
+    const statePath = tempStatePath(t);
+    fs.writeFileSync(statePath, JSON.stringify({
+        days: { '2026-03-09': { compressions: 3, cacheHits: 1, bytesIn: 900, bytesOut: 300 } }
+    }));
+
+    const stats = new UsageStats({ statePath, now: clockAt('2026-03-10T12:00:00Z').now });
+    assert.deepStrictEqual(stats.report().totals, {
+        compressions: 3,
+        localCompressions: 0,
+        cacheHits: 1,
+        bytesIn: 900,
+        bytesOut: 300,
+        bytesSaved: 600
+    });
+});
+
+test('starts empty when the state file is unreadable', t => {
+    const statePath = tempStatePath(t);
+    fs.writeFileSync(statePath, '{not json');
+    const stats = new UsageStats({ statePath });
+    assert.deepStrictEqual(stats.days, {});
+});
@@ -0,0 +1,313 @@
+// Tinify API client shared by the proxy server, the CLI and the extension.
+// Loaded with require() in Node and with a <script> tag in the extension
+// (as window.Tinify), so it has no dependencies and uses no Node-only APIs.
+//
+// A client talks either to Tinify directly (`apiKey`, optional `baseUrl`) or to
+// the proxy (`proxyUrl`, optional `token`), which answers the same JSON on
+// /api/compress, /api/download and /api/output. Failures reject with the typed
+// errors below. The HTTP call itself goes through `transport`, an async function
+// taking { method, url, headers, body, responseType, signal, ...options } and
+// resolving { status, headers, data } with lower-case header names; the default
+// uses fetch. responseType is 'json', 'arraybuffer', 'blob' or 'stream'.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Tinify = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const DEFAULT_BASE_URL = 'https://api.tinify.com';
+
+    class TinifyError extends Error {
+        constructor(message, { status = null, code = null, cause } = {}) {
+            super(message);
+            this.name = 'TinifyError';
+            this.status = status;
+            this.code = code;
+            if (cause) this.cause = cause;
+        }
+    }
+
+    // Wrong or missing API key / proxy token (401, 403)
+    class AuthError extends TinifyError {
+        constructor(message, options) {
+            super(message, options);
+            this.name = 'AuthError';
+        }
+    }
+
+    // Monthly compression limit reached (429 without Retry-After)
+    class QuotaError extends TinifyError {
+        constructor(message, options) {
+            super(message, options);
+            this.name = 'QuotaError';
+        }
+    }
+
+    // The image type is not accepted (415)
+    class UnsupportedError extends TinifyError {
+        constructor(message, options) {
+            super(message, options);
+            this.name = 'UnsupportedError';
+        }
+    }
+
+    // No answer at all: connection refused, DNS, offline
+    class NetworkError extends TinifyError {
+        constructor(message, options) {
+            super(message, options);
+            this.name = 'NetworkError';
+        }
+    }
+
+    const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+    const isAbort = error => !!error && (error.name === 'AbortError' || error.name === 'CanceledError');
+
+    // Seconds or an HTTP date, as milliseconds; null when absent
+    function retryAfterMs(headers) {
+        const value = headers && headers['retry-after'];
+        if (value === undefined || value === null || value === '') return null;
+        const seconds = Number(value);
+        if (Number.isFinite(seconds)) return Math.max(seconds, 0) * 1000;
+        const date = Date.parse(value);
+        return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+    }
+
+    // A 429 with Retry-After is a short rate limit; without it, the monthly quota
+    const isRateLimited = response => response.status === 429 && retryAfterMs(response.headers) !== null;
+
+    function errorFromResponse(response) {
+        const data = response.data && typeof response.data === 'object' && !isBinary(response.data) ? response.data : {};
+        const message = data.message || data.error || `Request failed with status ${response.status}`;
+        const options = { status: response.status, code: data.error || null };
+        if (response.status === 401 || response.status === 403) return new AuthError(message, options);
+        if (response.status === 415) return new UnsupportedError(message, options);
+        if (response.status === 429 && !isRateLimited(response)) return new QuotaError(message, options);
+        return new TinifyError(message, options);
+    }
+
+    function isBinary(value) {
+        return (typeof ArrayBuffer !== 'undefined' && (value instanceof ArrayBuffer || ArrayBuffer.isView(value))) ||
+            (typeof Blob !== 'undefined' && value instanceof Blob);
+    }
+
+    // Transport built on fetch (browsers, Node 18+). Error answers that are JSON are
+    // parsed whatever `responseType` asked for, so their message can be reported.
+    function fetchTransport(fetchImpl) {
+        return async ({ method, url, headers, body, responseType = 'json', signal }) => {
+            const doFetch = fetchImpl || fetch;
+            const init = { method, headers, body, signal };
+            // Node's fetch needs this to send a stream body
+            if (body && typeof body.getReader === 'function') init.duplex = 'half';
+            const response = await doFetch(url, init);
+
+            const responseHeaders = {};
+            response.headers.forEach((value, name) => {
+                responseHeaders[name.toLowerCase()] = value;
+            });
+            const isJson = /\bjson\b/i.test(responseHeaders['content-type'] || '');
+
+            let data;
+            if (isJson && (responseType === 'json' || !response.ok)) {
+                data = await response.json().catch(() => null);
+            } else if (responseType === 'json') {
+                data = await response.text();
+            } else if (responseType === 'arraybuffer') {
+                data = await response.arrayBuffer();
+            } else if (responseType === 'blob') {
+                data = await response.blob();
+            } else {
+                data = response.body;
+            }
+            return { status: response.status, headers: responseHeaders, data };
+        };
+    }
+
+    class TinifyClient {
+        // `retries` counts extra attempts after network errors, 5xx answers and
+        // 429s with Retry-After; only use it with bodies that can be sent twice.
+        constructor({
+            apiKey = null,
+            baseUrl = DEFAULT_BASE_URL,
+            proxyUrl = null,
+            token = null,
+            transport = fetchTransport(),
+            retries = 2,
+            retryDelayMs = 300,
+            maxRetryDelayMs = 5000
+        } = {}) {
+            this.options = { apiKey, baseUrl, proxyUrl, token, transport, retries, retryDelayMs, maxRetryDelayMs };
+            this.apiKey = apiKey;
+            this.baseUrl = baseUrl.replace(/\/+$/, '');
+            this.proxyUrl = proxyUrl ? proxyUrl.replace(/\/+$/, '') : null;
+            this.token = token;
+            this.transport = transport;
+            this.retries = retries;
+            this.retryDelayMs = retryDelayMs;
+            this.maxRetryDelayMs = maxRetryDelayMs;
+            // Compressions used this month by the key, from Tinify's Compression-Count header
+            this.compressionCount = null;
+            // Highest count seen, so answers arriving out of order are not counted twice
+            this.highestCount = null;
+        }
+
+        get mode() {
+            return this.proxyUrl ? 'proxy' : 'direct';
+        }
+
+        // Same configuration with another API key (the proxy's key pool rotates keys per call)
+        withKey(apiKey) {
+            return new TinifyClient({ ...this.options, apiKey });
+        }
+
+        authHeaders() {
+            if (this.proxyUrl) return this.token ? { 'Authorization': `Bearer ${this.token}` } : {};
+            return { 'Authorization': `Basic ${btoa(`api:${this.apiKey}`)}` };
+        }
+
+        // Compress image bytes (Buffer, Uint8Array, ArrayBuffer, Blob or stream) or,
+        // given { url }, an image Tinify fetches itself. Resolves with the result
+        // JSON ({ input, output: { size, type, width, height, url }, ... }).
+        // options: contentType, sha256 (lets the proxy answer from its cache), headers,
+        // signal, responseType, raw (resolve the transport response, even for 4xx,
+        // instead of throwing), usage (an object whose `compressions` is increased by
+        // the compressions the call spent, see countUsage), plus anything else the
+        // transport understands. download() and operations() take the same options.
+        async shrink(source, { contentType, sha256, headers, responseType = 'json', raw, usage, ...options } = {}) {
+            const fromUrl = !!source && typeof source === 'object' && typeof source.url === 'string' && !isBinary(source);
+            const request = {
+                ...options,
+                method: 'POST',
+                url: this.proxyUrl ? `${this.proxyUrl}/api/compress` : `${this.baseUrl}/shrink`,
+                headers: {
+                    ...headers,
+                    ...this.authHeaders(),
+                    ...(sha256 && this.proxyUrl ? { 'X-Content-SHA256': sha256 } : {}),
+                    'Content-Type': fromUrl ? 'application/json' : (contentType || 'application/octet-stream')
+                },
+                body: fromUrl ? JSON.stringify({ source: { url: source.url } }) : source,
+                responseType
+            };
+            const response = await this.send(request, raw, usage);
+            return raw ? response : response.data;
+        }
+
+        // The compressed image at an output URL
+        async download(url, { responseType = 'arraybuffer', raw, usage, ...options } = {}) {
+            const request = this.proxyUrl
+                ? {
+                    ...options,
+                    method: 'POST',
+                    url: `${this.proxyUrl}/api/download`,
+                    headers: { ...this.authHeaders(), 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ url }),
+                    responseType
+                }
+                : { ...options, method: 'GET', url, headers: this.authHeaders(), responseType };
+            const response = await this.send(request, raw, usage);
+            return raw ? response : response.data;
+        }
+
+        // Resize, convert or preserve metadata of a result; `operations` is the JSON
+        // Tinify takes on an output URL ({ resize: { method, width } }, ...)
+        async operations(url, operations, { responseType = 'arraybuffer', raw, usage, ...options } = {}) {
+            const request = {
+                ...options,
+                method: 'POST',
+                url: this.proxyUrl ? `${this.proxyUrl}/api/output` : url,
+                headers: { ...this.authHeaders(), 'Content-Type': 'application/json' },
+                body: JSON.stringify(this.proxyUrl ? { url, ...operations } : operations),
+                responseType
+            };
+            const response = await this.send(request, raw, usage);
+            return raw ? response : response.data;
+        }
+
+        // Read the key's Compression-Count without spending a compression: Tinify
+        // answers an upload with no body with 400 and the header. Direct mode only;
+        // resolves with the count.
+        async validate() {
+            const response = await this.send({
+                method: 'POST',
+                url: `${this.baseUrl}/shrink`,
+                headers: this.authHeaders(),
+                responseType: 'json'
+            }, true);
+            if (response.status > 400) throw errorFromResponse(response);
+            return this.compressionCount;
+        }
+
+        // Compressions an answer spent. The proxy reports them in X-Compressions-Used
+        // (none for cache hits and local engines); from Tinify it is how far the
+        // Compression-Count header moved past the highest count seen before.
+        countUsage(response) {
+            if (this.proxyUrl) return Number(response.headers['x-compressions-used']) || 0;
+            const count = this.compressionCount;
+            if (count === null || this.highestCount === count) return 0;
+            const spent = this.highestCount === null ? 0 : Math.max(count - this.highestCount, 0);
+            this.highestCount = Math.max(this.highestCount === null ? count : this.highestCount, count);
+            return spent;
+        }
+
+        async send(request, raw, usage) {
+            // Direct answers are counted against the previous Compression-Count, so
+            // the first counted call needs one to start from
+            if (usage && !this.proxyUrl && this.highestCount === null) await this.validate();
+
+            for (let attempt = 0; ; attempt++) {
+                let response = null;
+                let error = null;
+                try {
+                    response = await this.transport(request);
+                } catch (caught) {
+                    error = caught;
+                }
+
+                if (response) {
+                    const count = Number(response.headers['compression-count']);
+                    if (response.headers['compression-count'] !== undefined && Number.isFinite(count)) {
+                        this.compressionCount = count;
+                    }
+                    const spent = this.countUsage(response);
+                    if (usage) usage.compressions += spent;
+                }
+
+                const retryable = error
+                    ? !isAbort(error) && !(error instanceof TinifyError)
+                    : response.status >= 500 || isRateLimited(response);
+                if (retryable && attempt < this.retries) {
+                    const wait = response && isRateLimited(response)
+                        ? retryAfterMs(response.headers)
+                        : Math.round(Math.random() * Math.min(this.maxRetryDelayMs, this.retryDelayMs * 2 ** attempt));
+                    if (wait <= this.maxRetryDelayMs) {
+                        await sleep(wait);
+                        continue;
+                    }
+                }
+
+                if (error) {
+                    // Raw callers (the proxy) inspect their transport's own errors
+                    if (raw || isAbort(error) || error instanceof TinifyError) throw error;
+                    throw new NetworkError(error.message || 'Network request failed', { code: error.code || null, cause: error });
+                }
+                if (raw || response.status < 400) return response;
+                throw errorFromResponse(response);
+            }
+        }
+    }
+
+    return {
+        TinifyClient,
+        TinifyError,
+        AuthError,
+        QuotaError,
+        UnsupportedError,
+        NetworkError,
+        fetchTransport,
+        errorFromResponse,
+        DEFAULT_BASE_URL
+    };
+}));